@@ -0,0 +1,230 @@
+// ALSA backend for AudioMonitor
+// Used when no sound server is running. Capture devices come from arecord,
+// and gain and mute from the card's capture mixer controls through amixer.
+// Changes are reported by `alsactl monitor`. The card is the one matching
+// the configured device (e.g. "hw:1", "plughw:CARD=PCH" or a card name), or
+// the first capture card.
+
+const { execFile } = require('child_process');
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { env: { ...process.env, LC_ALL: 'C' } }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// "card 1: PCH [HDA Intel PCH], device 0: ALC257 Analog [ALC257 Analog]"
+function parseCaptureDevices(text) {
+  const devices = [];
+  for (const line of String(text).split('\n')) {
+    const match = line.match(/^card (\d+): (\S+) \[(.+?)\], device (\d+): (.+?) \[/);
+    if (match) {
+      devices.push({ card: Number(match[1]), cardId: match[2], cardName: match[3], device: Number(match[4]), deviceName: match[5] });
+    }
+  }
+  return devices;
+}
+
+// Output of `amixer scontents`, as
+//   { name, index, capabilities, captureVolumes, captureSwitches }
+// where captureVolumes are per channel (1 = 100%) and captureSwitches are
+// true when the channel captures
+function parseMixerControls(text) {
+  const controls = [];
+  let control = null;
+
+  for (const line of String(text).split('\n')) {
+    const header = line.match(/^Simple mixer control '(.*)',(\d+)$/);
+    if (header) {
+      control = { name: header[1], index: Number(header[2]), capabilities: [], captureVolumes: [], captureSwitches: [] };
+      controls.push(control);
+      continue;
+    }
+    if (!control) continue;
+
+    const capabilities = line.match(/^\s+Capabilities:\s*(.*)$/);
+    if (capabilities) {
+      control.capabilities = capabilities[1].trim().split(/\s+/);
+      continue;
+    }
+
+    // Channel lines, e.g. "  Front Left: Capture 39 [62%] [18.75dB] [on]" or
+    // "  Mono: Playback 0 [0%] [-34.50dB] [off] Capture [on]"
+    if (/^\s+(Playback channels|Capture channels|Limits):/.test(line)) continue;
+    const captureStart = line.search(/\bCapture\b/);
+    if (!/^\s+[^:]+:/.test(line) || captureStart === -1) continue;
+    const capture = line.slice(captureStart);
+
+    const percent = capture.match(/\[(\d+)%\]/);
+    if (percent) control.captureVolumes.push(parseInt(percent[1], 10) / 100);
+    const onOff = capture.match(/\[(on|off)\]/);
+    if (onOff) control.captureSwitches.push(onOff[1] === 'on');
+  }
+
+  return controls;
+}
+
+function isCaptureControl(control) {
+  return control.capabilities.some(capability => /^(cvolume|cswitch)/.test(capability));
+}
+
+// The control that holds the card's capture gain: "Capture" when there is
+// one, otherwise the first with a capture volume
+function findVolumeControl(controls) {
+  const withVolume = controls.filter(control => control.capabilities.some(capability => capability.startsWith('cvolume')));
+  return withVolume.find(control => control.name === 'Capture') || withVolume[0] || null;
+}
+
+function findSwitchControl(controls) {
+  const withSwitch = controls.filter(control => control.capabilities.some(capability => capability.startsWith('cswitch')));
+  return withSwitch.find(control => control.name === 'Capture') || withSwitch[0] || null;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Card number, id or name from a device string like "hw:1,0",
+// "plughw:CARD=PCH,DEV=0" or "HDA Intel PCH"
+function parseDeviceCard(device) {
+  const cardParameter = device.match(/CARD=([^,]+)/i);
+  if (cardParameter) return cardParameter[1];
+  const hwDevice = device.match(/^(?:plug)?hw:([^,]+)/i);
+  if (hwDevice) return hwDevice[1];
+  return device;
+}
+
+class AlsaBackend {
+  // alsaDevice: the device to use; empty for the first capture card
+  constructor({ alsaDevice = '' } = {}) {
+    this.name = 'alsa';
+    this.label = 'ALSA';
+    this.device = alsaDevice;
+  }
+
+  async isAvailable() {
+    try {
+      return parseCaptureDevices(await run('arecord', ['-l'])).length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Capture mixer controls of a card
+  async listCaptureControls(card) {
+    const controls = parseMixerControls(await run('amixer', ['-c', String(card), 'scontents']));
+    return controls.filter(isCaptureControl);
+  }
+
+  // One source per capture card, with the card's gain and mute state
+  async listSources() {
+    const devices = parseCaptureDevices(await run('arecord', ['-l']));
+    const cards = devices.filter((device, position) => devices.findIndex(other => other.card === device.card) === position);
+
+    return Promise.all(cards.map(async (device) => {
+      let controls = [];
+      try {
+        controls = await this.listCaptureControls(device.card);
+      } catch (error) {
+        // Cards without a mixer have no gain or mute
+      }
+      const volumeControl = findVolumeControl(controls);
+      const switchControl = findSwitchControl(controls);
+      const channelVolumes = volumeControl ? volumeControl.captureVolumes : [];
+
+      return {
+        index: device.card,
+        name: `hw:${device.card},${device.device}`,
+        description: device.cardName,
+        driver: 'ALSA',
+        state: '',
+        muted: switchControl ? !switchControl.captureSwitches.some(Boolean) : false,
+        volume: average(channelVolumes),
+        channelVolumes,
+        monitorOf: null,
+        properties: {
+          'alsa.card': String(device.card),
+          'alsa.card_id': device.cardId,
+          'alsa.card_name': device.cardName,
+          'alsa.volume_control': volumeControl ? `${volumeControl.name},${volumeControl.index}` : '',
+          'alsa.switch_control': switchControl ? `${switchControl.name},${switchControl.index}` : ''
+        },
+        ports: [],
+        activePort: null
+      };
+    }));
+  }
+
+  // The card matching the configured device; otherwise the first capture
+  // card, which is what the "default" PCM normally opens
+  async getDefaultSource() {
+    const sources = await this.listSources();
+    if (this.device) {
+      const wanted = parseDeviceCard(this.device).toLowerCase();
+      const match = sources.find(source => [source.properties['alsa.card'], source.properties['alsa.card_id'], source.properties['alsa.card_name']]
+        .some(value => value.toLowerCase() === wanted));
+      if (match) return match;
+      console.log(`Voice Notes Wrapper: ALSA device ${this.device} not found, using the first capture card`);
+    }
+    return sources[0] || null;
+  }
+
+  async readSource(source) {
+    const sources = await this.listSources();
+    return sources.find(candidate => candidate.index === source.index) || source;
+  }
+
+  async getSourceVolume(source) {
+    return (await this.readSource(source)).volume;
+  }
+
+  async getSourceMute(source) {
+    return (await this.readSource(source)).muted;
+  }
+
+  // muted is true, false or 'toggle'
+  async setSourceMute(source, muted) {
+    const control = source.properties['alsa.switch_control'];
+    if (!control) {
+      throw new Error(`${source.description} has no capture switch`);
+    }
+    const value = muted === 'toggle' ? 'toggle' : muted ? 'nocap' : 'cap';
+    await run('amixer', ['-q', '-c', String(source.index), 'sset', control, 'capture', value]);
+  }
+
+  // level: 1 = 100% of the control's range; ALSA controls cannot go above
+  async setSourceVolume(source, level) {
+    const control = source.properties['alsa.volume_control'];
+    if (!control) {
+      throw new Error(`${source.description} has no capture volume`);
+    }
+    const percent = Math.min(100, Math.round(level * 100));
+    await run('amixer', ['-q', '-c', String(source.index), 'sset', control, 'capture', `${percent}%`]);
+  }
+
+  // ALSA has no system-wide default to change, so this only picks the card
+  // the monitor follows
+  async setDefaultSource(source) {
+    this.device = `hw:${source.index}`;
+  }
+
+  // "node hw:1, #7 (2,0,0,Capture Volume,0) VALUE"
+  getMonitorCommand() {
+    return {
+      command: 'alsactl',
+      args: ['monitor'],
+      parseLine: (line) => {
+        const match = line.match(/^node hw:(\d+),/);
+        return match ? [{ type: 'source', index: Number(match[1]) }] : [];
+      }
+    };
+  }
+}
+
+module.exports = AlsaBackend;
@@ -1,274 +1,408 @@
-const { exec } = require('child_process');
+const { spawn } = require('child_process');
 const { EventEmitter } = require('events');
+const pactlParser = require('./pactl-parser');
+const PipeWireBackend = require('./pipewire-backend');
+const PulseBackend = require('./pulse-backend');
+const AlsaBackend = require('./alsa-backend');
+
+// Audio backends, best first. Each one provides isAvailable, listSources,
+// getDefaultSource, setDefaultSource, getSourceVolume, setSourceVolume,
+// getSourceMute, setSourceMute and getMonitorCommand (null when it cannot report
+// changes, in which case the monitor polls). Backends that can switch the
+// profile of Bluetooth headsets also provide getCardProfile and setCardProfile.
+const BACKENDS = {
+  pipewire: PipeWireBackend,
+  pulseaudio: PulseBackend,
+  alsa: AlsaBackend
+};
+
+// Coalesce bursts of change events (a device change emits several) into one query
+const EVENT_DEBOUNCE_MS = 200;
+
+// Restart delays for a dying monitor command, and how many quick failures
+// in a row mean it is not available at all
+const SUBSCRIBER_RESTART_BASE_MS = 1000;
+const SUBSCRIBER_RESTART_MAX_MS = 30000;
+const SUBSCRIBER_MAX_QUICK_FAILURES = 5;
 
 class AudioMonitor extends EventEmitter {
-  constructor() {
+  // backend: 'auto' or one of the BACKENDS names; alsaDevice: the device
+  // the ALSA backend uses (empty for the first capture card); preferredSource:
+  // the source to make the default whenever it is present (empty to leave
+  // the default alone); maxGainPercent: the highest input volume that can be
+  // set, as boosting far past 100% distorts
+  constructor({ backend = 'auto', alsaDevice = '', preferredSource = '', maxGainPercent = 100 } = {}) {
     super();
     this.currentInputDevice = null;
     this.currentInputLevel = 0;
     this.monitorInterval = null;
     this.isMonitoring = false;
     this.lastLoggedSource = null;
-    this.lastDetailedSource = null;
+    this.defaultSource = null; // the default source, as listed by the backend
+    this.backendPreference = backend;
+    this.backendOptions = { alsaDevice };
+    this.preferredSource = preferredSource;
+    this.preferredSourcePresent = false;
+    this.maxLevel = maxGainPercent / 100;
+    this.inputSources = [];
+    this.backend = null;
+    this.backendDetection = null;
+    this.detectingBackend = false;
+    this.subscriber = null;
+    this.subscriberFailures = 0;
+    this.restartTimer = null;
+    this.refreshTimer = null;
+    this.pendingRefresh = null;
+    this.pollIntervalMs = 2000;
   }
 
-  // Get current input device information
-  async getInputDeviceInfo() {
-    return new Promise((resolve, reject) => {
-      // First, get the default source
-      exec('pactl get-default-source', (error, stdout, stderr) => {
-        if (error) {
-          console.log('Voice Notes Wrapper: Could not get default source, trying list method...');
-          this.getFirstAvailableSource().then(resolve).catch(reject);
-          return;
-        }
-
-        const defaultSource = stdout.trim();
-        // Only log if this is a different source than before
-        if (!this.lastLoggedSource || this.lastLoggedSource !== defaultSource) {
-          console.log('Voice Notes Wrapper: Default source detected:', defaultSource);
-          this.lastLoggedSource = defaultSource;
-        }
-        
-        // Get detailed info for the default source
-        this.getDetailedSourceInfoByName(defaultSource).then(resolve).catch(reject);
-      });
-    });
+  configure({ backend = 'auto', alsaDevice = '', preferredSource = '', maxGainPercent = 100 } = {}) {
+    const alsaDeviceChanged = alsaDevice !== this.backendOptions.alsaDevice;
+    this.backendOptions = { alsaDevice };
+    this.maxLevel = maxGainPercent / 100;
+
+    if (preferredSource !== this.preferredSource) {
+      this.preferredSource = preferredSource;
+      this.preferredSourcePresent = false;
+      this.scheduleRefresh('full');
+    }
+
+    if (backend !== this.backendPreference) {
+      this.selectBackend(backend);
+    } else if (alsaDeviceChanged && this.backend && this.backend.name === 'alsa') {
+      this.backend.device = alsaDevice;
+      this.scheduleRefresh('full');
+    }
   }
 
-  // Fallback method to get first available source
-  async getFirstAvailableSource() {
-    return new Promise((resolve, reject) => {
-      exec('pactl list short sources', (error, stdout, stderr) => {
-        if (error) {
-          console.log('Voice Notes Wrapper: Could not get PulseAudio sources, trying ALSA...');
-          this.getAlsaInputInfo().then(resolve).catch(reject);
-          return;
-        }
-
-        const sources = stdout.split('\n').filter(line => line.trim());
-        const inputSources = sources.filter(line => 
-          !line.includes('.monitor') && 
-          (line.includes('alsa_input') || line.includes('input'))
-        );
-
-        if (inputSources.length > 0) {
-          // Get detailed info for the first input source
-          const sourceId = inputSources[0].split('\t')[0];
-          this.getDetailedSourceInfo(sourceId).then(resolve).catch(reject);
-        } else {
-          resolve({ name: 'No Input Device', level: 0 });
-        }
-      });
-    });
+  // Pick the backend: the preferred one when it is available, otherwise the
+  // best available one. Emits 'backendChanged' with { name, label }.
+  async selectBackend(preference = this.backendPreference) {
+    this.backendPreference = preference;
+    this.backendDetection = this.detectBackend(preference);
+    this.detectingBackend = true;
+    const backend = await this.backendDetection;
+    this.detectingBackend = false;
+
+    if (backend !== this.backend) {
+      this.backend = backend;
+      this.defaultSource = null;
+      this.preferredSourcePresent = false;
+      console.log(`Voice Notes Wrapper: Audio backend: ${backend ? backend.label : 'none'}`);
+      this.emit('backendChanged', this.getBackend());
+
+      // Watch through the new backend
+      if (this.isMonitoring) {
+        this.stopSubscriber();
+        this.subscriberFailures = 0;
+        this.refreshDevice('full');
+        this.startSubscriber();
+      }
+    }
+    return this.getBackend();
   }
 
-  // Get detailed source information by source name
-  async getDetailedSourceInfoByName(sourceName) {
-    return new Promise((resolve, reject) => {
-      exec(`pactl list sources`, (error, stdout, stderr) => {
-        if (error) {
-          resolve({ name: 'Unknown Input Device', level: 0 });
-          return;
-        }
-
-        const sections = stdout.split('Source #');
-        let deviceName = 'Unknown Input Device';
-        let sourceId = null;
-        
-        // Only log if this is a different source than before
-        if (!this.lastDetailedSource || this.lastDetailedSource !== sourceName) {
-          console.log('Voice Notes Wrapper: Looking for source:', sourceName);
-        }
-        
-        // Find the section that matches our source name
-        for (const section of sections) {
-          if (section.includes(`Name: ${sourceName}`)) {
-            if (!this.lastDetailedSource || this.lastDetailedSource !== sourceName) {
-              console.log('Voice Notes Wrapper: Found matching section for:', sourceName);
-              this.lastDetailedSource = sourceName;
-            }
-            const lines = section.split('\n');
-            sourceId = lines[0].trim();
-            
-            // Look for device description
-            for (const line of lines) {
-              if (line.includes('device.description')) {
-                const match = line.match(/device\.description = "(.+)"/); 
-                if (match) {
-                  deviceName = match[1];
-                  break;
-                }
-              }
-              if (line.includes('alsa.card_name')) {
-                const match = line.match(/alsa\.card_name = "(.+)"/); 
-                if (match) {
-                  deviceName = match[1];
-                  break;
-                }
-              }
-            }
-            break;
-          }
-        }
-
-        // Get current input level
-        this.getInputLevelByName(sourceName).then(level => {
-          resolve({ name: deviceName, level: level });
-        }).catch(() => {
-          resolve({ name: deviceName, level: 0 });
-        });
-      });
-    });
+  async detectBackend(preference) {
+    if (preference !== 'auto') {
+      const Backend = BACKENDS[preference];
+      if (!Backend) {
+        console.log(`Voice Notes Wrapper: Unknown audio backend "${preference}", detecting one`);
+      } else {
+        const backend = new Backend(this.backendOptions);
+        if (await backend.isAvailable()) return backend;
+        console.log(`Voice Notes Wrapper: Audio backend ${backend.label} is not available, detecting one`);
+      }
+    }
+
+    for (const Backend of Object.values(BACKENDS)) {
+      const backend = new Backend(this.backendOptions);
+      if (await backend.isAvailable()) return backend;
+    }
+    return null;
   }
 
-  // Get detailed source information by ID (legacy method)
-  async getDetailedSourceInfo(sourceId) {
-    return new Promise((resolve, reject) => {
-      exec(`pactl list sources | grep -A 20 "Source #${sourceId}"`, (error, stdout, stderr) => {
-        if (error) {
-          resolve({ name: 'Unknown Input Device', level: 0 });
-          return;
-        }
-
-        const lines = stdout.split('\n');
-        let deviceName = 'Unknown Input Device';
-        
-        // Look for device description
-        for (const line of lines) {
-          if (line.includes('device.description')) {
-            const match = line.match(/device\.description = "(.+)"/); 
-            if (match) {
-              deviceName = match[1];
-              break;
-            }
-          }
-          if (line.includes('alsa.card_name')) {
-            const match = line.match(/alsa\.card_name = "(.+)"/); 
-            if (match) {
-              deviceName = match[1];
-              break;
-            }
-          }
-        }
-
-        // Get current input level
-        this.getInputLevel(sourceId).then(level => {
-          resolve({ name: deviceName, level: level });
-        }).catch(() => {
-          resolve({ name: deviceName, level: 0 });
-        });
-      });
-    });
+  async ensureBackend() {
+    if (!this.backendDetection) {
+      await this.selectBackend();
+    } else {
+      await this.backendDetection;
+    }
+    return this.backend;
   }
 
-  // Get current input level by source name
-  async getInputLevelByName(sourceName) {
-    return new Promise((resolve, reject) => {
-      exec(`pactl list sources | grep -A 10 "Name: ${sourceName}" | grep "Volume:"`, (error, stdout, stderr) => {
-        if (error) {
-          resolve(0);
-          return;
-        }
-
-        // Parse volume percentage
-        const volumeMatch = stdout.match(/(\d+)%/);
-        if (volumeMatch) {
-          resolve(parseInt(volumeMatch[1]) / 100);
-        } else {
-          resolve(0);
-        }
-      });
-    });
+  // { name, label } of the active backend, or null before one is found
+  getBackend() {
+    return this.backend ? { name: this.backend.name, label: this.backend.label } : null;
   }
 
-  // Get current input level for a source (legacy method)
-  async getInputLevel(sourceId) {
-    return new Promise((resolve, reject) => {
-      exec(`pactl list sources | grep -A 5 "Source #${sourceId}" | grep "Volume:"`, (error, stdout, stderr) => {
-        if (error) {
-          resolve(0);
-          return;
-        }
-
-        // Parse volume percentage
-        const volumeMatch = stdout.match(/(\d+)%/);
-        if (volumeMatch) {
-          resolve(parseInt(volumeMatch[1]) / 100);
-        } else {
-          resolve(0);
-        }
-      });
-    });
+  // The default source, falling back to the first real input when the
+  // backend reports no default
+  async findDefaultSource() {
+    const backend = await this.ensureBackend();
+    if (!backend) {
+      throw new Error('No audio backend available');
+    }
+
+    let source = await backend.getDefaultSource();
+    if (!source) {
+      const sources = await backend.listSources();
+      source = sources.find(candidate => !pactlParser.isMonitorSource(candidate)) || null;
+    }
+
+    // Only log if this is a different source than before
+    if (source && (!this.lastLoggedSource || this.lastLoggedSource !== source.name)) {
+      console.log('Voice Notes Wrapper: Default source detected:', source.name);
+      this.lastLoggedSource = source.name;
+    }
+    this.defaultSource = source;
+    return source;
   }
 
-  // Fallback to ALSA if PulseAudio is not available
-  async getAlsaInputInfo() {
-    return new Promise((resolve, reject) => {
-      exec('arecord -l', (error, stdout, stderr) => {
-        if (error) {
-          resolve({ name: 'System Audio Input', level: 0 });
-          return;
-        }
-
-        const lines = stdout.split('\n');
-        let deviceName = 'System Audio Input';
-        
-        for (const line of lines) {
-          if (line.includes('card') && line.includes('device')) {
-            const match = line.match(/card \d+: (.+?) \[/);
-            if (match) {
-              deviceName = match[1].trim();
-              break;
-            }
-          }
-        }
-
-        resolve({ name: deviceName, level: 0 });
-      });
-    });
+  async requireDefaultSource() {
+    try {
+      const source = await this.findDefaultSource();
+      if (source) return source;
+    } catch (error) {
+      // Reported below
+    }
+    throw new Error('Could not get default source');
+  }
+
+  // Get current input device information; source is the backend's name for
+  // the device, name the one shown to the user
+  async getInputDeviceInfo() {
+    let source;
+    try {
+      source = await this.findDefaultSource();
+    } catch (error) {
+      return { name: 'System Audio Input', level: 0, source: null };
+    }
+
+    if (!source) {
+      return { name: 'No Input Device', level: 0, source: null };
+    }
+    return { name: pactlParser.getSourceDisplayName(source), level: source.volume, source: source.name };
   }
 
-  // Start monitoring input levels
+  // Microphones that can be picked, as { name, label, description }
+  async listInputSources() {
+    const backend = await this.ensureBackend();
+    if (!backend) return [];
+
+    const sources = await backend.listSources();
+    return sources
+      .filter(source => !pactlParser.isMonitorSource(source))
+      .map(source => ({
+        name: source.name,
+        label: pactlParser.getSourceDisplayName(source),
+        description: source.description
+      }));
+  }
+
+  // The last listed microphones, the default and the remembered choice
+  getInputSources() {
+    return {
+      sources: this.inputSources,
+      defaultSource: this.defaultSource ? this.defaultSource.name : null,
+      preferredSource: this.preferredSource
+    };
+  }
+
+  // Re-list the microphones. Emits 'sourcesChanged' when the list changed,
+  // and makes the preferred source the default when it (re)appears.
+  async refreshSources() {
+    const sources = await this.listInputSources();
+    if (JSON.stringify(sources) !== JSON.stringify(this.inputSources)) {
+      this.inputSources = sources;
+      this.emit('sourcesChanged', this.getInputSources());
+    }
+
+    const preferredPresent = Boolean(this.preferredSource) && sources.some(source => source.name === this.preferredSource);
+    const appeared = preferredPresent && !this.preferredSourcePresent;
+    this.preferredSourcePresent = preferredPresent;
+    if (appeared && (!this.defaultSource || this.defaultSource.name !== this.preferredSource)) {
+      console.log('Voice Notes Wrapper: Switching to the preferred microphone:', this.preferredSource);
+      await this.setDefaultSource(this.preferredSource);
+    }
+  }
+
+  // Make a source the system default
+  async setDefaultSource(sourceName) {
+    const backend = await this.ensureBackend();
+    if (!backend) {
+      throw new Error('No audio backend available');
+    }
+
+    const sources = await backend.listSources();
+    const source = sources.find(candidate => candidate.name === sourceName);
+    if (!source) {
+      throw new Error(`No source named ${sourceName}`);
+    }
+
+    await backend.setDefaultSource(source);
+    this.scheduleRefresh('full');
+    return { success: true, sourceName: source.name };
+  }
+
+  // Start monitoring the default input device. Changes are picked up from
+  // the backend's long-running monitor command (pw-dump --monitor or pactl
+  // subscribe); polling every intervalMs is only used when there is none.
   startMonitoring(intervalMs = 1000) {
     if (this.isMonitoring) {
       return;
     }
 
     this.isMonitoring = true;
-    this.monitorInterval = setInterval(async () => {
-      try {
-        const deviceInfo = await this.getInputDeviceInfo();
-        
-        // Only emit if device info has changed
-        if (!this.currentInputDevice || 
-            this.currentInputDevice.name !== deviceInfo.name ||
-            Math.abs(this.currentInputDevice.level - deviceInfo.level) > 0.05) {
-          
-          this.currentInputDevice = deviceInfo;
-          this.emit('deviceUpdate', deviceInfo);
-        }
-      } catch (error) {
-        console.log('Voice Notes Wrapper: Error monitoring audio:', error.message);
-      }
-    }, intervalMs);
+    this.pollIntervalMs = intervalMs;
 
     // Get initial device info
-    this.getInputDeviceInfo().then(deviceInfo => {
-      this.currentInputDevice = deviceInfo;
-      this.emit('deviceUpdate', deviceInfo);
-    }).catch(error => {
-      console.log('Voice Notes Wrapper: Error getting initial device info:', error.message);
+    this.refreshDevice('full');
+    this.startSubscriber();
+  }
+
+  async startSubscriber() {
+    const backend = await this.ensureBackend();
+    if (!this.isMonitoring || this.subscriber || backend !== this.backend) return;
+
+    const monitorCommand = backend && backend.getMonitorCommand();
+    if (!monitorCommand) {
+      this.startPolling();
+      return;
+    }
+
+    const { command, args, parseLine } = monitorCommand;
+    const commandLine = [command, ...args].join(' ');
+    const startedAt = Date.now();
+    const subscriber = spawn(command, args, { env: { ...process.env, LC_ALL: 'C' }, stdio: ['ignore', 'pipe', 'ignore'] });
+    this.subscriber = subscriber;
+    let buffer = '';
+
+    subscriber.stdout.setEncoding('utf8');
+    subscriber.stdout.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        parseLine(line).forEach(event => this.handleChangeEvent(event));
+      }
+    });
+
+    subscriber.on('error', (error) => {
+      if (this.subscriber !== subscriber) return;
+      this.subscriber = null;
+      console.log(`Voice Notes Wrapper: ${commandLine} not available:`, error.message);
+      this.startPolling();
+    });
+
+    subscriber.on('exit', (code, signal) => {
+      if (this.subscriber !== subscriber) return;
+      this.subscriber = null;
+      if (!this.isMonitoring) return;
+
+      // A subscriber that ran for a while just died; one that exits straight
+      // away (no sound server) counts towards giving up
+      this.subscriberFailures = Date.now() - startedAt > 10000 ? 1 : this.subscriberFailures + 1;
+      if (this.subscriberFailures >= SUBSCRIBER_MAX_QUICK_FAILURES) {
+        console.log(`Voice Notes Wrapper: ${commandLine} keeps exiting, falling back to polling`);
+        this.startPolling();
+        return;
+      }
+
+      const delay = Math.min(SUBSCRIBER_RESTART_MAX_MS, SUBSCRIBER_RESTART_BASE_MS * 2 ** (this.subscriberFailures - 1));
+      console.log(`Voice Notes Wrapper: ${commandLine} exited (${signal || code}), restarting in ${delay / 1000}s`);
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        if (!this.isMonitoring) return;
+        // Catch up on anything missed while the subscriber was down
+        this.refreshDevice('full');
+        this.startSubscriber();
+      }, delay);
     });
   }
 
-  // Stop monitoring
-  stopMonitoring() {
+  stopSubscriber() {
     if (this.monitorInterval) {
       clearInterval(this.monitorInterval);
       this.monitorInterval = null;
     }
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    if (this.subscriber) {
+      const subscriber = this.subscriber;
+      this.subscriber = null;
+      subscriber.kill();
+    }
+  }
+
+  // React to a change reported by the backend's monitor command
+  handleChangeEvent(event) {
+    if (event.type === 'full') {
+      // The default source may have changed or a source come or gone
+      this.scheduleRefresh('full');
+    } else if (this.defaultSource && this.defaultSource.index === event.index) {
+      // Volume or mute of the default source changed; other sources don't matter
+      this.scheduleRefresh('source');
+    }
+  }
+
+  scheduleRefresh(kind) {
+    this.pendingRefresh = this.pendingRefresh === 'full' ? 'full' : kind;
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setTimeout(() => {
+      const pending = this.pendingRefresh;
+      this.refreshTimer = null;
+      this.pendingRefresh = null;
+      this.refreshDevice(pending);
+    }, EVENT_DEBOUNCE_MS);
+  }
+
+  // Re-query the device ('full') or only the default source's volume ('source')
+  async refreshDevice(kind) {
+    try {
+      let deviceInfo;
+      if (kind === 'source' && this.backend && this.defaultSource && this.currentInputDevice) {
+        const level = await this.backend.getSourceVolume(this.defaultSource);
+        deviceInfo = { ...this.currentInputDevice, level };
+      } else {
+        await this.refreshSources().catch(error => {
+          console.log('Voice Notes Wrapper: Error listing audio sources:', error.message);
+        });
+        deviceInfo = await this.getInputDeviceInfo();
+      }
+      this.emitIfChanged(deviceInfo);
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Error monitoring audio:', error.message);
+    }
+  }
+
+  emitIfChanged(deviceInfo) {
+    if (!this.currentInputDevice ||
+        this.currentInputDevice.name !== deviceInfo.name ||
+        this.currentInputDevice.source !== deviceInfo.source ||
+        Math.round(this.currentInputDevice.level * 100) !== Math.round(deviceInfo.level * 100)) {
+      this.currentInputDevice = deviceInfo;
+      this.emit('deviceUpdate', deviceInfo);
+    }
+  }
+
+  // Poll when the backend cannot report changes
+  startPolling() {
+    if (this.monitorInterval || !this.isMonitoring) return;
+    console.log(`Voice Notes Wrapper: Polling audio devices every ${this.pollIntervalMs / 1000}s`);
+    this.monitorInterval = setInterval(() => this.refreshDevice('full'), this.pollIntervalMs);
+  }
+
+  // Stop monitoring
+  stopMonitoring() {
     this.isMonitoring = false;
+    this.stopSubscriber();
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
   }
 
   // Get current device info without starting monitoring
@@ -278,57 +412,102 @@ class AudioMonitor extends EventEmitter {
 
   // Toggle microphone mute status
   async toggleMute() {
-    return new Promise((resolve, reject) => {
-      // First get the current default source
-      exec('pactl get-default-source', (error, stdout, stderr) => {
-        if (error) {
-          reject(new Error('Could not get default source'));
-          return;
-        }
-
-        const defaultSource = stdout.trim();
-        
-        // Toggle mute for the default source
-        exec(`pactl set-source-mute ${defaultSource} toggle`, (error, stdout, stderr) => {
-          if (error) {
-            reject(new Error('Could not toggle mute'));
-            return;
-          }
-
-          // Get the new mute status
-          this.getMuteStatus().then(status => {
-            resolve({ success: true, isMuted: status.isMuted, sourceName: defaultSource });
-          }).catch(reject);
-        });
-      });
-    });
+    const source = await this.requireDefaultSource();
+
+    try {
+      await this.backend.setSourceMute(source, 'toggle');
+    } catch (error) {
+      throw new Error(`Could not toggle mute: ${error.message}`);
+    }
+
+    // Get the new mute status
+    const isMuted = await this.backend.getSourceMute(source);
+    return { success: true, isMuted: isMuted, sourceName: source.name };
+  }
+
+  // Mute or unmute the default source
+  async setMute(muted) {
+    const source = await this.requireDefaultSource();
+
+    try {
+      await this.backend.setSourceMute(source, muted);
+    } catch (error) {
+      throw new Error(`Could not set mute: ${error.message}`);
+    }
+    return { success: true, isMuted: muted, sourceName: source.name };
+  }
+
+  // Set the default source volume (1 = 100%), capped at the maximum gain
+  async setInputVolume(level) {
+    const source = await this.requireDefaultSource();
+    return this.applyInputVolume(source, level);
+  }
+
+  // Raise or lower the default source volume by a number of percentage points
+  async adjustInputVolume(deltaPercent) {
+    const source = await this.requireDefaultSource();
+    const current = await this.backend.getSourceVolume(source);
+    // Raising must never pull a volume set above the cap elsewhere down to it
+    if (deltaPercent > 0 && current >= this.maxLevel) {
+      return { success: true, level: current, maxLevel: this.maxLevel, sourceName: source.name };
+    }
+    return this.applyInputVolume(source, current + deltaPercent / 100);
+  }
+
+  async applyInputVolume(source, level) {
+    const target = Math.round(Math.max(0, Math.min(this.maxLevel, level)) * 100) / 100;
+
+    try {
+      await this.backend.setSourceVolume(source, target);
+    } catch (error) {
+      throw new Error(`Could not change source volume: ${error.message}`);
+    }
+
+    const newLevel = await this.backend.getSourceVolume(source);
+    this.emitIfChanged({ ...(this.currentInputDevice || {}), name: pactlParser.getSourceDisplayName(source), source: source.name, level: newLevel });
+    return { success: true, level: newLevel, maxLevel: this.maxLevel, sourceName: source.name };
+  }
+
+  // Card profile of the default source when it is a Bluetooth headset, or
+  // null when there is none or the backend cannot tell
+  async getCardProfile() {
+    const source = await this.requireDefaultSource();
+    if (typeof this.backend.getCardProfile !== 'function') return null;
+
+    try {
+      return await this.backend.getCardProfile(source);
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Could not read card profile:', error.message);
+      return null;
+    }
+  }
+
+  async setCardProfile(profile) {
+    const source = await this.requireDefaultSource();
+    if (typeof this.backend.setCardProfile !== 'function') {
+      throw new Error(`${this.backend.label} cannot change card profiles`);
+    }
+
+    try {
+      await this.backend.setCardProfile(source, profile);
+    } catch (error) {
+      throw new Error(`Could not set card profile: ${error.message}`);
+    }
+    return { success: true, profile, sourceName: source.name };
   }
 
   // Get current microphone mute status
   async getMuteStatus() {
-    return new Promise((resolve, reject) => {
-      // First get the current default source
-      exec('pactl get-default-source', (error, stdout, stderr) => {
-        if (error) {
-          reject(new Error('Could not get default source'));
-          return;
-        }
-
-        const defaultSource = stdout.trim();
-        
-        // Get mute status for the default source
-        exec(`pactl list sources | grep -A 10 "Name: ${defaultSource}" | grep "Mute:"`, (error, stdout, stderr) => {
-          if (error) {
-            resolve({ isMuted: false, sourceName: defaultSource });
-            return;
-          }
-
-          const isMuted = stdout.includes('Mute: yes');
-          resolve({ isMuted: isMuted, sourceName: defaultSource });
-        });
-      });
-    });
+    const source = await this.requireDefaultSource();
+
+    try {
+      const isMuted = await this.backend.getSourceMute(source);
+      return { isMuted: isMuted, sourceName: source.name };
+    } catch (error) {
+      return { isMuted: source.muted, sourceName: source.name };
+    }
   }
 }
 
 module.exports = AudioMonitor;
+module.exports.BACKENDS = Object.keys(BACKENDS);
@@ -0,0 +1,226 @@
+// Local processing of the microphone before it reaches Voice Notes
+// A Web Audio chain of high-pass filter, noise gate, compressor, makeup gain
+// and limiter, wrapped around the stream the page gets from getUserMedia.
+// createProcessingChain and registerNoiseGateProcessor are serialised into
+// the page by preload.js (they run alongside page-hooks.js), so they must
+// stay self-contained: no requires and no references to anything outside
+// their bodies.
+
+// Parameters of each preset. A missing stage is left out (passed through).
+//   highpassHz: cut-off of the rumble filter
+//   gate: { thresholdDb, rangeDb (how far a closed gate turns down), holdMs }
+//   compressor: { thresholdDb, ratio, kneeDb, attackMs, releaseMs }
+//   makeupGainDb: fixed gain after the compressor
+//   limiterDb: ceiling of the final limiter
+const PROCESSING_PRESETS = {
+  off: {
+    label: 'Off'
+  },
+  podcast: {
+    label: 'Podcast mic',
+    highpassHz: 80,
+    gate: { thresholdDb: -55, rangeDb: -20, holdMs: 250 },
+    compressor: { thresholdDb: -24, ratio: 3, kneeDb: 6, attackMs: 5, releaseMs: 200 },
+    makeupGainDb: 3,
+    limiterDb: -1
+  },
+  noisyLaptop: {
+    label: 'Laptop in noisy room',
+    highpassHz: 120,
+    gate: { thresholdDb: -45, rangeDb: -30, holdMs: 200 },
+    compressor: { thresholdDb: -28, ratio: 4, kneeDb: 10, attackMs: 3, releaseMs: 250 },
+    makeupGainDb: 6,
+    limiterDb: -1
+  }
+};
+
+const PROCESSING_PRESET_NAMES = Object.keys(PROCESSING_PRESETS);
+
+// The body of the noise gate's AudioWorklet module. The gate runs on the
+// audio rendering thread, so unlike a timer on the page it keeps up when
+// the window is hidden. It follows the loudest channel, opens fast and
+// closes slowly once the level has stayed below the threshold for holdMs.
+function registerNoiseGateProcessor() {
+  // Time constants in seconds of the level follower and the gain changes
+  const LEVEL_SECONDS = 0.02;
+  const OPEN_SECONDS = 0.003;
+  const CLOSE_SECONDS = 0.08;
+
+  class NoiseGateProcessor extends AudioWorkletProcessor {
+    constructor() {
+      super();
+      const coefficient = seconds => Math.exp(-1 / (seconds * sampleRate));
+      this.levelCoefficient = coefficient(LEVEL_SECONDS);
+      this.openCoefficient = coefficient(OPEN_SECONDS);
+      this.closeCoefficient = coefficient(CLOSE_SECONDS);
+      this.gate = null;
+      this.power = 0;
+      this.gain = 1;
+      this.quietSamples = 0;
+
+      // { thresholdDb, rangeDb, holdMs }, or null to let everything through
+      this.port.onmessage = (event) => {
+        const gate = event.data;
+        this.gate = gate && {
+          thresholdPower: Math.pow(10, gate.thresholdDb / 10),
+          closedGain: Math.pow(10, gate.rangeDb / 20),
+          holdSamples: gate.holdMs / 1000 * sampleRate
+        };
+      };
+    }
+
+    process(inputs, outputs) {
+      const input = inputs[0];
+      const output = outputs[0];
+
+      for (let i = 0; i < output[0].length; i++) {
+        let square = 0;
+        for (const channel of input) square = Math.max(square, channel[i] * channel[i]);
+        this.power = square + (this.power - square) * this.levelCoefficient;
+
+        let target = 1;
+        if (this.gate) {
+          this.quietSamples = this.power >= this.gate.thresholdPower ? 0 : this.quietSamples + 1;
+          if (this.quietSamples > this.gate.holdSamples) target = this.gate.closedGain;
+        }
+        this.gain = target + (this.gain - target) * (target > this.gain ? this.openCoefficient : this.closeCoefficient);
+
+        for (let c = 0; c < output.length; c++) {
+          const channel = input[c] || input[0];
+          output[c][i] = channel ? channel[i] * this.gain : 0;
+        }
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('voice-notes-noise-gate', NoiseGateProcessor);
+}
+
+// Build the chain for a microphone stream. Returns
+//   { stream, update(params), monitor(mode), close() }
+// where stream carries the processed audio, update switches presets live,
+// monitor plays 'raw' or 'processed' audio to the speakers (or 'off'), and
+// close stops the input tracks and releases the audio context.
+// gateModule is registerNoiseGateProcessor; the gate is added once its
+// worklet has loaded, and left out if the page does not allow loading it.
+function createProcessingChain(inputStream, params, gateModule) {
+  const context = new AudioContext({ latencyHint: 'interactive' });
+  const inputTrack = inputStream.getAudioTracks()[0];
+  const channels = (inputTrack && inputTrack.getSettings().channelCount) || 1;
+  const dbToGain = db => Math.pow(10, db / 20);
+
+  const source = context.createMediaStreamSource(inputStream);
+  const highpass = context.createBiquadFilter();
+  const compressor = context.createDynamicsCompressor();
+  const makeup = context.createGain();
+  const limiter = context.createDynamicsCompressor();
+  const destination = context.createMediaStreamDestination();
+  const monitorGain = context.createGain();
+  destination.channelCount = channels;
+
+  source.connect(highpass);
+  highpass.connect(compressor);
+  compressor.connect(makeup);
+  makeup.connect(limiter);
+  limiter.connect(destination);
+  monitorGain.connect(context.destination);
+
+  let current = {};
+  let gate = null;
+  let closed = false;
+
+  if (gateModule && context.audioWorklet) {
+    const moduleUrl = URL.createObjectURL(new Blob([`(${gateModule.toString()})();`], { type: 'text/javascript' }));
+    context.audioWorklet.addModule(moduleUrl).then(() => {
+      if (closed) return;
+      gate = new AudioWorkletNode(context, 'voice-notes-noise-gate', {
+        channelCount: channels,
+        channelCountMode: 'explicit',
+        outputChannelCount: [channels]
+      });
+      gate.port.postMessage(current.gate || null);
+      highpass.disconnect(compressor);
+      highpass.connect(gate);
+      gate.connect(compressor);
+    }).catch((error) => {
+      console.log('Voice Notes Wrapper: Noise gate not available, processing without it:', error.message);
+    }).finally(() => URL.revokeObjectURL(moduleUrl));
+  }
+
+  const update = (nextParams) => {
+    current = nextParams || {};
+    const now = context.currentTime;
+
+    if (current.highpassHz) {
+      highpass.type = 'highpass';
+      highpass.frequency.setValueAtTime(current.highpassHz, now);
+    } else {
+      // A shelf with no gain passes everything unchanged
+      highpass.type = 'lowshelf';
+      highpass.gain.setValueAtTime(0, now);
+    }
+
+    if (gate) gate.port.postMessage(current.gate || null);
+
+    const comp = current.compressor || { thresholdDb: 0, ratio: 1, kneeDb: 0, attackMs: 3, releaseMs: 250 };
+    compressor.threshold.setValueAtTime(comp.thresholdDb, now);
+    compressor.ratio.setValueAtTime(comp.ratio, now);
+    compressor.knee.setValueAtTime(comp.kneeDb, now);
+    compressor.attack.setValueAtTime(comp.attackMs / 1000, now);
+    compressor.release.setValueAtTime(comp.releaseMs / 1000, now);
+
+    makeup.gain.setValueAtTime(dbToGain(current.makeupGainDb || 0), now);
+
+    const hasLimiter = typeof current.limiterDb === 'number';
+    limiter.threshold.setValueAtTime(hasLimiter ? current.limiterDb : 0, now);
+    limiter.ratio.setValueAtTime(hasLimiter ? 20 : 1, now);
+    limiter.knee.setValueAtTime(0, now);
+    limiter.attack.setValueAtTime(0.001, now);
+    limiter.release.setValueAtTime(0.05, now);
+  };
+
+  let monitorFrom = null;
+  const monitor = (mode) => {
+    if (monitorFrom) {
+      monitorFrom.disconnect(monitorGain);
+      monitorFrom = null;
+    }
+    if (mode === 'raw') monitorFrom = source;
+    if (mode === 'processed') monitorFrom = limiter;
+    if (monitorFrom) monitorFrom.connect(monitorGain);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    for (const track of inputStream.getTracks()) track.stop();
+    context.close();
+  };
+
+  update(params);
+  context.resume();
+
+  // Stopping the processed track must release the microphone too
+  const outputTrack = destination.stream.getAudioTracks()[0];
+  const stopOutput = outputTrack.stop.bind(outputTrack);
+  outputTrack.stop = () => {
+    stopOutput();
+    close();
+  };
+  if (inputTrack) {
+    inputTrack.addEventListener('ended', () => {
+      stopOutput();
+      close();
+    });
+  }
+
+  return { stream: destination.stream, update, monitor, close };
+}
+
+module.exports = {
+  PROCESSING_PRESETS,
+  PROCESSING_PRESET_NAMES,
+  registerNoiseGateProcessor,
+  createProcessingChain
+};
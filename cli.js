@@ -0,0 +1,93 @@
+// Command-line control of a running instance
+// A second launch with one of the flags below forwards the command to the
+// running instance (through Electron's single-instance lock) and exits.
+// --status has no return channel through the lock, so the running instance
+// answers by writing status.json, tagged with the request id.
+
+const fs = require('fs');
+
+const CLI_COMMANDS = {
+  '--record': 'record',
+  '--pause': 'pause',
+  '--stop': 'stop',
+  '--toggle': 'toggle',
+  '--status': 'status',
+  '--show': 'show',
+  '--help': 'help'
+};
+
+// Exit codes for --status
+const STATUS_EXIT_CODES = {
+  recording: 0,
+  paused: 1,
+  stopped: 2,
+  notRunning: 3,
+  noResponse: 4
+};
+
+const USAGE = `Usage: voicenotes-wrapper [--record | --pause | --stop | --toggle | --status | --show]
+
+  --record   Start recording (resumes a paused recording)
+  --pause    Pause recording
+  --stop     Stop recording
+  --toggle   Start recording when stopped, stop it otherwise
+  --status   Print the recording state, microphone and mute status as JSON
+  --show     Show the Voice Notes window
+
+Exit codes for --status: 0 recording, 1 paused, 2 stopped, 3 not running, 4 no response`;
+
+// Find the command in an argv array. Unknown arguments are ignored, as
+// Electron and Chromium add their own switches.
+function parseCliCommand(argv) {
+  const commands = argv.filter(arg => CLI_COMMANDS[arg]).map(arg => CLI_COMMANDS[arg]);
+  return commands.length > 0 ? commands[0] : null;
+}
+
+function writeStatusFile(filePath, status) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(status, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Wait for the running instance to write the status for requestId.
+// Resolves with the status, or null after timeoutMs.
+function waitForStatus(filePath, requestId, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+
+  return new Promise((resolve) => {
+    const check = () => {
+      try {
+        const status = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (status.requestId === requestId) {
+          resolve(status);
+          return;
+        }
+      } catch (error) {
+        // Not written yet, or caught mid-write
+      }
+
+      if (Date.now() >= deadline) {
+        resolve(null);
+      } else {
+        setTimeout(check, 50);
+      }
+    };
+    check();
+  });
+}
+
+function getStatusExitCode(status) {
+  if (!status) return STATUS_EXIT_CODES.noResponse;
+  if (!status.running) return STATUS_EXIT_CODES.notRunning;
+  return STATUS_EXIT_CODES[status.recordingState] ?? STATUS_EXIT_CODES.noResponse;
+}
+
+module.exports = {
+  CLI_COMMANDS,
+  STATUS_EXIT_CODES,
+  USAGE,
+  parseCliCommand,
+  writeStatusFile,
+  waitForStatus,
+  getStatusExitCode
+};
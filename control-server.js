@@ -0,0 +1,182 @@
+// Local control API over a Unix domain socket
+// Newline-delimited JSON-RPC 2.0: each request is one line such as
+//   {"jsonrpc":"2.0","id":1,"method":"recording.start"}
+// and gets one response line. Clients that call events.subscribe also
+// receive notifications ({"jsonrpc":"2.0","method":"event","params":{...}})
+// for state changes and device updates. The socket lives in a directory only
+// the current user can enter, and is itself readable by the user only.
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const MAX_LINE_LENGTH = 64 * 1024;
+
+const RPC_ERRORS = {
+  parse: { code: -32700, message: 'Parse error' },
+  invalidRequest: { code: -32600, message: 'Invalid request' },
+  methodNotFound: { code: -32601, message: 'Method not found' },
+  internal: { code: -32603, message: 'Internal error' }
+};
+
+// $XDG_RUNTIME_DIR/voicenotes-wrapper/control.sock, or a per-user directory
+// in the temp folder when there is no runtime dir
+function getDefaultSocketPath(env = process.env) {
+  const baseDir = env.XDG_RUNTIME_DIR || os.tmpdir();
+  const dirName = env.XDG_RUNTIME_DIR ? 'voicenotes-wrapper' : `voicenotes-wrapper-${process.getuid()}`;
+  return path.join(baseDir, dirName, 'control.sock');
+}
+
+// Create the socket directory, or check an existing one is ours and private
+function preparePrivateDirectory(dirPath) {
+  fs.mkdirSync(dirPath, { recursive: true, mode: 0o700 });
+
+  const stats = fs.lstatSync(dirPath);
+  if (!stats.isDirectory() || stats.uid !== process.getuid()) {
+    throw new Error(`${dirPath} is not a directory owned by the current user`);
+  }
+  fs.chmodSync(dirPath, 0o700);
+}
+
+// Methods are passed in as { 'recording.start': async (params) => result };
+// events.subscribe and events.unsubscribe are handled here. Emits 'error'
+// when the socket cannot be set up.
+class ControlServer extends EventEmitter {
+  constructor({ socketPath = getDefaultSocketPath(), methods = {} } = {}) {
+    super();
+    this.socketPath = socketPath;
+    this.methods = methods;
+    this.server = null;
+    this.clients = new Set();
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      try {
+        preparePrivateDirectory(path.dirname(this.socketPath));
+        // A socket left behind by a crash would make listen() fail
+        if (fs.existsSync(this.socketPath)) fs.unlinkSync(this.socketPath);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      this.server = net.createServer(socket => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        fs.chmodSync(this.socketPath, 0o600);
+        this.server.removeListener('error', reject);
+        this.server.on('error', error => this.emit('error', error));
+        console.log(`Voice Notes Wrapper: Control socket listening at ${this.socketPath}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    for (const client of this.clients) {
+      client.socket.destroy();
+    }
+    this.clients.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      try {
+        fs.unlinkSync(this.socketPath);
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+
+  // Send an event to every client subscribed to its type
+  broadcast(type, data = {}) {
+    const line = JSON.stringify({ jsonrpc: '2.0', method: 'event', params: { type, ...data } }) + '\n';
+    for (const client of this.clients) {
+      if (client.subscriptions && (client.subscriptions.size === 0 || client.subscriptions.has(type))) {
+        client.socket.write(line);
+      }
+    }
+  }
+
+  handleConnection(socket) {
+    // subscriptions: null = not subscribed, empty set = all events
+    const client = { socket, subscriptions: null, buffer: '' };
+    this.clients.add(client);
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      client.buffer += chunk;
+      if (client.buffer.length > MAX_LINE_LENGTH && !client.buffer.includes('\n')) {
+        this.send(client, { jsonrpc: '2.0', id: null, error: { ...RPC_ERRORS.invalidRequest, message: 'Request too long' } });
+        socket.destroy();
+        return;
+      }
+
+      let newlineIndex;
+      while ((newlineIndex = client.buffer.indexOf('\n')) !== -1) {
+        const line = client.buffer.slice(0, newlineIndex).trim();
+        client.buffer = client.buffer.slice(newlineIndex + 1);
+        if (line) this.handleLine(client, line);
+      }
+    });
+
+    socket.on('close', () => this.clients.delete(client));
+    socket.on('error', () => this.clients.delete(client));
+  }
+
+  async handleLine(client, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      this.send(client, { jsonrpc: '2.0', id: null, error: RPC_ERRORS.parse });
+      return;
+    }
+
+    if (!request || typeof request.method !== 'string') {
+      this.send(client, { jsonrpc: '2.0', id: request && request.id !== undefined ? request.id : null, error: RPC_ERRORS.invalidRequest });
+      return;
+    }
+
+    const { id = null, method, params = {} } = request;
+    try {
+      const result = await this.callMethod(client, method, params);
+      // Requests without an id are notifications and get no response
+      if (id !== null) this.send(client, { jsonrpc: '2.0', id, result: result === undefined ? null : result });
+    } catch (error) {
+      if (id !== null) this.send(client, { jsonrpc: '2.0', id, error: error.rpcError || { ...RPC_ERRORS.internal, message: error.message } });
+    }
+  }
+
+  async callMethod(client, method, params) {
+    if (method === 'events.subscribe') {
+      client.subscriptions = new Set(Array.isArray(params.events) ? params.events : []);
+      return { subscribed: client.subscriptions.size > 0 ? Array.from(client.subscriptions) : 'all' };
+    }
+    if (method === 'events.unsubscribe') {
+      client.subscriptions = null;
+      return { subscribed: false };
+    }
+
+    const handler = this.methods[method];
+    if (!handler) {
+      const error = new Error(`Unknown method ${method}`);
+      error.rpcError = { ...RPC_ERRORS.methodNotFound, message: `Method not found: ${method}` };
+      throw error;
+    }
+    return handler(params);
+  }
+
+  send(client, message) {
+    if (!client.socket.destroyed) {
+      client.socket.write(JSON.stringify(message) + '\n');
+    }
+  }
+}
+
+module.exports = ControlServer;
+module.exports.getDefaultSocketPath = getDefaultSocketPath;
@@ -0,0 +1,109 @@
+// User hook commands for recording lifecycle events
+// Each event can run a shell command (e.g. pause music, toggle Do Not
+// Disturb, log to a time tracker). Commands get the details in VNW_*
+// environment variables, are killed after a timeout, and their output goes
+// to a log file.
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const HOOK_EVENTS = ['recordingStarted', 'recordingPaused', 'recordingResumed', 'recordingStopped', 'recordingFailed'];
+
+// The log is rotated to <file>.1 when it grows past this size
+const MAX_LOG_BYTES = 1024 * 1024;
+
+class HookRunner {
+  constructor(logPath, options = {}) {
+    this.logPath = logPath;
+    this.configure(options);
+  }
+
+  configure({ timeoutSeconds = 30, ...commands } = {}) {
+    this.timeoutSeconds = timeoutSeconds;
+    this.commands = {};
+    for (const event of HOOK_EVENTS) {
+      this.commands[event] = (commands[event] || '').trim();
+    }
+  }
+
+  // Run the command for an event, if any. details become VNW_* variables
+  // (e.g. { state: 'recording' } -> VNW_STATE=recording).
+  run(event, details = {}) {
+    const command = this.commands[event];
+    if (!command) return;
+
+    const env = { ...process.env, VNW_EVENT: event };
+    for (const [key, value] of Object.entries(details)) {
+      if (value === null || value === undefined) continue;
+      env[`VNW_${key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`] = String(value);
+    }
+
+    const startedAt = Date.now();
+    this.log(`[${new Date(startedAt).toISOString()}] ${event}: ${command}`);
+
+    let child;
+    try {
+      // Own process group, so a timeout also stops anything the command started
+      child = spawn('sh', ['-c', command], { env, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (error) {
+      this.log(`  could not start: ${error.message}`);
+      return;
+    }
+
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      this.killGroup(child, 'SIGTERM');
+      setTimeout(() => this.killGroup(child, 'SIGKILL'), 2000).unref();
+    }, this.timeoutSeconds * 1000);
+
+    child.stdout.on('data', data => this.logOutput('out', data));
+    child.stderr.on('data', data => this.logOutput('err', data));
+
+    child.on('error', (error) => {
+      clearTimeout(timeout);
+      this.log(`  ${event} failed to run: ${error.message}`);
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timeout);
+      const duration = ((Date.now() - startedAt) / 1000).toFixed(1);
+      if (timedOut) {
+        this.log(`  ${event} timed out after ${this.timeoutSeconds}s and was stopped`);
+        console.log(`Voice Notes Wrapper: Hook ${event} timed out`);
+      } else {
+        this.log(`  ${event} exited with ${signal ? `signal ${signal}` : `code ${code}`} after ${duration}s`);
+        if (code !== 0) console.log(`Voice Notes Wrapper: Hook ${event} failed (${signal || code}), see ${this.logPath}`);
+      }
+    });
+  }
+
+  killGroup(child, signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      // Already exited
+    }
+  }
+
+  logOutput(stream, data) {
+    const lines = data.toString().split('\n').filter(line => line.length > 0);
+    for (const line of lines) {
+      this.log(`  ${stream}: ${line}`);
+    }
+  }
+
+  log(line) {
+    try {
+      if (fs.existsSync(this.logPath) && fs.statSync(this.logPath).size > MAX_LOG_BYTES) {
+        fs.renameSync(this.logPath, `${this.logPath}.1`);
+      }
+      fs.appendFileSync(this.logPath, `${line}\n`);
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Could not write hook log:', error.message);
+    }
+  }
+}
+
+module.exports = HookRunner;
+module.exports.HOOK_EVENTS = HOOK_EVENTS;
@@ -0,0 +1,99 @@
+const { EventEmitter } = require('events');
+
+const WARNING_MESSAGES = {
+  clipping: 'Input is clipping - lower the microphone gain',
+  'too-quiet': 'Input level is very low - raise the gain or move closer to the microphone',
+  muted: 'Microphone is muted - nothing is being recorded'
+};
+
+// Watches the live input while recording and raises warnings for a bad take:
+// sustained clipping, a very quiet signal, or a muted source. Emits 'warning'
+// ({ type, message }) when a problem starts and 'cleared' (type) when it ends.
+class InputWarnings extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.active = new Map();
+    this.clipTimes = [];
+    this.loudSince = null;
+    this.lastLoudAt = null;
+    this.isMuted = false;
+    this.configure(options);
+  }
+
+  configure({ enabled = true, clipThresholdDb = -1, quietThresholdDb = -45, quietSeconds = 10 } = {}) {
+    this.enabled = enabled;
+    this.clipThresholdDb = clipThresholdDb;
+    this.quietThresholdDb = quietThresholdDb;
+    this.quietSeconds = quietSeconds;
+    if (!enabled) this.clearAll();
+  }
+
+  getActiveWarnings() {
+    return Array.from(this.active.values());
+  }
+
+  // Feed one level reading ({ peak } in dBFS) with the current recording state
+  update(level, recordingState, now = Date.now()) {
+    if (!this.enabled || recordingState !== 'recording' || !level) {
+      this.clipTimes = [];
+      this.lastLoudAt = null;
+      this.clearAll();
+      return;
+    }
+
+    if (this.lastLoudAt === null) this.lastLoudAt = now;
+
+    // Clipping: several clipped readings within three seconds
+    if (level.peak >= this.clipThresholdDb) {
+      this.clipTimes.push(now);
+    }
+    this.clipTimes = this.clipTimes.filter(time => now - time < 3000);
+
+    if (this.clipTimes.length >= 3) {
+      this.raise('clipping');
+    } else if (this.active.has('clipping') && this.clipTimes.length === 0) {
+      this.clear('clipping');
+    }
+
+    // Too quiet: no peak above the threshold for quietSeconds. A muted source
+    // is silent too, so the muted warning takes its place.
+    if (level.peak >= this.quietThresholdDb) {
+      this.lastLoudAt = now;
+      this.clear('too-quiet');
+    } else if (!this.isMuted && now - this.lastLoudAt >= this.quietSeconds * 1000) {
+      this.raise('too-quiet');
+    }
+  }
+
+  // Report the source mute status (polled by main.js while recording)
+  setMuted(isMuted, recordingState) {
+    this.isMuted = isMuted;
+    if (this.enabled && isMuted && recordingState === 'recording') {
+      this.clear('too-quiet');
+      this.raise('muted');
+    } else {
+      this.clear('muted');
+    }
+  }
+
+  raise(type) {
+    if (this.active.has(type)) return;
+    const warning = { type, message: WARNING_MESSAGES[type] };
+    this.active.set(type, warning);
+    this.emit('warning', warning);
+  }
+
+  clear(type) {
+    if (!this.active.has(type)) return;
+    this.active.delete(type);
+    this.emit('cleared', type);
+  }
+
+  clearAll() {
+    for (const type of Array.from(this.active.keys())) {
+      this.clear(type);
+    }
+  }
+}
+
+module.exports = InputWarnings;
@@ -3,6 +3,40 @@ const path = require('path');
 const fs = require('fs');
 const { exec } = require('child_process');
 const AudioMonitor = require('./audio-monitor');
+const SafetyRecorder = require('./safety-recorder');
+const SilenceDetector = require('./silence-detector');
+const VoxTrigger = require('./vox-trigger');
+const InputWarnings = require('./input-warnings');
+const { SettingsStore } = require('./settings-store');
+const ShortcutManager = require('./shortcut-manager');
+const PortalShortcuts = require('./portal-shortcuts');
+const MprisService = require('./mpris-service');
+const {
+  USAGE,
+  parseCliCommand,
+  writeStatusFile,
+  waitForStatus,
+  getStatusExitCode
+} = require('./cli');
+const ControlServer = require('./control-server');
+const HookRunner = require('./hook-runner');
+const {
+  DEFAULT_SELECTOR_PROFILE,
+  ensureSelectorProfileFile,
+  loadSelectorProfile,
+  watchSelectorProfile,
+  findButtonForAction
+} = require('./selector-profile');
+const {
+  MIC_PROFILE_CONSTRAINTS,
+  MIC_PROFILE_MAX_GAIN_PERCENT,
+  loadMicProfiles,
+  saveMicProfiles,
+  watchMicProfiles,
+  findMicProfile,
+  getMicProfileConstraints
+} = require('./mic-profiles');
+const { PROCESSING_PRESETS } = require('./audio-processing');
 
 // Disable sandbox to avoid permission issues on Linux
 app.commandLine.appendSwitch('--no-sandbox');
@@ -15,69 +49,293 @@ let recordingState = 'stopped'; // 'stopped', 'recording', 'paused'
 let currentMicrophone = null;
 let audioMonitor = null;
 let systemAudioInfo = { name: 'System Audio Input', level: 0 };
+let inputSignalLevel = null; // { rms, peak, peakHold } in dBFS, measured in the renderer
+let lastSignalTrayUpdate = 0;
+const SIGNAL_TRAY_REFRESH_MS = 2000;
+let selectorProfile = DEFAULT_SELECTOR_PROFILE;
+let micProfiles = {};
+let activeMicProfile = null; // { source, key, profile } of the current input; profile is null when none is saved
+let captureSettings = null; // processing on the page's microphone track, as the browser reports it
 
-// Configurable keyboard shortcuts (default values - using safe combinations)
-let recordingShortcuts = {
-  record: 'CommandOrControl+Alt+R',
-  pause: 'CommandOrControl+Alt+P', 
-  stop: 'CommandOrControl+Alt+S'
+// Configurable keyboard shortcuts, loaded from settings (empty = disabled)
+let recordingShortcuts = {};
+
+// Recording helpers configured from settings once the app is ready
+let safetyRecorder = null;
+let silenceDetector = null;
+let voxTrigger = null;
+let inputWarnings = null;
+let muteWatchInterval = null;
+let preferencesWindow = null;
+const shortcutManager = new ShortcutManager(globalShortcut);
+let portalShortcuts = null; // Set while the Wayland portal backend is active
+let mprisService = null;
+let controlServer = null;
+let hookRunner = null;
+
+// Time spent recording in the current take (paused time excluded)
+let recordedMs = 0;
+let recordingSegmentStartedAt = null;
+let takeStartedAt = null;
+
+// Push to talk: 'starting' until the page confirms the start, 'recording'
+// while the key is held, 'released' when it was let go before the start was
+// confirmed (the recording is then stopped as soon as it begins)
+let pushToTalkPhase = null;
+let pushToTalkReleasedAt = 0;
+
+// Actions that can be bound to a shortcut. An action with a release handler
+// needs key releases, which only the desktop portal reports.
+const SHORTCUT_ACTIONS = {
+  record: { label: 'Start Recording', handler: () => startRecording() },
+  pause: { label: 'Pause Recording', handler: () => pauseRecording() },
+  stop: { label: 'Stop Recording', handler: () => stopRecording() },
+  toggle: { label: 'Start/Stop Recording', handler: () => toggleRecording() },
+  pauseResume: { label: 'Pause/Resume Recording', handler: () => togglePauseRecording() },
+  stopDiscard: { label: 'Stop and Discard Recording', handler: () => discardRecording() },
+  vox: { label: 'Toggle Voice Activation', handler: () => toggleVox() },
+  gainUp: { label: 'Raise Input Gain', handler: () => changeInputGain(1, true) },
+  gainDown: { label: 'Lower Input Gain', handler: () => changeInputGain(-1, true) },
+  refresh: { label: 'Refresh Voice Notes', handler: () => refreshVoiceNotes() },
+  pushToTalk: { label: 'Push to Talk', handler: () => startPushToTalk(), release: () => stopPushToTalk() }
 };
 
-// Load custom shortcuts from configuration file
-function loadShortcutsConfig() {
-  try {
-    const configPath = path.join(__dirname, 'recording-shortcuts.json');
-    if (fs.existsSync(configPath)) {
-      const configData = fs.readFileSync(configPath, 'utf8');
-      const config = JSON.parse(configData);
-      
-      if (config.shortcuts) {
-        recordingShortcuts = { ...recordingShortcuts, ...config.shortcuts };
-        console.log('Voice Notes Wrapper: Loaded custom shortcuts from config file');
+// Primary shortcuts (F10/F11/F12 by default), loaded from settings
+let primaryShortcuts = {};
+
+// Build the bindings for one set of shortcuts from settings
+function buildShortcutBindings(shortcuts) {
+  return Object.entries(SHORTCUT_ACTIONS)
+    .filter(([action]) => shortcuts[action])
+    .map(([action, { label, handler }]) => ({ action, accelerator: shortcuts[action], label, handler }));
+}
+
+// Register the primary and the configurable shortcuts, checking each one.
+// The primary set comes first, so it keeps its key if a configurable
+// shortcut uses the same one for another action.
+function registerAllShortcuts() {
+  const bindings = [
+    ...(primaryShortcuts.enabled ? buildShortcutBindings(primaryShortcuts) : []),
+    ...buildShortcutBindings(recordingShortcuts)
+  ];
+
+  if (!portalShortcuts) {
+    for (const { action, accelerator } of bindings.filter(binding => SHORTCUT_ACTIONS[binding.action].release)) {
+      console.log(`- ${accelerator}: ${SHORTCUT_ACTIONS[action].label} not registered, it needs the desktop portal`);
+    }
+    shortcutManager.apply(bindings.filter(binding => !SHORTCUT_ACTIONS[binding.action].release));
+    return;
+  }
+
+  portalShortcuts.bind(bindings).then((triggers) => {
+    for (const [action, trigger] of Object.entries(triggers)) {
+      console.log(`- ${trigger || 'not assigned'}: ${SHORTCUT_ACTIONS[action] ? SHORTCUT_ACTIONS[action].label : action} (portal)`);
+    }
+    updateTrayMenu(currentMicrophone);
+  }).catch((error) => fallBackToGlobalShortcut(error.message));
+}
+
+// Pick the shortcut backend: the XDG GlobalShortcuts portal on Wayland (or
+// when chosen in settings), Electron's globalShortcut otherwise
+async function initShortcutBackend() {
+  await stopPortalShortcuts();
+  shortcutManager.unregisterAll();
+
+  const backend = settingsStore.get('behaviour').shortcutBackend;
+  if (backend === 'portal' || (backend === 'auto' && PortalShortcuts.isWaylandSession())) {
+    const portal = new PortalShortcuts();
+    portal.on('activated', (action) => {
+      if (!SHORTCUT_ACTIONS[action]) return;
+      console.log(`Voice Notes Wrapper: Portal shortcut pressed - ${SHORTCUT_ACTIONS[action].label}`);
+      SHORTCUT_ACTIONS[action].handler();
+    });
+    portal.on('deactivated', (action) => {
+      if (SHORTCUT_ACTIONS[action] && SHORTCUT_ACTIONS[action].release) {
+        SHORTCUT_ACTIONS[action].release();
       }
+    });
+    portal.on('triggers-changed', () => updateTrayMenu(currentMicrophone));
+    portal.on('closed', () => fallBackToGlobalShortcut('the portal closed the session'));
+
+    try {
+      await portal.start();
+      shortcutManager.unregisterAll();
+      portalShortcuts = portal;
+      console.log('Voice Notes Wrapper: Using the desktop portal for global shortcuts');
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Shortcut portal not available:', error.message);
+      showNotification('The desktop shortcut portal is not available - shortcuts may only work while Voice Notes is focused', '⚠️');
+      portal.stop().catch(() => {});
     }
-  } catch (error) {
-    console.log('Voice Notes Wrapper: Could not load shortcuts config, using defaults:', error.message);
   }
+
+  console.log('Voice Notes Wrapper: Registered shortcuts:');
+  registerAllShortcuts();
 }
 
-// Function to update keyboard shortcuts (for Bluetooth remote configuration)
-function updateRecordingShortcuts(newShortcuts) {
-  // Unregister old shortcuts
-  globalShortcut.unregister(recordingShortcuts.record);
-  globalShortcut.unregister(recordingShortcuts.pause);
-  globalShortcut.unregister(recordingShortcuts.stop);
-  
-  // Update shortcuts
-  if (newShortcuts.record) recordingShortcuts.record = newShortcuts.record;
-  if (newShortcuts.pause) recordingShortcuts.pause = newShortcuts.pause;
-  if (newShortcuts.stop) recordingShortcuts.stop = newShortcuts.stop;
-  
-  // Register new shortcuts
-  globalShortcut.register(recordingShortcuts.record, () => {
-    console.log(`Voice Notes Wrapper: ${recordingShortcuts.record} key pressed - Start Recording`);
-    startRecording();
-  });
+async function stopPortalShortcuts() {
+  if (!portalShortcuts) return;
+  const portal = portalShortcuts;
+  portalShortcuts = null;
+  portal.removeAllListeners();
+  await portal.stop();
+}
 
-  globalShortcut.register(recordingShortcuts.pause, () => {
-    console.log(`Voice Notes Wrapper: ${recordingShortcuts.pause} key pressed - Pause Recording`);
-    pauseRecording();
+// Switch to globalShortcut when the portal fails after it was set up
+function fallBackToGlobalShortcut(reason) {
+  if (!portalShortcuts) return;
+  console.log(`Voice Notes Wrapper: Portal shortcuts failed (${reason}), using globalShortcut`);
+  showNotification(`Desktop shortcut portal failed (${reason}) - shortcuts may only work while Voice Notes is focused`, '⚠️');
+  stopPortalShortcuts().catch(() => {});
+  registerAllShortcuts();
+}
+
+// Publish the recorder as an MPRIS player, so media keys, headset buttons
+// and desktop media widgets can drive recording
+async function initMpris() {
+  await stopMpris();
+  if (!settingsStore.get('behaviour').mpris) return;
+
+  const service = new MprisService({ getElapsedMs: getRecordingElapsedMs });
+  service.on('play', () => {
+    if (recordingState === 'stopped') startRecording();
+    else if (recordingState === 'paused') resumeRecording();
+  });
+  service.on('pause', () => pauseRecording());
+  service.on('play-pause', () => {
+    if (recordingState === 'stopped') startRecording();
+    else togglePauseRecording();
+  });
+  service.on('stop', () => stopRecording());
+  service.on('raise', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+  service.on('quit', () => {
+    app.isQuiting = true;
+    app.quit();
   });
 
-  globalShortcut.register(recordingShortcuts.stop, () => {
-    console.log(`Voice Notes Wrapper: ${recordingShortcuts.stop} key pressed - Stop Recording`);
-    stopRecording();
+  try {
+    await service.start();
+    service.update({ recordingState, microphone: currentMicrophone });
+    mprisService = service;
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not publish the MPRIS service:', error.message);
+  }
+}
+
+async function stopMpris() {
+  if (!mprisService) return;
+  const service = mprisService;
+  mprisService = null;
+  service.removeAllListeners();
+  await service.stop();
+}
+
+// Control socket for scripts and automation (see control-server.js).
+// Recording requests return straight away; subscribe to events to follow
+// the state change they cause.
+async function initControlServer() {
+  stopControlServer();
+  if (!settingsStore.get('behaviour').controlSocket) return;
+
+  const requestAction = (action, handler) => () => {
+    handler();
+    return { requested: action, recordingState };
+  };
+  const server = new ControlServer({
+    methods: {
+      'recording.start': requestAction('start', () => startRecording()),
+      'recording.pause': requestAction('pause', () => pauseRecording()),
+      'recording.resume': requestAction('resume', () => resumeRecording()),
+      'recording.stop': requestAction('stop', () => stopRecording()),
+      'recording.toggle': requestAction('toggle', () => toggleRecording()),
+      'recording.discard': requestAction('discard', () => discardRecording()),
+      'microphone.toggleMute': () => {
+        if (!audioMonitor) throw new Error('Audio monitor not available');
+        return audioMonitor.toggleMute();
+      },
+      'app.refresh': () => {
+        refreshVoiceNotes();
+        return { refreshed: true };
+      },
+      'app.show': () => {
+        if (mainWindow) {
+          mainWindow.show();
+          mainWindow.focus();
+        }
+        return { visible: Boolean(mainWindow) };
+      },
+      'app.hide': () => {
+        if (mainWindow) mainWindow.hide();
+        return { visible: false };
+      },
+      'status.get': () => getStatusSnapshot()
+    }
   });
-  
+  server.on('error', (error) => console.log('Voice Notes Wrapper: Control socket error:', error.message));
+
+  try {
+    await server.start();
+    controlServer = server;
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not open the control socket:', error.message);
+  }
+}
+
+function stopControlServer() {
+  if (!controlServer) return;
+  controlServer.stop();
+  controlServer = null;
+}
+
+// Accelerators bound to an action, for menu labels (e.g. " (F10, Ctrl+Alt+R)").
+// With the portal, the desktop decides the keys, so its description is used.
+function getShortcutLabel(action) {
+  if (portalShortcuts) {
+    const trigger = portalShortcuts.getTriggers()[action];
+    return trigger ? ` (${trigger})` : '';
+  }
+
+  if (SHORTCUT_ACTIONS[action] && SHORTCUT_ACTIONS[action].release) return '';
+
+  const accelerators = [primaryShortcuts.enabled && primaryShortcuts[action], recordingShortcuts[action]]
+    .filter(accelerator => accelerator && !shortcutManager.getProblems().some(problem => problem.accelerator === accelerator));
+  return accelerators.length > 0 ? ` (${[...new Set(accelerators)].join(', ')})` : '';
+}
+
+// Function to update keyboard shortcuts (for Bluetooth remote configuration)
+function updateRecordingShortcuts(newShortcuts, newPrimaryShortcuts = primaryShortcuts) {
+  recordingShortcuts = { ...recordingShortcuts, ...newShortcuts };
+  primaryShortcuts = { ...primaryShortcuts, ...newPrimaryShortcuts };
   console.log('Voice Notes Wrapper: Updated shortcuts:');
-  console.log(`- ${recordingShortcuts.record}: Start Recording`);
-  console.log(`- ${recordingShortcuts.pause}: Pause Recording`);
-  console.log(`- ${recordingShortcuts.stop}: Stop Recording`);
+  registerAllShortcuts();
   
   // Update tray menu to reflect new shortcuts
   updateTrayMenu(currentMicrophone);
 }
 
+// Tell the user about shortcuts that could not be registered
+function reportShortcutProblems(problems) {
+  updateTrayMenu(currentMicrophone);
+  if (problems.length === 0) return;
+
+  const summary = problems.map(problem => `${problem.accelerator} (${problem.label})`).join(', ');
+  showNotification(`Shortcut${problems.length > 1 ? 's' : ''} not available: ${summary}. See the tray menu for alternatives.`, '⚠️');
+}
+
+// Use an alternative key for a failed shortcut, in the set it came from
+function useAlternativeShortcut(problem, accelerator) {
+  const section = primaryShortcuts.enabled && primaryShortcuts[problem.action] === problem.accelerator ? 'primaryShortcuts' : 'shortcuts';
+  const result = settingsStore.update({ [section]: { [problem.action]: accelerator } });
+  if (!result.success) {
+    reportSettingsErrors(result.errors);
+  }
+}
+
 // URL for Voice Notes app
 const voiceNotesUrl = 'https://voicenotes.com/app';
 
@@ -89,12 +347,183 @@ if (!fs.existsSync(userDataPath)) {
   fs.mkdirSync(userDataPath, { recursive: true });
 }
 
+// User-editable selectors for the record/pause/stop buttons
+const selectorProfilePath = path.join(userDataPath, 'selector-profile.json');
+
+// Gain, mute and processing saved for each microphone
+const micProfilesPath = path.join(userDataPath, 'mic-profiles.json');
+
+// Persistent settings; the old recording-shortcuts.json is only read once, to migrate it
+const settingsStore = new SettingsStore(path.join(app.getPath('userData'), 'settings.json'), {
+  legacyPaths: [
+    path.join(userDataPath, 'recording-shortcuts.json'),
+    path.join(__dirname, 'recording-shortcuts.json')
+  ]
+});
+
+// Answers to `--status`, written by the running instance
+const statusFilePath = path.join(userDataPath, 'status.json');
+
+// Command-line control: a second launch forwards its command to the running
+// instance and exits; a first launch runs it once Voice Notes has loaded
+const cliCommand = parseCliCommand(process.argv);
+const cliRequestId = `${process.pid}-${Date.now()}`;
+const isPrimaryInstance = cliCommand !== 'help' && app.requestSingleInstanceLock({ cliCommand, requestId: cliRequestId });
+const shouldStartApp = isPrimaryInstance && cliCommand !== 'status';
+let queuedCliCommand = null;
+let voiceNotesPageReady = false;
+
+if (cliCommand === 'help') {
+  console.log(USAGE);
+  app.exit(0);
+} else if (!isPrimaryInstance) {
+  if (cliCommand === 'status') {
+    waitForStatus(statusFilePath, cliRequestId).then((status) => {
+      console.log(JSON.stringify(status || { running: true, error: 'No response from the running instance' }, null, 2));
+      app.exit(getStatusExitCode(status));
+    });
+  } else {
+    app.exit(0);
+  }
+} else if (cliCommand === 'status') {
+  const status = { running: false };
+  console.log(JSON.stringify(status, null, 2));
+  app.exit(getStatusExitCode(status));
+} else if (cliCommand && cliCommand !== 'show') {
+  queuedCliCommand = cliCommand;
+}
+
+// Run a command from the command line (see cli.js)
+function runCliCommand(command, requestId) {
+  console.log(`Voice Notes Wrapper: Command line: ${command || '(none)'}`);
+
+  if (command === 'status') {
+    writeCliStatus(requestId);
+    return;
+  }
+  if (!command || command === 'show') {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+    return;
+  }
+
+  // Recording commands need the Voice Notes page; run them once it loads
+  if (!voiceNotesPageReady) {
+    queuedCliCommand = command;
+    return;
+  }
+
+  switch (command) {
+    case 'record':
+      if (recordingState === 'paused') resumeRecording();
+      else startRecording();
+      break;
+    case 'pause':
+      pauseRecording();
+      break;
+    case 'stop':
+      stopRecording();
+      break;
+    case 'toggle':
+      toggleRecording();
+      break;
+  }
+}
+
+// Current state for --status and the control socket
+async function getStatusSnapshot() {
+  let muted = null;
+  if (audioMonitor) {
+    try {
+      muted = (await audioMonitor.getMuteStatus()).isMuted;
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Could not read mute status:', error.message);
+    }
+  }
+
+  return {
+    running: true,
+    recordingState,
+    elapsedSeconds: Math.round(getRecordingElapsedMs() / 1000),
+    microphone: currentMicrophone,
+    systemInput: systemAudioInfo.name,
+    muted,
+    voxArmed: Boolean(voxTrigger && voxTrigger.armed)
+  };
+}
+
+async function writeCliStatus(requestId) {
+  const status = await getStatusSnapshot();
+  try {
+    writeStatusFile(statusFilePath, { requestId, ...status });
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not write status file:', error.message);
+  }
+}
+
+app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+  const command = additionalData && 'cliCommand' in additionalData ? additionalData.cliCommand : parseCliCommand(argv);
+  runCliCommand(command, additionalData && additionalData.requestId);
+});
+
+// Show settings problems so a typo does not silently fall back to defaults
+function reportSettingsErrors(errors) {
+  if (errors.length === 0) return;
+
+  console.log('Voice Notes Wrapper: Settings problems:');
+  errors.forEach(error => console.log(`- ${error}`));
+
+  const { dialog } = require('electron');
+  dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: 'Settings Problems',
+    message: 'Some settings are invalid and their defaults are being used',
+    detail: `${errors.join('\n')}\n\nSettings file: ${settingsStore.filePath}`,
+    buttons: ['OK', 'Open Settings File']
+  }).then(({ response }) => {
+    if (response === 1) shell.openPath(settingsStore.filePath);
+  });
+}
+
+// Open the Preferences window (only one at a time)
+function openPreferencesWindow() {
+  if (preferencesWindow) {
+    preferencesWindow.show();
+    preferencesWindow.focus();
+    return;
+  }
+
+  preferencesWindow = new BrowserWindow({
+    width: 640,
+    height: 720,
+    title: 'Preferences',
+    icon: path.join(__dirname, 'build/icon.png'),
+    autoHideMenuBar: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preferences-preload.js')
+    }
+  });
+
+  preferencesWindow.loadFile(path.join(__dirname, 'preferences.html'));
+
+  preferencesWindow.on('closed', () => {
+    preferencesWindow = null;
+    // A capture still in progress would leave the shortcuts unregistered
+    restoreShortcutsAfterCapture();
+  });
+}
+
 function createWindow() {
   // Create the browser window
   mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
     title: 'Voice Notes',
+    show: !settingsStore.get('behaviour').startHidden || cliCommand === 'show',
     icon: path.join(__dirname, 'build/icon.png'),
     webPreferences: {
       nodeIntegration: false, // For security reasons
@@ -102,6 +531,9 @@ function createWindow() {
       enableRemoteModule: false, // For security reasons
       sandbox: false, // Disable sandbox to avoid permission issues
       preload: path.join(__dirname, 'preload.js'),
+      // The signal meter keeps running while the window is hidden in the
+      // tray; throttled timers would delay silence detection and VOX
+      backgroundThrottling: false,
       // Enable microphone access
       permissions: {
         microphone: true,
@@ -127,12 +559,24 @@ function createWindow() {
   // Handle window being closed - minimize to tray instead of closing
   mainWindow.on('close', (event) => {
     if (!app.isQuiting) {
+      if (!settingsStore.get('behaviour').closeToTray) {
+        app.isQuiting = true;
+        app.quit();
+        return;
+      }
       event.preventDefault();
       mainWindow.hide();
       return false;
     }
   });
 
+  // A crashed or killed renderer takes any running recording with it
+  mainWindow.webContents.on('render-process-gone', (event, details) => {
+    console.log('Voice Notes Wrapper: Renderer process gone:', details.reason);
+    voiceNotesPageReady = false;
+    setRecordingState('stopped', 'renderer-gone');
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
@@ -142,6 +586,16 @@ function createWindow() {
     {
       label: 'File',
       submenu: [
+        {
+          label: 'Preferences…',
+          accelerator: 'CommandOrControl+,',
+          click: () => openPreferencesWindow()
+        },
+        {
+          label: 'Open Settings File',
+          click: () => shell.openPath(settingsStore.filePath)
+        },
+        { type: 'separator' },
         {
           label: 'Quit',
           accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
@@ -172,6 +626,22 @@ function createWindow() {
         { role: 'forceReload' },
         { role: 'toggleDevTools' },
         { type: 'separator' },
+        {
+          label: 'Test Selectors',
+          click: () => testSelectors()
+        },
+        {
+          label: 'Edit Selector Profile',
+          click: () => shell.openPath(selectorProfilePath)
+        },
+        {
+          label: 'Edit Microphone Profiles',
+          click: () => {
+            if (!fs.existsSync(micProfilesPath)) saveMicProfiles(micProfilesPath, {});
+            shell.openPath(micProfilesPath);
+          }
+        },
+        { type: 'separator' },
         { role: 'resetZoom' },
         { role: 'zoomIn' },
         { role: 'zoomOut' },
@@ -296,33 +766,231 @@ function createTray() {
   }
 }
 
+// Build the script that clicks a recording button in the page. The fallback
+// uses the same selector profile as preload.js, serialised into the page.
+function buildButtonClickScript(action, wrapperMethod) {
+  return `
+    (() => {
+      if (window.voiceNotesWrapper && window.voiceNotesWrapper.${wrapperMethod}) {
+        return window.voiceNotesWrapper.${wrapperMethod}();
+      }
+      // Fallback: look for the button using the selector profile
+      const match = (${findButtonForAction.toString()})(${JSON.stringify(action)}, ${JSON.stringify(selectorProfile[action])});
+      if (match && match.button) {
+        match.button.click();
+        console.log('Voice Notes Wrapper: ${action} button clicked (fallback, ' + match.matchedBy + ')');
+        return { success: true, action: ${JSON.stringify(action)} };
+      }
+      if (match) {
+        return { success: false, error: match.candidates.length + ' buttons look like the ${action} button' };
+      }
+      return { success: false, error: '${action} button not found' };
+    })();
+  `;
+}
+
+// Load the selector profile from the user data dir and reload it on changes
+function initSelectorProfile() {
+  const applyProfile = ({ profile, errors }) => {
+    selectorProfile = profile;
+    if (errors.length > 0) {
+      console.log('Voice Notes Wrapper: Selector profile problems:', errors.join('; '));
+      showNotification('Selector profile has errors, defaults used where invalid', '⚠️');
+    }
+    if (mainWindow) {
+      mainWindow.webContents.send('selector-profile-updated', selectorProfile);
+    }
+  };
+
+  try {
+    ensureSelectorProfileFile(selectorProfilePath);
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not create selector profile:', error.message);
+  }
+
+  applyProfile(loadSelectorProfile(selectorProfilePath));
+  watchSelectorProfile(selectorProfilePath, (result) => {
+    console.log('Voice Notes Wrapper: Selector profile changed, reloading');
+    applyProfile(result);
+  });
+}
+
+// Load the microphone profiles and reload them when the file is edited
+function initMicProfiles() {
+  const applyProfiles = ({ profiles, errors }) => {
+    micProfiles = profiles;
+    if (errors.length > 0) {
+      console.log('Voice Notes Wrapper: Microphone profile problems:', errors.join('; '));
+      showNotification('Microphone profiles have errors, invalid values ignored', '⚠️');
+    }
+  };
+
+  applyProfiles(loadMicProfiles(micProfilesPath));
+  watchMicProfiles(micProfilesPath, (result) => {
+    console.log('Voice Notes Wrapper: Microphone profiles changed, reloading');
+    applyProfiles(result);
+    // An edited profile for the current microphone applies straight away
+    applyMicProfile(systemAudioInfo);
+  });
+}
+
+// Whether the current microphone has a profile, for the banner
+function getMicProfileState() {
+  return {
+    source: activeMicProfile ? activeMicProfile.source : null,
+    hasProfile: Boolean(activeMicProfile && activeMicProfile.profile)
+  };
+}
+
+function publishMicProfile() {
+  updateTrayMenu(currentMicrophone);
+  if (mainWindow) {
+    mainWindow.webContents.send('mic-profile-changed', getMicProfileState());
+  }
+  publishCaptureConstraints();
+}
+
+// Constraints the page hooks add to the page's microphone requests: the
+// capture settings, with the current microphone's profile taking precedence
+function getCaptureConstraints() {
+  const capture = settingsStore.get('capture');
+  const constraints = {};
+  for (const option of MIC_PROFILE_CONSTRAINTS) {
+    if (capture[option] !== 'page') {
+      constraints[option] = capture[option] === 'on';
+    }
+  }
+  if (capture.channelCount > 0) constraints.channelCount = capture.channelCount;
+  if (capture.sampleRate > 0) constraints.sampleRate = capture.sampleRate;
+  return { ...constraints, ...getMicProfileConstraints(activeMicProfile && activeMicProfile.profile) };
+}
+
+function publishCaptureConstraints() {
+  if (mainWindow) {
+    mainWindow.webContents.send('capture-constraints-changed', getCaptureConstraints());
+  }
+}
+
+// Apply the saved profile of the microphone that is now the input. Nothing
+// happens while the input and its profile stay the same.
+async function applyMicProfile(deviceInfo) {
+  if (!audioMonitor || !deviceInfo || !deviceInfo.source) return;
+
+  const match = findMicProfile(micProfiles, { source: deviceInfo.source, name: deviceInfo.name });
+  const profile = match ? match.profile : null;
+  if (activeMicProfile && activeMicProfile.source === deviceInfo.source &&
+      JSON.stringify(activeMicProfile.profile) === JSON.stringify(profile)) {
+    return;
+  }
+
+  activeMicProfile = { source: deviceInfo.source, key: match ? match.key : null, profile };
+  publishMicProfile();
+  if (!profile) return;
+
+  console.log(`Voice Notes Wrapper: Applying the microphone profile for ${deviceInfo.name}`);
+  const problems = [];
+  const attempt = async (apply) => {
+    try {
+      await apply();
+    } catch (error) {
+      problems.push(error.message);
+    }
+  };
+
+  // The card profile first, as switching it can replace the source
+  if (profile.bluetoothProfile) {
+    await attempt(() => audioMonitor.setCardProfile(profile.bluetoothProfile));
+  }
+  if (profile.gainPercent !== null) {
+    await attempt(() => audioMonitor.setInputVolume(profile.gainPercent / 100));
+  }
+  if (profile.muted !== null) {
+    await attempt(() => audioMonitor.setMute(profile.muted));
+  }
+
+  if (problems.length > 0) {
+    console.log('Voice Notes Wrapper: Microphone profile only partly applied:', problems.join('; '));
+    showNotification(`Profile for ${deviceInfo.name} only partly applied: ${problems[0]}`, '⚠️');
+  } else {
+    showNotification(`Applied the profile for ${deviceInfo.name}`, '🎛️');
+  }
+}
+
+// Save the current input's gain, mute state, processing and Bluetooth card
+// profile as its profile
+async function saveMicProfile() {
+  if (!audioMonitor) {
+    return { success: false, error: 'Audio monitoring is not running' };
+  }
+
+  try {
+    const device = await audioMonitor.getCurrentDevice();
+    if (!device.source) {
+      throw new Error('No microphone found');
+    }
+    const { isMuted } = await audioMonitor.getMuteStatus();
+    const bluetoothProfile = await audioMonitor.getCardProfile();
+
+    // A profile found under an older name of this source is replaced
+    const match = findMicProfile(micProfiles, { source: device.source, name: device.name });
+    const previous = match ? match.profile : null;
+    const profile = {
+      label: device.name,
+      gainPercent: Math.min(MIC_PROFILE_MAX_GAIN_PERCENT, Math.round(device.level * 100)),
+      muted: isMuted
+    };
+    // Processing as the page's track has it, or as saved before when nothing is captured yet
+    for (const option of MIC_PROFILE_CONSTRAINTS) {
+      if (captureSettings && typeof captureSettings[option] === 'boolean') {
+        profile[option] = captureSettings[option];
+      } else {
+        profile[option] = previous ? previous[option] : null;
+      }
+    }
+    profile.bluetoothProfile = bluetoothProfile;
+
+    const profiles = { ...micProfiles };
+    if (match && match.key !== device.source) {
+      delete profiles[match.key];
+    }
+    profiles[device.source] = profile;
+    saveMicProfiles(micProfilesPath, profiles);
+    micProfiles = profiles;
+    activeMicProfile = { source: device.source, key: device.source, profile };
+    publishMicProfile();
+
+    console.log(`Voice Notes Wrapper: Saved the microphone profile for ${device.name}`);
+    showNotification(`Saved the profile for ${device.name}`, '💾');
+    return { success: true, profile };
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not save microphone profile:', error.message);
+    showNotification(`Could not save microphone profile: ${error.message}`, '❌');
+    return { success: false, error: error.message };
+  }
+}
+
+// Ask the page to highlight the button each action would click
+function testSelectors() {
+  if (!mainWindow) return;
+  mainWindow.show();
+  mainWindow.focus();
+  mainWindow.webContents.send('test-selectors');
+}
+
 // Enhanced recording control functions
 function startRecording() {
   if (!mainWindow || recordingState === 'recording') return;
   
   console.log('Voice Notes Wrapper: Starting recording...');
   
-  mainWindow.webContents.executeJavaScript(`
-    if (window.voiceNotesWrapper && window.voiceNotesWrapper.startRecording) {
-      return window.voiceNotesWrapper.startRecording();
-    } else {
-      // Fallback: look for record button
-      const recordButton = document.querySelector('[data-testid="record-button"], button[aria-label*="record" i], button[title*="record" i], .record-button, #record-button');
-      if (recordButton && !recordButton.disabled) {
-        recordButton.click();
-        console.log('Voice Notes Wrapper: Record button clicked (fallback)');
-        return { success: true, action: 'record' };
-      }
-      return { success: false, error: 'Record button not found' };
-    }
-  `).then((result) => {
+  mainWindow.webContents.executeJavaScript(buildButtonClickScript('record', 'startRecording')).then((result) => {
     if (result && result.success) {
-      recordingState = 'recording';
-      updateTrayMenu(currentMicrophone);
-      showNotification('Recording started', '🔴');
+      // The page reports the actual state change through 'recording-state-changed'
+      expectRecordingState('recording', 'start');
     } else {
       console.log('Voice Notes Wrapper: Failed to start recording:', result?.error);
       showNotification('Could not start recording. Please ensure Voice Notes is loaded.', '❌');
+      runHook('recordingFailed', { error: result?.error || 'Could not start recording' });
     }
   }).catch((error) => {
     console.error('Voice Notes Wrapper: Error starting recording:', error);
@@ -334,24 +1002,9 @@ function pauseRecording() {
   
   console.log('Voice Notes Wrapper: Pausing recording...');
   
-  mainWindow.webContents.executeJavaScript(`
-    if (window.voiceNotesWrapper && window.voiceNotesWrapper.pauseRecording) {
-      return window.voiceNotesWrapper.pauseRecording();
-    } else {
-      // Fallback: look for pause button
-      const pauseButton = document.querySelector('[data-testid="pause-button"], button[aria-label*="pause" i], button[title*="pause" i], .pause-button, #pause-button');
-      if (pauseButton && !pauseButton.disabled) {
-        pauseButton.click();
-        console.log('Voice Notes Wrapper: Pause button clicked (fallback)');
-        return { success: true, action: 'pause' };
-      }
-      return { success: false, error: 'Pause button not found' };
-    }
-  `).then((result) => {
+  mainWindow.webContents.executeJavaScript(buildButtonClickScript('pause', 'pauseRecording')).then((result) => {
     if (result && result.success) {
-      recordingState = 'paused';
-      updateTrayMenu(currentMicrophone);
-      showNotification('Recording paused', '⏸️');
+      expectRecordingState('paused', 'pause');
     } else {
       console.log('Voice Notes Wrapper: Failed to pause recording:', result?.error);
       showNotification('Could not pause recording.', '❌');
@@ -361,29 +1014,31 @@ function pauseRecording() {
   });
 }
 
+function resumeRecording() {
+  if (!mainWindow || recordingState !== 'paused') return;
+  
+  console.log('Voice Notes Wrapper: Resuming recording...');
+  
+  mainWindow.webContents.executeJavaScript(buildButtonClickScript('resume', 'resumeRecording')).then((result) => {
+    if (result && result.success) {
+      expectRecordingState('recording', 'resume');
+    } else {
+      console.log('Voice Notes Wrapper: Failed to resume recording:', result?.error);
+      showNotification('Could not resume recording.', '❌');
+    }
+  }).catch((error) => {
+    console.error('Voice Notes Wrapper: Error resuming recording:', error);
+  });
+}
+
 function stopRecording() {
   if (!mainWindow || recordingState === 'stopped') return;
   
   console.log('Voice Notes Wrapper: Stopping recording...');
   
-  mainWindow.webContents.executeJavaScript(`
-    if (window.voiceNotesWrapper && window.voiceNotesWrapper.stopRecording) {
-      return window.voiceNotesWrapper.stopRecording();
-    } else {
-      // Fallback: look for stop button
-      const stopButton = document.querySelector('[data-testid="stop-button"], button[aria-label*="stop" i], button[title*="stop" i], .stop-button, #stop-button');
-      if (stopButton && !stopButton.disabled) {
-        stopButton.click();
-        console.log('Voice Notes Wrapper: Stop button clicked (fallback)');
-        return { success: true, action: 'stop' };
-      }
-      return { success: false, error: 'Stop button not found' };
-    }
-  `).then((result) => {
+  mainWindow.webContents.executeJavaScript(buildButtonClickScript('stop', 'stopRecording')).then((result) => {
     if (result && result.success) {
-      recordingState = 'stopped';
-      updateTrayMenu(currentMicrophone);
-      showNotification('Recording stopped', '⏹️');
+      expectRecordingState('stopped', 'stop');
     } else {
       console.log('Voice Notes Wrapper: Failed to stop recording:', result?.error);
       showNotification('Could not stop recording.', '❌');
@@ -393,17 +1048,181 @@ function stopRecording() {
   });
 }
 
-// Helper function for notifications
-function showNotification(message, icon = '🎤') {
-  if (tray) {
-    tray.displayBalloon({
-      title: 'Voice Notes',
-      content: `${icon} ${message}`
-    });
-  }
+// Notification to show for the next state change instead of the default one
+let nextStateNotice = null;
+
+function getRecordingElapsedMs() {
+  const segmentMs = recordingSegmentStartedAt ? Date.now() - recordingSegmentStartedAt : 0;
+  return recordedMs + segmentMs;
+}
+
+function updateRecordingElapsed(previousState, newState) {
+  if (previousState === 'recording') {
+    recordedMs += Date.now() - recordingSegmentStartedAt;
+    recordingSegmentStartedAt = null;
+  }
+  if (newState === 'recording') {
+    recordingSegmentStartedAt = Date.now();
+  }
+  if (newState === 'stopped') {
+    recordedMs = 0;
+    takeStartedAt = null;
+  } else if (!takeStartedAt) {
+    // A take begins, whatever the previous state (the page can also report
+    // a paused recording first, e.g. after the wrapper restarted)
+    takeStartedAt = Date.now();
+  }
+}
+
+// Start of the current take for hooks, or null outside a take (hook
+// variables with no value are left out)
+function getTakeStartedAtIso() {
+  return takeStartedAt ? new Date(takeStartedAt).toISOString() : null;
+}
+
+// Run the user's hook command for a recording event (see hook-runner.js)
+function runHook(event, details = {}) {
+  if (!hookRunner) return;
+  hookRunner.run(event, {
+    state: recordingState,
+    microphone: currentMicrophone || systemAudioInfo.name,
+    timestamp: new Date().toISOString(),
+    takeStartedAt: getTakeStartedAtIso(),
+    elapsedSeconds: Math.round(getRecordingElapsedMs() / 1000),
+    ...details
+  });
+}
+
+// Apply a recording state reported by the page (the single source of truth)
+function setRecordingState(newState, reason = 'unknown') {
+  if (!['stopped', 'recording', 'paused'].includes(newState)) return;
+
+  clearPendingStateCheck();
+
+  const previousState = recordingState;
+  if (newState === previousState) return;
+
+  // Timing details of the take, before a stop resets them
+  const takeDetails = {
+    previousState,
+    reason,
+    takeStartedAt: getTakeStartedAtIso(),
+    elapsedSeconds: Math.round(getRecordingElapsedMs() / 1000)
+  };
+
+  recordingState = newState;
+  console.log(`Voice Notes Wrapper: Recording state ${previousState} -> ${newState} (${reason})`);
+  updateRecordingElapsed(previousState, newState);
+  updateTrayMenu(currentMicrophone);
+  if (mprisService) mprisService.update({ recordingState: newState });
+  if (controlServer) controlServer.broadcast('recordingState', { state: newState, previousState, reason });
+  publishSignalLevelInterval();
+  updateSafetyRecording(previousState, newState, reason);
+  updateMuteWatch();
+
+  // An automatic action (e.g. silence detection) supplies its own message
+  const notice = nextStateNotice && nextStateNotice.state === newState ? nextStateNotice : null;
+  nextStateNotice = null;
+
+  if (notice) {
+    showNotification(notice.message, notice.icon);
+  } else if (newState === 'recording') {
+    showNotification(previousState === 'paused' ? 'Recording resumed' : 'Recording started', '🔴');
+  } else if (newState === 'paused') {
+    showNotification('Recording paused', '⏸️');
+  } else if (reason === 'page-load' || reason === 'page-unload' || reason === 'renderer-gone') {
+    showNotification('Recording interrupted - the Voice Notes page was reloaded or closed', '⚠️');
+  } else {
+    showNotification('Recording stopped', '⏹️');
+  }
+
+  // Hooks. An interrupted take also runs recordingStopped, so commands that
+  // undo a start hook (e.g. resume music) always run.
+  if (newState === 'recording') {
+    runHook(previousState === 'paused' ? 'recordingResumed' : 'recordingStarted', { ...takeDetails, takeStartedAt: getTakeStartedAtIso() });
+  } else if (newState === 'paused') {
+    runHook('recordingPaused', { ...takeDetails, takeStartedAt: getTakeStartedAtIso() });
+  } else {
+    if (reason === 'page-load' || reason === 'page-unload' || reason === 'renderer-gone') {
+      runHook('recordingFailed', { ...takeDetails, error: 'Recording interrupted - the Voice Notes page was reloaded or closed' });
+    }
+    runHook('recordingStopped', takeDetails);
+  }
+
+  // Push to talk, including a key released before the start was confirmed
+  // (a start the page never confirmed is given up after a few seconds)
+  if (newState === 'recording' && pushToTalkPhase === 'starting') {
+    pushToTalkPhase = 'recording';
+  } else if (newState === 'recording' && pushToTalkPhase === 'released') {
+    pushToTalkPhase = null;
+    if (Date.now() - pushToTalkReleasedAt < 5000) stopRecording();
+  } else if (newState === 'stopped') {
+    pushToTalkPhase = null;
+  }
+}
+
+// Folder holding the safety-net recordings
+function getSafetyRecordingFolder() {
+  return path.resolve(userDataPath, settingsStore.get('safetyRecording').folder);
+}
+
+// Mirror page recording state transitions onto the local safety-net capture
+function updateSafetyRecording(previousState, newState, reason) {
+  if (!mainWindow || !safetyRecorder) return;
+
+  const safetyRecordingConfig = settingsStore.get('safetyRecording');
+  const send = (action) => {
+    mainWindow.webContents.send('safety-recording-command', { action, format: safetyRecordingConfig.format });
+  };
+
+  if (newState === 'recording' && previousState === 'stopped') {
+    if (safetyRecordingConfig.enabled) send('start');
+  } else if (newState === 'recording' && previousState === 'paused') {
+    send('resume');
+  } else if (newState === 'paused') {
+    send('pause');
+  } else if (newState === 'stopped') {
+    if (reason === 'page-load' || reason === 'page-unload' || reason === 'renderer-gone') {
+      // The capturing page is gone, so keep whatever reached the disk
+      safetyRecorder.finalize();
+    } else {
+      send('stop');
+    }
+  }
+}
+
+// Warn if the page does not confirm a button click with a state change
+let pendingStateCheck = null;
+
+function expectRecordingState(expectedState, action) {
+  clearPendingStateCheck();
+  pendingStateCheck = setTimeout(() => {
+    pendingStateCheck = null;
+    if (recordingState !== expectedState) {
+      console.log(`Voice Notes Wrapper: Page did not confirm ${action} (state is still ${recordingState})`);
+      showNotification(`Voice Notes did not confirm the ${action} request.`, '⚠️');
+    }
+  }, 4000);
+}
+
+function clearPendingStateCheck() {
+  if (pendingStateCheck) {
+    clearTimeout(pendingStateCheck);
+    pendingStateCheck = null;
+  }
+}
+
+// Helper function for notifications
+function showNotification(message, icon = '🎤') {
+  if (tray && settingsStore.get('ui').notifications) {
+    tray.displayBalloon({
+      title: 'Voice Notes',
+      content: `${icon} ${message}`
+    });
+  }
 }
 
-// Legacy function for backward compatibility
+// Start when stopped, otherwise stop (the "toggle" shortcut)
 function toggleRecording() {
   if (recordingState === 'stopped') {
     startRecording();
@@ -412,6 +1231,226 @@ function toggleRecording() {
   }
 }
 
+// Record while the push-to-talk key is held: start (or resume) on press,
+// stop on release
+function startPushToTalk() {
+  if (recordingState === 'recording') return;
+  pushToTalkPhase = 'starting';
+  if (recordingState === 'paused') {
+    resumeRecording();
+  } else {
+    startRecording();
+  }
+}
+
+function stopPushToTalk() {
+  if (pushToTalkPhase === 'recording') {
+    pushToTalkPhase = null;
+    stopRecording();
+  } else if (pushToTalkPhase === 'starting') {
+    pushToTalkPhase = 'released';
+    pushToTalkReleasedAt = Date.now();
+  }
+}
+
+// Pause and resume on a single key
+function togglePauseRecording() {
+  if (recordingState === 'recording') {
+    pauseRecording();
+  } else if (recordingState === 'paused') {
+    resumeRecording();
+  }
+}
+
+// Throw the current recording away using the page's discard button. The
+// safety-net copy is kept, in case the discard was a mistake.
+function discardRecording() {
+  if (!mainWindow || recordingState === 'stopped') return;
+
+  console.log('Voice Notes Wrapper: Discarding recording...');
+
+  mainWindow.webContents.executeJavaScript(buildButtonClickScript('discard', 'discardRecording')).then((result) => {
+    if (result && result.success) {
+      nextStateNotice = { state: 'stopped', message: 'Recording discarded', icon: '🗑️' };
+      expectRecordingState('stopped', 'discard');
+    } else {
+      console.log('Voice Notes Wrapper: Failed to discard recording:', result?.error);
+      showNotification(`Could not discard recording (${result?.error || 'no discard button found'}). The recording is still running.`, '❌');
+    }
+  }).catch((error) => {
+    console.error('Voice Notes Wrapper: Error discarding recording:', error);
+  });
+}
+
+// One-click fixes offered with each input warning
+const inputWarningFixes = {
+  muted: { label: 'Unmute', apply: () => audioMonitor.setMute(false) },
+  clipping: { label: 'Lower gain 10%', apply: () => audioMonitor.adjustInputVolume(-10) },
+  'too-quiet': { label: 'Raise gain 10%', apply: () => audioMonitor.adjustInputVolume(10) }
+};
+
+function getInputWarningsForDisplay() {
+  if (!inputWarnings) return [];
+  return inputWarnings.getActiveWarnings().map(warning => ({
+    ...warning,
+    fixLabel: inputWarningFixes[warning.type] ? inputWarningFixes[warning.type].label : null
+  }));
+}
+
+// Push the current warnings to the tray and the banner
+function publishInputWarnings() {
+  updateTrayMenu(currentMicrophone);
+  if (mainWindow) {
+    mainWindow.webContents.send('input-warnings-changed', getInputWarningsForDisplay());
+  }
+}
+
+// Make a microphone the system default and remember the choice; an empty
+// name forgets it and leaves the default to the system
+async function selectInputSource(sourceName) {
+  if (!audioMonitor) {
+    return { success: false, error: 'Audio monitoring is not running' };
+  }
+
+  try {
+    if (sourceName) {
+      await audioMonitor.setDefaultSource(sourceName);
+    }
+    const result = settingsStore.update({ audio: { preferredSource: sourceName } });
+    if (!result.success) {
+      reportSettingsErrors(result.errors);
+    }
+    return { success: true };
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not switch microphone:', error.message);
+    showNotification(`Could not switch microphone: ${error.message}`, '❌');
+    return { success: false, error: error.message };
+  }
+}
+
+// Raise (direction 1) or lower (-1) the input gain by the configured step.
+// notify shows the new gain, for shortcuts used while the window is hidden.
+async function changeInputGain(direction, notify = false) {
+  if (!audioMonitor) {
+    return { success: false, error: 'Audio monitoring is not running' };
+  }
+
+  try {
+    const result = await audioMonitor.adjustInputVolume(direction * settingsStore.get('audio').gainStepPercent);
+    const gainPercent = Math.round(result.level * 100);
+    console.log(`Voice Notes Wrapper: Input gain is now ${gainPercent}%`);
+    if (notify) {
+      const atCap = direction > 0 && result.level >= result.maxLevel;
+      showNotification(`Input gain ${gainPercent}%${atCap ? ' (maximum)' : ''}`, '🎚️');
+    }
+    return result;
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not change input gain:', error.message);
+    showNotification(`Could not change input gain: ${error.message}`, '❌');
+    return { success: false, error: error.message };
+  }
+}
+
+function setProcessingPreset(preset) {
+  const result = settingsStore.update({ processing: { preset } });
+  if (!result.success) {
+    reportSettingsErrors(result.errors);
+  }
+}
+
+// Microphone list for the banner and the page hooks. preferredLabel is the
+// name the page's devices should carry for the remembered choice.
+function getInputSourcesState() {
+  if (!audioMonitor) {
+    return { sources: [], defaultSource: null, preferredSource: '', preferredLabel: null };
+  }
+
+  const state = audioMonitor.getInputSources();
+  const preferred = state.sources.find(source => source.name === state.preferredSource);
+  return { ...state, preferredLabel: preferred ? preferred.description || preferred.label : null };
+}
+
+function publishInputSources() {
+  updateTrayMenu(currentMicrophone);
+  if (mainWindow) {
+    mainWindow.webContents.send('input-sources-changed', getInputSourcesState());
+  }
+}
+
+function getMicrophoneMenu() {
+  const { sources, defaultSource, preferredSource } = getInputSourcesState();
+  if (sources.length === 0) {
+    return [{ label: '🎤 Microphone', enabled: false }];
+  }
+
+  return [{
+    label: '🎤 Microphone',
+    submenu: [
+      ...sources.map(source => ({
+        label: source.label,
+        type: 'radio',
+        checked: source.name === defaultSource,
+        click: () => selectInputSource(source.name)
+      })),
+      { type: 'separator' },
+      {
+        label: 'Follow the system default',
+        type: 'checkbox',
+        checked: !preferredSource,
+        enabled: Boolean(preferredSource),
+        click: () => selectInputSource('')
+      }
+    ]
+  }];
+}
+
+async function applyInputWarningFix(type) {
+  const fix = inputWarningFixes[type];
+  if (!fix || !audioMonitor) {
+    return { success: false, error: 'No fix available' };
+  }
+
+  try {
+    const result = await fix.apply();
+    console.log(`Voice Notes Wrapper: Applied fix for ${type} warning: ${fix.label}`);
+    if (type === 'muted') {
+      inputWarnings.setMuted(false, recordingState);
+    }
+    showNotification(`${fix.label} - done`, '✅');
+    return result;
+  } catch (error) {
+    console.log(`Voice Notes Wrapper: Could not apply fix for ${type} warning:`, error.message);
+    showNotification(`Could not apply fix: ${fix.label}`, '❌');
+    return { success: false, error: error.message };
+  }
+}
+
+// Poll the source mute status while recording (mute changes emit no event)
+function updateMuteWatch() {
+  const checkMute = () => {
+    if (!audioMonitor || !inputWarnings) return;
+    audioMonitor.getMuteStatus().then(status => {
+      inputWarnings.setMuted(status.isMuted, recordingState);
+    }).catch(() => {});
+  };
+
+  if (recordingState === 'recording') {
+    if (!muteWatchInterval) {
+      checkMute();
+      muteWatchInterval = setInterval(checkMute, 5000);
+    }
+  } else if (muteWatchInterval) {
+    clearInterval(muteWatchInterval);
+    muteWatchInterval = null;
+    if (inputWarnings) inputWarnings.setMuted(false, recordingState);
+  }
+}
+
+// Arm or disarm voice-activated recording
+function toggleVox() {
+  if (voxTrigger) voxTrigger.toggle();
+}
+
 // Function to refresh the Voice Notes page
 function refreshVoiceNotes() {
   if (!mainWindow) return;
@@ -422,6 +1461,34 @@ function refreshVoiceNotes() {
   showNotification('Voice Notes refreshed', '🔄');
 }
 
+// Tray submenu listing shortcuts that could not be registered, with
+// alternatives that are free right now
+function getShortcutProblemsMenu() {
+  const problems = shortcutManager.getProblems();
+  if (problems.length === 0) return [];
+
+  return [{
+    label: '⚠️ Shortcut problems',
+    submenu: [
+      ...problems.map(problem => ({
+        label: `${problem.accelerator} - ${problem.label}`,
+        submenu: [
+          { label: `Not registered: ${problem.reason}`, enabled: false },
+          { type: 'separator' },
+          ...(problem.alternatives.length > 0
+            ? problem.alternatives.map(alternative => ({
+              label: `Use ${alternative} instead`,
+              click: () => useAlternativeShortcut(problem, alternative)
+            }))
+            : [{ label: 'No free alternative found', enabled: false }])
+        ]
+      })),
+      { type: 'separator' },
+      { label: 'Open Preferences…', click: () => openPreferencesWindow() }
+    ]
+  }];
+}
+
 function updateTrayMenu(microphoneInfo = null) {
   if (!tray) return;
   
@@ -441,7 +1508,7 @@ function updateTrayMenu(microphoneInfo = null) {
       }
     },
     {
-      label: '🔄 Refresh (Ctrl+Alt+F5)',
+      label: `🔄 Refresh${getShortcutLabel('refresh')}`,
       click: () => refreshVoiceNotes()
     },
     { type: 'separator' },
@@ -449,21 +1516,54 @@ function updateTrayMenu(microphoneInfo = null) {
       label: `${stateEmoji[recordingState]} Status: ${recordingState.charAt(0).toUpperCase() + recordingState.slice(1)}`,
       enabled: false
     },
+    ...getInputWarningsForDisplay().map(warning => ({
+      label: warning.fixLabel ? `⚠️ ${warning.message} (click: ${warning.fixLabel})` : `⚠️ ${warning.message}`,
+      enabled: Boolean(warning.fixLabel),
+      click: () => applyInputWarningFix(warning.type)
+    })),
+    ...getShortcutProblemsMenu(),
     { type: 'separator' },
     {
-      label: `🔴 Record (F10)`,
+      label: `🔴 Record${getShortcutLabel('record')}`,
       enabled: recordingState === 'stopped',
       click: () => startRecording()
     },
+    recordingState === 'paused'
+      ? {
+        label: `▶️ Resume${getShortcutLabel('pauseResume')}`,
+        click: () => resumeRecording()
+      }
+      : {
+        label: `⏸️ Pause${getShortcutLabel('pause')}`,
+        enabled: recordingState === 'recording',
+        click: () => pauseRecording()
+      },
     {
-      label: `⏸️ Pause (F11)`,
-      enabled: recordingState === 'recording',
-      click: () => pauseRecording()
+      label: `⏹️ Stop${getShortcutLabel('stop')}`,
+      enabled: recordingState !== 'stopped',
+      click: () => stopRecording()
     },
     {
-      label: `⏹️ Stop (F12)`,
+      label: `🗑️ Stop and Discard${getShortcutLabel('stopDiscard')}`,
       enabled: recordingState !== 'stopped',
-      click: () => stopRecording()
+      click: () => discardRecording()
+    },
+    {
+      label: `🎙️ Voice Activation${getShortcutLabel('vox')}`,
+      type: 'checkbox',
+      checked: Boolean(voxTrigger && voxTrigger.armed),
+      click: () => toggleVox()
+    },
+    {
+      label: '⌨️ Shortcuts',
+      submenu: [
+        { label: portalShortcuts ? 'Backend: desktop portal' : 'Backend: globalShortcut', enabled: false },
+        { type: 'separator' },
+        ...Object.entries(SHORTCUT_ACTIONS).map(([action, { label, release }]) => ({
+          label: `${label}${getShortcutLabel(action) || (release && !portalShortcuts ? ' (needs the desktop portal)' : ' (none)')}`,
+          enabled: false
+        }))
+      ]
     }
   ];
 
@@ -476,20 +1576,71 @@ function updateTrayMenu(microphoneInfo = null) {
     });
   }
   
-  // Add system audio info
+  // Add system audio info (gain is the source volume setting, not the signal)
   menuItems.push({ type: 'separator' });
-  const levelPercent = Math.round(systemAudioInfo.level * 100);
-  const levelBar = '█'.repeat(Math.floor(levelPercent / 10)) + '░'.repeat(10 - Math.floor(levelPercent / 10));
+  const gainPercent = Math.round(systemAudioInfo.level * 100);
+  const gainBar = '█'.repeat(Math.min(10, Math.floor(gainPercent / 10))) + '░'.repeat(Math.max(0, 10 - Math.floor(gainPercent / 10)));
   menuItems.push({
     label: `🔊 System: ${systemAudioInfo.name}`,
     enabled: false
   });
+  menuItems.push(...getMicrophoneMenu());
+  const audioBackend = audioMonitor && audioMonitor.getBackend();
+  menuItems.push({
+    label: `🧩 Audio backend: ${audioBackend ? audioBackend.label : audioMonitor && audioMonitor.detectingBackend ? 'detecting…' : 'none found'}`,
+    enabled: false
+  });
+  menuItems.push({
+    label: `🎚️ Gain: ${gainPercent}% [${gainBar}]`,
+    enabled: false
+  });
+  const gainStep = settingsStore.get('audio').gainStepPercent;
+  menuItems.push({
+    label: `🔊 Gain +${gainStep}%${getShortcutLabel('gainUp')}`,
+    enabled: Boolean(audioMonitor && audioMonitor.getBackend()) && systemAudioInfo.level < audioMonitor.maxLevel,
+    click: () => changeInputGain(1)
+  });
+  menuItems.push({
+    label: `🔉 Gain −${gainStep}%${getShortcutLabel('gainDown')}`,
+    enabled: Boolean(audioMonitor && audioMonitor.getBackend()) && systemAudioInfo.level > 0,
+    click: () => changeInputGain(-1)
+  });
+  const { preset: processingPreset } = settingsStore.get('processing');
+  menuItems.push({
+    label: `🎛️ Processing: ${PROCESSING_PRESETS[processingPreset].label}`,
+    submenu: Object.entries(PROCESSING_PRESETS).map(([preset, { label }]) => ({
+      label,
+      type: 'radio',
+      checked: preset === processingPreset,
+      click: () => setProcessingPreset(preset)
+    }))
+  });
+  menuItems.push({
+    label: activeMicProfile && activeMicProfile.profile ? '💾 Update Microphone Profile' : '💾 Save as Microphone Profile',
+    enabled: Boolean(audioMonitor && audioMonitor.getBackend() && systemAudioInfo.source),
+    click: () => saveMicProfile()
+  });
   menuItems.push({
-    label: `📊 Level: ${levelPercent}% [${levelBar}]`,
+    label: inputSignalLevel
+      ? `📈 Signal: ${Math.round(inputSignalLevel.rms)} dBFS (peak ${Math.round(inputSignalLevel.peakHold)})`
+      : '📈 Signal: no input',
     enabled: false
   });
 
   menuItems.push(
+    { type: 'separator' },
+    {
+      label: '📁 Open Recordings Folder',
+      click: () => {
+        const folder = getSafetyRecordingFolder();
+        fs.mkdirSync(folder, { recursive: true });
+        shell.openPath(folder);
+      }
+    },
+    {
+      label: '⚙️ Preferences',
+      click: () => openPreferencesWindow()
+    },
     { type: 'separator' },
     {
       label: 'Quit',
@@ -509,14 +1660,221 @@ ipcMain.on('update-microphone-info', (event, micInfo) => {
   currentMicrophone = micInfo;
   console.log('Voice Notes Wrapper: Microphone updated:', micInfo);
   updateTrayMenu(currentMicrophone);
+  if (mprisService) mprisService.update({ microphone: micInfo });
+  if (controlServer) controlServer.broadcast('microphone', { microphone: micInfo });
+  // The page saw its devices change; the system may have switched input too
+  applyMicProfile(systemAudioInfo);
+});
+
+// Processing on the page's microphone track, for saving profiles
+ipcMain.on('capture-settings', (event, settings) => {
+  captureSettings = settings;
+});
+
+// The page's microphone request could not get what the capture settings ask
+// for, so the page hooks fell back to looser constraints
+ipcMain.on('capture-constraints-failed', (event, { constraint, fallback }) => {
+  console.log(`Voice Notes Wrapper: Microphone request failed on ${constraint || 'a constraint'}, retried with ${fallback}`);
+  const detail = fallback === 'ideal' ? 'used the closest match' : 'used Voicenotes\' own request';
+  showNotification(`The microphone cannot provide ${constraint || 'the requested settings'}; ${detail}`, '⚠️');
+});
+
+// IPC handlers for the recording state observed in the page
+ipcMain.on('recording-state-changed', (event, { state, reason }) => {
+  setRecordingState(state, reason);
+
+  if (reason === 'page-load') {
+    voiceNotesPageReady = true;
+    // Give the web app a moment to render its buttons before a queued command
+    if (queuedCliCommand) {
+      const command = queuedCliCommand;
+      queuedCliCommand = null;
+      setTimeout(() => runCliCommand(command), 2000);
+    }
+  } else if (reason === 'page-unload') {
+    voiceNotesPageReady = false;
+  }
+});
+
+ipcMain.on('recording-error', (event, { error }) => {
+  console.log('Voice Notes Wrapper: Recording error reported by page:', error);
+  showNotification(`Recording failed: ${error}`, '❌');
+  runHook('recordingFailed', { error });
+});
+
+// IPC handlers for the selector profile
+ipcMain.handle('get-selector-profile', () => selectorProfile);
+
+ipcMain.on('selector-test-results', (event, results) => {
+  const { dialog } = require('electron');
+  const lines = Object.entries(results).map(([action, result]) => {
+    if (result.found) return `${action}: found (${result.matchedBy})`;
+    if (result.candidates) return `${action}: ${result.candidates} buttons match, none will be clicked`;
+    return `${action}: not found`;
+  });
+  dialog.showMessageBox(mainWindow, {
+    title: 'Selector Test',
+    message: 'Buttons found with the current selector profile',
+    detail: `${lines.join('\n')}\n\nProfile: ${selectorProfilePath}`,
+    buttons: ['OK']
+  });
+});
+
+// IPC handlers for the safety-net recording stream from the renderer
+ipcMain.on('safety-recording-begin', (event, { id, format, sampleRate, channels }) => {
+  if (!safetyRecorder) return;
+  try {
+    safetyRecorder.begin(format, { sampleRate, channels }, id);
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not start safety recording:', error.message);
+    showNotification('Could not save a local safety copy of this recording.', '⚠️');
+  }
+});
+
+ipcMain.on('safety-recording-data', (event, { id, chunk }) => {
+  if (!safetyRecorder) return;
+  try {
+    safetyRecorder.appendChunk(chunk, id);
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not write safety recording:', error.message);
+  }
 });
 
+ipcMain.on('safety-recording-end', (event, { id }) => {
+  if (safetyRecorder) safetyRecorder.finalize(id);
+});
+
+ipcMain.on('safety-recording-failed', (event, { error }) => {
+  console.log('Voice Notes Wrapper: Safety capture failed in renderer:', error);
+  showNotification('Could not capture a local safety copy of this recording.', '⚠️');
+});
+
+// IPC handler for the banner/refresh button visibility options
+ipcMain.handle('get-ui-settings', () => settingsStore.get('ui'));
+ipcMain.handle('get-processing-settings', () => settingsStore.get('processing'));
+
+// Preferences window
+ipcMain.handle('preferences-get-schema', () => settingsStore.getSchema());
+ipcMain.handle('preferences-get-settings', () => settingsStore.get());
+ipcMain.handle('preferences-save-settings', (event, settings) => settingsStore.update(settings));
+
+// Check whether another application already holds a key combination. Our own
+// bindings are free to reassign; anything else is probed by registering it.
+ipcMain.handle('preferences-check-shortcut', (event, accelerator) => {
+  // With the portal the desktop resolves clashes when binding
+  if (portalShortcuts || shortcutManager.isRegistered(accelerator)) {
+    return { available: true };
+  }
+
+  try {
+    if (!globalShortcut.register(accelerator, () => {})) {
+      return { available: false, reason: 'Already used by another application - it may not work' };
+    }
+    globalShortcut.unregister(accelerator);
+    return { available: true };
+  } catch (error) {
+    return { available: false, reason: `Not a valid shortcut: ${error.message}` };
+  }
+});
+
+// Suspend our global shortcuts while the Preferences window captures keys
+let shortcutCaptureActive = false;
+
+function restoreShortcutsAfterCapture() {
+  if (!shortcutCaptureActive) return;
+  shortcutCaptureActive = false;
+  if (portalShortcuts) return;
+  console.log('Voice Notes Wrapper: Shortcut capture ended, shortcuts restored:');
+  registerAllShortcuts();
+}
+
+ipcMain.on('preferences-capture-start', () => {
+  if (shortcutCaptureActive) return;
+  shortcutCaptureActive = true;
+  // Portal shortcuts are owned by the desktop and cannot be suspended
+  if (!portalShortcuts) shortcutManager.unregisterAll();
+});
+
+ipcMain.on('preferences-capture-end', () => restoreShortcutsAfterCapture());
+
+// IPC handlers for input warnings
+ipcMain.handle('get-input-warnings', () => getInputWarningsForDisplay());
+
+ipcMain.handle('fix-input-warning', (event, type) => applyInputWarningFix(type));
+
+// IPC handlers for voice activation
+ipcMain.handle('get-vox-state', () => ({ armed: Boolean(voxTrigger && voxTrigger.armed) }));
+
+ipcMain.handle('toggle-vox', () => {
+  toggleVox();
+  return { armed: Boolean(voxTrigger && voxTrigger.armed) };
+});
+
+// IPC handlers for the live input signal level metered in the renderer
+ipcMain.on('input-signal-level', (event, level) => {
+  inputSignalLevel = level;
+
+  if (silenceDetector) {
+    silenceDetector.update(level, recordingState);
+  }
+
+  if (voxTrigger) {
+    voxTrigger.update(level, recordingState);
+  }
+
+  if (inputWarnings) {
+    inputWarnings.update(level, recordingState);
+  }
+
+  // The tray menu is rebuilt on every update, so refresh it sparingly
+  if (Date.now() - lastSignalTrayUpdate > SIGNAL_TRAY_REFRESH_MS) {
+    lastSignalTrayUpdate = Date.now();
+    updateTrayMenu(currentMicrophone);
+  }
+});
+
+ipcMain.handle('get-input-signal-level', () => inputSignalLevel);
+ipcMain.handle('get-signal-level-interval', () => getSignalLevelInterval());
+
+// How often the renderer should send the signal level: every reading
+// while silence detection, input warnings or voice activation can act on
+// it, otherwise only as often as the tray shows it
+function getSignalLevelInterval() {
+  const recordingWatched = recordingState !== 'stopped' &&
+    ((silenceDetector && silenceDetector.enabled) || (inputWarnings && inputWarnings.enabled));
+  return recordingWatched || (voxTrigger && voxTrigger.armed) ? 0 : SIGNAL_TRAY_REFRESH_MS;
+}
+
+function publishSignalLevelInterval() {
+  if (mainWindow) {
+    mainWindow.webContents.send('signal-level-interval', getSignalLevelInterval());
+  }
+}
+
 // Send system audio info to renderer process
+ipcMain.handle('get-input-sources', () => getInputSourcesState());
+ipcMain.handle('set-input-volume', async (event, level) => {
+  if (!audioMonitor) {
+    return { success: false, error: 'Audio monitoring is not running' };
+  }
+  try {
+    return await audioMonitor.setInputVolume(level);
+  } catch (error) {
+    console.log('Voice Notes Wrapper: Could not set input gain:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+ipcMain.handle('adjust-input-volume', (event, direction) => changeInputGain(direction > 0 ? 1 : -1));
+ipcMain.handle('set-input-source', (event, sourceName) => selectInputSource(sourceName));
+ipcMain.handle('get-mic-profile', () => getMicProfileState());
+ipcMain.handle('get-capture-constraints', () => getCaptureConstraints());
+ipcMain.handle('save-mic-profile', () => saveMicProfile());
+
 ipcMain.handle('get-system-audio-info', async () => {
   if (audioMonitor) {
     try {
       const deviceInfo = await audioMonitor.getCurrentDevice();
-      return deviceInfo;
+      return { ...deviceInfo, maxLevel: audioMonitor.maxLevel };
     } catch (error) {
       console.log('Voice Notes Wrapper: Error getting system audio info:', error.message);
       return { name: 'System Audio Input', level: 0 };
@@ -555,8 +1913,13 @@ ipcMain.handle('get-microphone-mute-status', async () => {
 
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
-  // Load custom shortcuts configuration
-  loadShortcutsConfig();
+  // A second instance only forwards its command line
+  if (!shouldStartApp) return;
+
+  // Load settings (migrating recording-shortcuts.json on first run)
+  const settingsErrors = settingsStore.load();
+  recordingShortcuts = settingsStore.get('shortcuts');
+  primaryShortcuts = settingsStore.get('primaryShortcuts');
   
   // Configure persistent session storage for maximum authentication persistence
   const ses = session.defaultSession;
@@ -597,65 +1960,163 @@ app.whenReady().then(() => {
   createWindow();
   createTray(); // Ensure tray is created separately from window
 
-  // Register F-key shortcuts for recording (F10=Record, F11=Pause, F12=Stop)
-  globalShortcut.register('F10', () => {
-    console.log('Voice Notes Wrapper: F10 pressed - Start Recording');
-    startRecording();
-  });
+  // Load the button selector profile (after the tray so errors can be shown)
+  initSelectorProfile();
+  initMicProfiles();
+
+  // Report settings problems now that there is a window to attach them to
+  reportSettingsErrors(settingsErrors);
+
+  // Register the primary and the configurable shortcuts (through the portal
+  // on Wayland); failures are shown in the tray menu with alternatives
+  shortcutManager.on('problems', (problems) => reportShortcutProblems(problems));
+  initShortcutBackend();
 
-  globalShortcut.register('F11', () => {
-    console.log('Voice Notes Wrapper: F11 pressed - Pause Recording');
+  // Media keys, headset buttons and desktop media widgets
+  initMpris();
+
+  // Local control socket for scripts and automation
+  initControlServer();
+
+  // User commands run on recording events
+  hookRunner = new HookRunner(path.join(userDataPath, 'hooks.log'), settingsStore.get('hooks'));
+
+  // Set up the local safety-net recorder and clean up old recordings
+  safetyRecorder = new SafetyRecorder({ ...settingsStore.get('safetyRecording'), folder: getSafetyRecordingFolder() });
+  safetyRecorder.applyRetention();
+
+  // Drive the recording from silence detection
+  silenceDetector = new SilenceDetector(settingsStore.get('silenceDetection'));
+  silenceDetector.on('auto-pause', ({ silentSeconds }) => {
+    console.log(`Voice Notes Wrapper: ${silentSeconds}s of silence - auto-pausing`);
+    nextStateNotice = { state: 'paused', message: `Auto-paused after ${silentSeconds}s of silence`, icon: '🤫' };
     pauseRecording();
   });
-
-  globalShortcut.register('F12', () => {
-    console.log('Voice Notes Wrapper: F12 pressed - Stop Recording');
+  silenceDetector.on('auto-resume', () => {
+    console.log('Voice Notes Wrapper: Speech detected - auto-resuming');
+    nextStateNotice = { state: 'recording', message: 'Speech detected - recording resumed', icon: '🔴' };
+    resumeRecording();
+  });
+  silenceDetector.on('auto-stop', ({ silentMinutes }) => {
+    console.log(`Voice Notes Wrapper: ${silentMinutes} min of silence - auto-stopping`);
+    nextStateNotice = { state: 'stopped', message: `Auto-stopped after ${silentMinutes} min of silence`, icon: '🤫' };
     stopRecording();
   });
 
-  // Register configurable shortcuts from config file (for Bluetooth remotes)
-  globalShortcut.register(recordingShortcuts.record, () => {
-    console.log(`Voice Notes Wrapper: ${recordingShortcuts.record} key pressed - Start Recording`);
-    startRecording();
+  // Start recording hands-free when armed and speech is detected. The web app
+  // only starts listening once its record button is clicked, so the first
+  // syllables can be lost: say so whenever VOX is armed or fires.
+  voxTrigger = new VoxTrigger(settingsStore.get('vox'));
+  voxTrigger.on('armed-changed', (armed) => {
+    console.log(`Voice Notes Wrapper: Voice activation ${armed ? 'armed' : 'disarmed'}`);
+    updateTrayMenu(currentMicrophone);
+    publishSignalLevelInterval();
+    if (mainWindow) {
+      mainWindow.webContents.send('vox-state-changed', { armed });
+    }
+    if (armed) {
+      showNotification('Voice activation armed - start speaking to record. Pause briefly after your first word, it may be cut off.', '🎙️');
+    } else if (recordingState === 'stopped') {
+      showNotification('Voice activation disarmed', '🎙️');
+    }
   });
-
-  globalShortcut.register(recordingShortcuts.pause, () => {
-    console.log(`Voice Notes Wrapper: ${recordingShortcuts.pause} key pressed - Pause Recording`);
-    pauseRecording();
+  voxTrigger.on('trigger', () => {
+    console.log('Voice Notes Wrapper: Voice activation triggered - starting recording');
+    nextStateNotice = {
+      state: 'recording',
+      message: `Voice activation started recording - about ${voxTrigger.minDurationMs} ms of speech before this may be missing`,
+      icon: '🎙️'
+    };
+    startRecording();
   });
 
-  globalShortcut.register(recordingShortcuts.stop, () => {
-    console.log(`Voice Notes Wrapper: ${recordingShortcuts.stop} key pressed - Stop Recording`);
-    stopRecording();
+  // Warn about bad input while recording
+  inputWarnings = new InputWarnings(settingsStore.get('inputWarnings'));
+  inputWarnings.on('warning', (warning) => {
+    console.log(`Voice Notes Wrapper: Input warning - ${warning.message}`);
+    showNotification(warning.message, '⚠️');
+    publishInputWarnings();
   });
-
-  // Register Ctrl+Alt+F5 for refresh (safer than F5 alone)
-  globalShortcut.register('CommandOrControl+Alt+F5', () => {
-    console.log('Voice Notes Wrapper: Ctrl+Alt+F5 pressed - Refresh');
-    refreshVoiceNotes();
+  inputWarnings.on('cleared', (type) => {
+    console.log(`Voice Notes Wrapper: Input warning cleared - ${type}`);
+    publishInputWarnings();
   });
 
   // Initialize audio monitoring
-  audioMonitor = new AudioMonitor();
+  audioMonitor = new AudioMonitor(settingsStore.get('audio'));
+  audioMonitor.on('backendChanged', () => updateTrayMenu(currentMicrophone));
+  audioMonitor.on('sourcesChanged', () => publishInputSources());
   audioMonitor.on('deviceUpdate', (deviceInfo) => {
     systemAudioInfo = deviceInfo;
     console.log(`Voice Notes Wrapper: System audio updated - ${deviceInfo.name} (${Math.round(deviceInfo.level * 100)}%)`);
-    updateTrayMenu(currentMicrophone);
+    publishInputSources();
+    applyMicProfile(deviceInfo);
+    if (controlServer) controlServer.broadcast('deviceUpdate', deviceInfo);
   });
   
   // Start monitoring system audio
-  audioMonitor.startMonitoring(2000); // Update every 2 seconds
+  audioMonitor.startMonitoring(2000); // Polls every 2 seconds only when pactl subscribe is unavailable
   
-  console.log('Voice Notes Wrapper: Registered shortcuts:');
-  console.log('- F10: Start Recording');
-  console.log('- F11: Pause Recording');
-  console.log('- F12: Stop Recording');
-  console.log(`- ${recordingShortcuts.record}: Start Recording (Bluetooth/Custom)`);
-  console.log(`- ${recordingShortcuts.pause}: Pause Recording (Bluetooth/Custom)`);
-  console.log(`- ${recordingShortcuts.stop}: Stop Recording (Bluetooth/Custom)`);
-  console.log('- Ctrl+Alt+F5: Refresh Voice Notes');
   console.log('Voice Notes Wrapper: System audio monitoring started');
 
+  // Apply settings changes (from the settings file or the app) to each module
+  // One save can change both shortcut sets; rebind once for both
+  settingsStore.on('change', (sections) => {
+    if (!sections.includes('shortcuts') && !sections.includes('primaryShortcuts')) return;
+    updateRecordingShortcuts(settingsStore.get('shortcuts'), settingsStore.get('primaryShortcuts'));
+  });
+  let {
+    shortcutBackend: shortcutBackendSetting,
+    mpris: mprisSetting,
+    controlSocket: controlSocketSetting
+  } = settingsStore.get('behaviour');
+  settingsStore.on('change:behaviour', ({ shortcutBackend, mpris, controlSocket }) => {
+    if (shortcutBackend !== shortcutBackendSetting) {
+      shortcutBackendSetting = shortcutBackend;
+      initShortcutBackend();
+    }
+    if (mpris !== mprisSetting) {
+      mprisSetting = mpris;
+      initMpris();
+    }
+    if (controlSocket !== controlSocketSetting) {
+      controlSocketSetting = controlSocket;
+      initControlServer();
+    }
+  });
+  settingsStore.on('change:safetyRecording', (options) => {
+    safetyRecorder.configure({ ...options, folder: getSafetyRecordingFolder() });
+  });
+  settingsStore.on('change:silenceDetection', (options) => {
+    silenceDetector.configure(options);
+    publishSignalLevelInterval();
+  });
+  settingsStore.on('change:vox', (options) => voxTrigger.configure(options));
+  settingsStore.on('change:inputWarnings', (options) => {
+    inputWarnings.configure(options);
+    publishSignalLevelInterval();
+  });
+  settingsStore.on('change:hooks', (options) => hookRunner.configure(options));
+  settingsStore.on('change:audio', (options) => {
+    audioMonitor.configure(options);
+    updateTrayMenu(currentMicrophone);
+  });
+  settingsStore.on('change:capture', () => publishCaptureConstraints());
+  settingsStore.on('change:processing', (processing) => {
+    updateTrayMenu(currentMicrophone);
+    if (mainWindow) mainWindow.webContents.send('processing-settings-changed', processing);
+  });
+  settingsStore.on('change:ui', (ui) => {
+    if (mainWindow) mainWindow.webContents.send('ui-settings-changed', ui);
+  });
+  settingsStore.on('change', (sections) => {
+    console.log('Voice Notes Wrapper: Settings changed:', sections.join(', '));
+    if (preferencesWindow) {
+      preferencesWindow.webContents.send('preferences-settings-changed', settingsStore.get());
+    }
+  });
+  settingsStore.watch(reportSettingsErrors);
+
   app.on('activate', () => {
     // On macOS it's common to re-create a window when the dock icon is clicked
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -674,6 +2135,9 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   app.isQuiting = true;
   globalShortcut.unregisterAll();
+  stopPortalShortcuts().catch(() => {});
+  stopMpris().catch(() => {});
+  stopControlServer();
   
   // Clean up tray
   if (tray) {
@@ -685,6 +2149,11 @@ app.on('before-quit', () => {
   if (audioMonitor) {
     audioMonitor.stopMonitoring();
   }
+
+  // Keep whatever the safety-net recorder has captured so far
+  if (safetyRecorder) {
+    safetyRecorder.finalize();
+  }
 });
 
 // Handle app activation (clicking on dock icon on macOS)
@@ -0,0 +1,162 @@
+// Per-microphone profiles
+// Each microphone gets its own gain, mute state, browser audio processing and,
+// for Bluetooth headsets, card profile, applied whenever it becomes the
+// input. Profiles live in a JSON file keyed by the source name, e.g.
+//
+//   {
+//     "alsa_input.usb-Blue_Yeti-00.analog-stereo": {
+//       "label": "Yeti Stereo Microphone",
+//       "gainPercent": 65,
+//       "muted": false,
+//       "noiseSuppression": false,
+//       "autoGainControl": false,
+//       "echoCancellation": null,
+//       "bluetoothProfile": null
+//     }
+//   }
+//
+// A null or missing value leaves that setting alone.
+
+const fs = require('fs');
+
+// getUserMedia constraints a profile can turn on or off
+const MIC_PROFILE_CONSTRAINTS = ['noiseSuppression', 'autoGainControl', 'echoCancellation'];
+
+// Same ceiling as the audio.maxGainPercent setting
+const MIC_PROFILE_MAX_GAIN_PERCENT = 150;
+
+// Check one profile, collecting any problems found; invalid values are
+// dropped so the rest of the profile still applies
+function normalizeMicProfile(key, entry, errors) {
+  const profile = {
+    label: '',
+    gainPercent: null,
+    muted: null,
+    noiseSuppression: null,
+    autoGainControl: null,
+    echoCancellation: null,
+    bluetoothProfile: null
+  };
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`"${key}" must be an object`);
+    return profile;
+  }
+
+  if (entry.label !== undefined) {
+    if (typeof entry.label === 'string') {
+      profile.label = entry.label;
+    } else {
+      errors.push(`"${key}.label" must be a string`);
+    }
+  }
+
+  if (entry.gainPercent !== undefined && entry.gainPercent !== null) {
+    if (typeof entry.gainPercent === 'number' && entry.gainPercent >= 0 && entry.gainPercent <= MIC_PROFILE_MAX_GAIN_PERCENT) {
+      profile.gainPercent = entry.gainPercent;
+    } else {
+      errors.push(`"${key}.gainPercent" must be a number from 0 to ${MIC_PROFILE_MAX_GAIN_PERCENT}`);
+    }
+  }
+
+  for (const option of ['muted', ...MIC_PROFILE_CONSTRAINTS]) {
+    if (entry[option] === undefined || entry[option] === null) continue;
+    if (typeof entry[option] === 'boolean') {
+      profile[option] = entry[option];
+    } else {
+      errors.push(`"${key}.${option}" must be true, false or null`);
+    }
+  }
+
+  if (entry.bluetoothProfile !== undefined && entry.bluetoothProfile !== null) {
+    if (typeof entry.bluetoothProfile === 'string' && entry.bluetoothProfile) {
+      profile.bluetoothProfile = entry.bluetoothProfile;
+    } else {
+      errors.push(`"${key}.bluetoothProfile" must be a profile name or null`);
+    }
+  }
+
+  return profile;
+}
+
+function normalizeMicProfiles(rawProfiles) {
+  const profiles = {};
+  const errors = [];
+
+  if (!rawProfiles || typeof rawProfiles !== 'object' || Array.isArray(rawProfiles)) {
+    errors.push('Microphone profiles must be a JSON object');
+    return { profiles, errors };
+  }
+
+  for (const [key, entry] of Object.entries(rawProfiles)) {
+    profiles[key] = normalizeMicProfile(key, entry, errors);
+  }
+  return { profiles, errors };
+}
+
+// Load the profiles from disk; a missing file means none are saved yet
+function loadMicProfiles(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { profiles: {}, errors: [] };
+  }
+
+  try {
+    return normalizeMicProfiles(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    return { profiles: {}, errors: [`Could not read ${filePath}: ${error.message}`] };
+  }
+}
+
+// Write through a temporary file, so the watcher never reads a partial file
+function saveMicProfiles(filePath, profiles) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(profiles, null, 2) + '\n');
+  fs.renameSync(tempPath, filePath);
+}
+
+// Call onChange whenever the profiles file is modified; returns a stop function
+function watchMicProfiles(filePath, onChange) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      onChange(loadMicProfiles(filePath));
+    }
+  };
+  fs.watchFile(filePath, { interval: 1000 }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+// The profile for a source, by its name or, as names can change between
+// sessions (Bluetooth nodes, USB ports), by the name the desktop shows
+function findMicProfile(profiles, { source, name }) {
+  if (source && profiles[source]) {
+    return { key: source, profile: profiles[source] };
+  }
+  if (name) {
+    const wanted = name.toLowerCase();
+    const key = Object.keys(profiles).find(candidate => profiles[candidate].label.toLowerCase() === wanted);
+    if (key) return { key, profile: profiles[key] };
+  }
+  return null;
+}
+
+// The constraints a profile sets, for getUserMedia
+function getMicProfileConstraints(profile) {
+  const constraints = {};
+  for (const option of MIC_PROFILE_CONSTRAINTS) {
+    if (profile && profile[option] !== null) {
+      constraints[option] = profile[option];
+    }
+  }
+  return constraints;
+}
+
+module.exports = {
+  MIC_PROFILE_CONSTRAINTS,
+  MIC_PROFILE_MAX_GAIN_PERCENT,
+  normalizeMicProfiles,
+  loadMicProfiles,
+  saveMicProfiles,
+  watchMicProfiles,
+  findMicProfile,
+  getMicProfileConstraints
+};
@@ -0,0 +1,266 @@
+// MPRIS media player service
+// Publishes the recorder as an org.mpris.MediaPlayer2 player on the session
+// bus, so desktop media widgets, playerctl, headset buttons and Bluetooth
+// remotes (which send media keys) can control recording without any
+// per-device key mapping.
+
+const { EventEmitter } = require('events');
+const dbus = require('dbus-next');
+
+const { Variant } = dbus;
+const { Interface, ACCESS_READ, ACCESS_READWRITE } = dbus.interface;
+
+const MPRIS_BUS_NAME = 'org.mpris.MediaPlayer2.voicenotes';
+const MPRIS_OBJECT_PATH = '/org/mpris/MediaPlayer2';
+const TRACK_ID = '/org/mpris/MediaPlayer2/voicenotes/recording';
+
+const PLAYBACK_STATUS = {
+  recording: 'Playing',
+  paused: 'Paused',
+  stopped: 'Stopped'
+};
+
+// org.mpris.MediaPlayer2: identity and window control
+class RootInterface extends Interface {
+  constructor(service) {
+    super('org.mpris.MediaPlayer2');
+    this.service = service;
+  }
+
+  get CanQuit() { return true; }
+  get CanRaise() { return true; }
+  get HasTrackList() { return false; }
+  get Identity() { return 'Voice Notes'; }
+  get DesktopEntry() { return 'voicenotes-wrapper'; }
+  get SupportedUriSchemes() { return []; }
+  get SupportedMimeTypes() { return []; }
+
+  Raise() { this.service.emit('raise'); }
+  Quit() { this.service.emit('quit'); }
+}
+
+RootInterface.configureMembers({
+  properties: {
+    CanQuit: { signature: 'b', access: ACCESS_READ },
+    CanRaise: { signature: 'b', access: ACCESS_READ },
+    HasTrackList: { signature: 'b', access: ACCESS_READ },
+    Identity: { signature: 's', access: ACCESS_READ },
+    DesktopEntry: { signature: 's', access: ACCESS_READ },
+    SupportedUriSchemes: { signature: 'as', access: ACCESS_READ },
+    SupportedMimeTypes: { signature: 'as', access: ACCESS_READ }
+  },
+  methods: {
+    Raise: {},
+    Quit: {}
+  }
+});
+
+// org.mpris.MediaPlayer2.Player: "playing" is recording. Position is the
+// elapsed recording time; seeking and track changes are not supported.
+class PlayerInterface extends Interface {
+  constructor(service) {
+    super('org.mpris.MediaPlayer2.Player');
+    this.service = service;
+  }
+
+  get PlaybackStatus() { return PLAYBACK_STATUS[this.service.state.recordingState] || 'Stopped'; }
+  get Rate() { return 1.0; }
+  set Rate(value) {}
+  get MinimumRate() { return 1.0; }
+  get MaximumRate() { return 1.0; }
+  get Volume() { return 1.0; }
+  set Volume(value) {}
+  get Position() { return BigInt(Math.round(this.service.getElapsedMs() * 1000)); }
+  get Metadata() { return this.service.buildMetadata(); }
+  get CanGoNext() { return false; }
+  get CanGoPrevious() { return false; }
+  get CanPlay() { return true; }
+  get CanPause() { return this.service.state.recordingState === 'recording'; }
+  get CanSeek() { return false; }
+  get CanControl() { return true; }
+
+  Play() { this.service.emit('play'); }
+  Pause() { this.service.emit('pause'); }
+  PlayPause() { this.service.emit('play-pause'); }
+  Stop() { this.service.emit('stop'); }
+  Next() {}
+  Previous() {}
+  Seek(offset) {}
+  SetPosition(trackId, position) {}
+  OpenUri(uri) {}
+
+  Seeked(position) { return position; }
+}
+
+PlayerInterface.configureMembers({
+  properties: {
+    PlaybackStatus: { signature: 's', access: ACCESS_READ },
+    Rate: { signature: 'd', access: ACCESS_READWRITE },
+    MinimumRate: { signature: 'd', access: ACCESS_READ },
+    MaximumRate: { signature: 'd', access: ACCESS_READ },
+    Volume: { signature: 'd', access: ACCESS_READWRITE },
+    Position: { signature: 'x', access: ACCESS_READ },
+    Metadata: { signature: 'a{sv}', access: ACCESS_READ },
+    CanGoNext: { signature: 'b', access: ACCESS_READ },
+    CanGoPrevious: { signature: 'b', access: ACCESS_READ },
+    CanPlay: { signature: 'b', access: ACCESS_READ },
+    CanPause: { signature: 'b', access: ACCESS_READ },
+    CanSeek: { signature: 'b', access: ACCESS_READ },
+    CanControl: { signature: 'b', access: ACCESS_READ }
+  },
+  methods: {
+    Play: {},
+    Pause: {},
+    PlayPause: {},
+    Stop: {},
+    Next: {},
+    Previous: {},
+    Seek: { inSignature: 'x' },
+    SetPosition: { inSignature: 'ox' },
+    OpenUri: { inSignature: 's' }
+  },
+  signals: {
+    Seeked: { signature: 'x' }
+  }
+});
+
+// Emits 'play', 'pause', 'play-pause', 'stop', 'raise' and 'quit' when a
+// client calls the matching method. getElapsedMs returns the recorded time
+// so far; the bus can be injected for testing against a private bus, and an
+// injected bus is left connected by stop().
+class MprisService extends EventEmitter {
+  constructor({ bus = null, busName = MPRIS_BUS_NAME, getElapsedMs = () => 0 } = {}) {
+    super();
+    this.bus = bus;
+    this.ownsBus = false;
+    this.busName = busName;
+    this.getElapsedMs = getElapsedMs;
+    this.state = { recordingState: 'stopped', microphone: null };
+    this.elapsedTimer = null;
+    this.root = new RootInterface(this);
+    this.player = new PlayerInterface(this);
+    this.onBusError = (error) => console.log('Voice Notes Wrapper: MPRIS session bus error:', error.message);
+  }
+
+  // Connect and publish the player. Rejects when there is no reachable
+  // session bus or another player already owns the name.
+  async start() {
+    if (!this.bus) {
+      this.bus = dbus.sessionBus();
+      this.ownsBus = true;
+    }
+    // Connection errors are emitted as events; without a listener they
+    // would crash the app
+    this.bus.on('error', this.onBusError);
+
+    try {
+      await this.waitForConnection();
+      this.bus.export(MPRIS_OBJECT_PATH, this.root);
+      this.bus.export(MPRIS_OBJECT_PATH, this.player);
+      const reply = await this.bus.requestName(this.busName, dbus.NameFlag.DO_NOT_QUEUE);
+      if (reply !== dbus.RequestNameReply.PRIMARY_OWNER) {
+        throw new Error(`${this.busName} is already taken by another instance`);
+      }
+    } catch (error) {
+      this.releaseBus();
+      throw error;
+    }
+    console.log(`Voice Notes Wrapper: MPRIS service published as ${this.busName}`);
+  }
+
+  async stop() {
+    this.stopElapsedTimer();
+    if (!this.bus) return;
+    try {
+      await this.bus.releaseName(this.busName);
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Could not release MPRIS name:', error.message);
+    }
+    this.releaseBus();
+  }
+
+  // Unexport the player and close the connection if start() opened it
+  releaseBus() {
+    this.bus.unexport(MPRIS_OBJECT_PATH);
+    if (this.ownsBus) {
+      this.bus.disconnect();
+    } else {
+      this.bus.removeListener('error', this.onBusError);
+    }
+    this.bus = null;
+    this.ownsBus = false;
+  }
+
+  waitForConnection() {
+    if (this.bus.name) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.bus.removeListener('error', onError);
+        resolve();
+      };
+      const onError = (error) => {
+        this.bus.removeListener('connect', onConnect);
+        reject(error);
+      };
+      this.bus.once('connect', onConnect);
+      this.bus.once('error', onError);
+    });
+  }
+
+  // Publish a new recording state and/or microphone ({ recordingState, microphone })
+  update(changes) {
+    this.state = { ...this.state, ...changes };
+    Interface.emitPropertiesChanged(this.player, {
+      PlaybackStatus: this.player.PlaybackStatus,
+      CanPause: this.player.CanPause,
+      Metadata: this.player.Metadata
+    });
+
+    // Clients extrapolate Position from the status; tell them it restarted
+    if (changes.recordingState === 'stopped') {
+      this.player.Seeked(BigInt(0));
+    }
+
+    // Most widgets only show the metadata, so refresh the elapsed time there
+    if (this.state.recordingState === 'recording') {
+      this.startElapsedTimer();
+    } else {
+      this.stopElapsedTimer();
+    }
+  }
+
+  startElapsedTimer() {
+    if (this.elapsedTimer) return;
+    this.elapsedTimer = setInterval(() => {
+      Interface.emitPropertiesChanged(this.player, { Metadata: this.player.Metadata });
+    }, 1000);
+  }
+
+  stopElapsedTimer() {
+    if (this.elapsedTimer) {
+      clearInterval(this.elapsedTimer);
+      this.elapsedTimer = null;
+    }
+  }
+
+  buildMetadata() {
+    const { recordingState, microphone } = this.state;
+    const titles = { recording: 'Recording', paused: 'Recording paused', stopped: 'Ready to record' };
+    const metadata = {
+      'mpris:trackid': new Variant('o', TRACK_ID),
+      'xesam:title': new Variant('s', titles[recordingState] || titles.stopped),
+      'xesam:album': new Variant('s', 'Voice Notes')
+    };
+
+    if (microphone) {
+      metadata['xesam:artist'] = new Variant('as', [microphone]);
+    }
+    // The length grows with the recording, so widgets show the elapsed time
+    if (recordingState !== 'stopped') {
+      metadata['mpris:length'] = new Variant('x', BigInt(Math.round(this.getElapsedMs() * 1000)));
+    }
+    return metadata;
+  }
+}
+
+module.exports = MprisService;
@@ -0,0 +1,258 @@
+// Parsers for pactl output
+// `pactl --format=json` (pactl 16+) is preferred; older versions only have
+// the text format, which is parsed by its indentation instead of grepping a
+// fixed number of lines. Both give sources in the same shape:
+//   { index, name, description, driver, state, muted, volume, channelVolumes,
+//     monitorOf, properties, ports, activePort }
+// where volume is the average channel volume (1 = 100%). Text output is
+// expected in the C locale.
+
+// "front-left: 39321 /  60% / -13.31 dB,   front-right: ..." -> [0.6, ...]
+function parseVolumePercents(text) {
+  const matches = String(text).match(/(\d+)%/g) || [];
+  return matches.map(match => parseInt(match, 10) / 100);
+}
+
+function averageVolume(channelVolumes) {
+  if (channelVolumes.length === 0) return 0;
+  return channelVolumes.reduce((sum, volume) => sum + volume, 0) / channelVolumes.length;
+}
+
+// Output of `pactl list sources`
+function parseSourcesText(text) {
+  const sources = [];
+  let source = null;
+  let section = null;
+
+  for (const line of String(text).split('\n')) {
+    const header = line.match(/^Source #(\d+)\s*$/);
+    if (header) {
+      source = {
+        index: parseInt(header[1], 10),
+        name: '',
+        description: '',
+        driver: '',
+        state: '',
+        muted: false,
+        volume: 0,
+        channelVolumes: [],
+        monitorOf: null,
+        properties: {},
+        ports: [],
+        activePort: null
+      };
+      sources.push(source);
+      section = null;
+      continue;
+    }
+    if (!source || !line.trim()) continue;
+
+    // Two tabs: an entry of the Properties, Ports or Formats list
+    if (line.startsWith('\t\t')) {
+      const entry = line.trim();
+      if (section === 'Properties') {
+        const property = entry.match(/^([^=]+?) = "(.*)"$/);
+        if (property) source.properties[property[1]] = property[2];
+      } else if (section === 'Ports') {
+        const port = entry.match(/^([^:]+): (.*?)(?: \((.*)\))?$/);
+        if (port) {
+          source.ports.push({
+            name: port[1],
+            description: port[2],
+            available: !/not available/.test(port[3] || '')
+          });
+        }
+      }
+      continue;
+    }
+
+    // One tab: "Key: value"; anything else continues the previous line
+    const field = line.match(/^\t([^:\t]+):\s*(.*)$/);
+    if (!field) continue;
+    const [, key, value] = field;
+    section = key;
+
+    switch (key) {
+      case 'Name': source.name = value; break;
+      case 'Description': source.description = value; break;
+      case 'Driver': source.driver = value; break;
+      case 'State': source.state = value; break;
+      case 'Mute': source.muted = value === 'yes'; break;
+      case 'Volume':
+        source.channelVolumes = parseVolumePercents(value);
+        source.volume = averageVolume(source.channelVolumes);
+        break;
+      case 'Monitor of Sink': source.monitorOf = value === 'n/a' ? null : value; break;
+      case 'Active Port': source.activePort = value; break;
+    }
+  }
+
+  return sources;
+}
+
+// Output of `pactl --format=json list sources`
+function parseSourcesJson(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) {
+    throw new Error('Expected a list of sources');
+  }
+
+  return data.map((entry) => {
+    const channelVolumes = Object.values(entry.volume || {})
+      .map(channel => parseInt(channel.value_percent, 10) / 100)
+      .filter(volume => !Number.isNaN(volume));
+    const monitorOf = entry.monitor_of_sink || entry.monitor_source || null;
+
+    return {
+      index: Number(entry.index),
+      name: entry.name || '',
+      description: entry.description || '',
+      driver: entry.driver || '',
+      state: entry.state || '',
+      muted: entry.mute === true,
+      volume: averageVolume(channelVolumes),
+      channelVolumes,
+      monitorOf: monitorOf === 'n/a' ? null : monitorOf,
+      properties: entry.properties || {},
+      ports: (entry.ports || []).map(port => ({
+        name: port.name,
+        description: port.description || '',
+        available: port.availability !== 'not available'
+      })),
+      activePort: entry.active_port || null
+    };
+  });
+}
+
+// Output of `pactl list cards`, as
+//   { index, name, driver, properties, profiles, activeProfile }
+// where profiles lists the profile names
+function parseCardsText(text) {
+  const cards = [];
+  let card = null;
+  let section = null;
+
+  for (const line of String(text).split('\n')) {
+    const header = line.match(/^Card #(\d+)\s*$/);
+    if (header) {
+      card = { index: parseInt(header[1], 10), name: '', driver: '', properties: {}, profiles: [], activeProfile: null };
+      cards.push(card);
+      section = null;
+      continue;
+    }
+    if (!card || !line.trim()) continue;
+
+    if (line.startsWith('\t\t')) {
+      const entry = line.trim();
+      if (section === 'Properties') {
+        const property = entry.match(/^([^=]+?) = "(.*)"$/);
+        if (property) card.properties[property[1]] = property[2];
+      } else if (section === 'Profiles') {
+        // Profile names can contain colons ("input:analog-stereo: Analog Stereo Input ...")
+        const profile = entry.match(/^(\S+): /);
+        if (profile) card.profiles.push(profile[1]);
+      }
+      continue;
+    }
+
+    const field = line.match(/^\t([^:\t]+):\s*(.*)$/);
+    if (!field) continue;
+    const [, key, value] = field;
+    section = key;
+
+    switch (key) {
+      case 'Name': card.name = value; break;
+      case 'Driver': card.driver = value; break;
+      case 'Active Profile': card.activeProfile = value || null; break;
+    }
+  }
+
+  return cards;
+}
+
+// Output of `pactl --format=json list cards`
+function parseCardsJson(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) {
+    throw new Error('Expected a list of cards');
+  }
+
+  return data.map(entry => ({
+    index: Number(entry.index),
+    name: entry.name || '',
+    driver: entry.driver || '',
+    properties: entry.properties || {},
+    profiles: Object.keys(entry.profiles || {}),
+    activeProfile: entry.active_profile || null
+  }));
+}
+
+// Output of `pactl list short sources` (index, name, driver, spec, state)
+function parseShortSources(text) {
+  return String(text).split('\n')
+    .filter(line => line.trim())
+    .map((line) => {
+      const [index, name, driver, sampleSpec, state] = line.split('\t');
+      return { index: parseInt(index, 10), name, driver, sampleSpec, state };
+    })
+    .filter(source => !Number.isNaN(source.index) && source.name);
+}
+
+// Output of `pactl info`, as { 'Default Source': ..., ... }
+function parseInfo(text) {
+  const info = {};
+  for (const line of String(text).split('\n')) {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match) info[match[1].trim()] = match[2].trim();
+  }
+  return info;
+}
+
+// Output of `pactl get-source-mute` ("Mute: yes"); null when unrecognised
+function parseMute(text) {
+  const match = String(text).match(/Mute:\s*(yes|no)/);
+  return match ? match[1] === 'yes' : null;
+}
+
+// Output of `pactl get-source-volume`; null when unrecognised
+function parseVolume(text) {
+  const channelVolumes = parseVolumePercents(text.split('\n')[0]);
+  return channelVolumes.length > 0 ? averageVolume(channelVolumes) : null;
+}
+
+// A friendly name for a source, as the desktop shows it
+function getSourceDisplayName(source) {
+  return source.properties['device.description'] ||
+    source.description ||
+    source.properties['alsa.card_name'] ||
+    source.name ||
+    'Unknown Input Device';
+}
+
+// Bluetooth headsets, whose card profile decides the microphone's codec
+function isBluetoothSource(source) {
+  return source.properties['device.bus'] === 'bluetooth' ||
+    source.properties['device.api'] === 'bluez5' ||
+    /^bluez_/.test(source.name);
+}
+
+// Monitors of output devices are sources too, but never a microphone
+function isMonitorSource(source) {
+  return Boolean(source.monitorOf) ||
+    source.name.endsWith('.monitor') ||
+    source.properties['device.class'] === 'monitor';
+}
+
+module.exports = {
+  parseSourcesText,
+  parseSourcesJson,
+  parseCardsText,
+  parseCardsJson,
+  parseShortSources,
+  parseInfo,
+  parseMute,
+  parseVolume,
+  getSourceDisplayName,
+  isBluetoothSource,
+  isMonitorSource
+};
@@ -0,0 +1,323 @@
+// Page-world hooks for Voice Notes Wrapper
+// preload.js runs in an isolated world (contextIsolation), so it cannot see the
+// MediaRecorder and getUserMedia objects the Voice Notes page actually uses.
+// This function is serialised by preload.js and executed inside the page's own
+// world, which means it must stay fully self-contained: no requires and no
+// references to variables outside its body. createProcessingChain (from
+// audio-processing.js) is passed in the same way.
+
+function installPageHooks(messageSource, createProcessingChain) {
+  if (window.__voiceNotesWrapperHooksInstalled) return;
+  window.__voiceNotesWrapperHooksInstalled = true;
+
+  const post = (type, payload = {}) => {
+    window.postMessage({ source: messageSource, type, ...payload }, '*');
+  };
+
+  // Every MediaRecorder the page has used, so we can report a combined state
+  const recorders = new Set();
+  let lastReportedState = null;
+
+  const computeState = () => {
+    let state = 'stopped';
+    for (const recorder of recorders) {
+      if (recorder.state === 'recording') return 'recording';
+      if (recorder.state === 'paused') state = 'paused';
+    }
+    return state;
+  };
+
+  const reportState = (reason) => {
+    const state = computeState();
+    if (state === lastReportedState) return;
+    lastReportedState = state;
+    post('recording-state', { state, reason });
+  };
+
+  const watchRecorder = (recorder) => {
+    if (recorders.has(recorder)) return;
+    recorders.add(recorder);
+
+    recorder.addEventListener('start', () => reportState('recorder-start'));
+    recorder.addEventListener('pause', () => reportState('recorder-pause'));
+    recorder.addEventListener('resume', () => reportState('recorder-resume'));
+    recorder.addEventListener('stop', () => {
+      reportState('recorder-stop');
+      recorders.delete(recorder);
+    });
+    recorder.addEventListener('error', (event) => {
+      const error = event.error || {};
+      post('recording-error', { error: error.message || error.name || 'MediaRecorder error' });
+      reportState('recorder-error');
+    });
+  };
+
+  // Attach listeners the first time the page drives a recorder
+  if (window.MediaRecorder) {
+    for (const method of ['start', 'pause', 'resume', 'stop']) {
+      const original = MediaRecorder.prototype[method];
+      MediaRecorder.prototype[method] = function (...args) {
+        watchRecorder(this);
+        return original.apply(this, args);
+      };
+    }
+  }
+
+  // Label of the microphone picked in the wrapper (null to leave the page's
+  // choice alone), sent by the preload script
+  let preferredInputLabel = null;
+
+  // Constraints from the capture settings and the microphone's profile
+  // (noise suppression, AGC, echo cancellation, channel count, sample rate),
+  // and the microphone tracks still live that they apply to
+  let captureConstraints = {};
+  const liveTracks = new Set();
+
+  const reportTrack = (track) => {
+    const settings = track.getSettings();
+    post('capture-device', {
+      deviceId: settings.deviceId,
+      label: track.label,
+      settings: {
+        noiseSuppression: settings.noiseSuppression,
+        autoGainControl: settings.autoGainControl,
+        echoCancellation: settings.echoCancellation,
+        channelCount: settings.channelCount,
+        sampleRate: settings.sampleRate
+      }
+    });
+  };
+
+  const applyToLiveTracks = () => {
+    if (Object.keys(captureConstraints).length === 0) return;
+    for (const track of liveTracks) {
+      // stop() does not fire "ended", so drop stopped tracks here
+      if (track.readyState !== 'live') {
+        liveTracks.delete(track);
+        continue;
+      }
+      track.applyConstraints({ ...track.getConstraints(), ...captureConstraints })
+        .then(() => reportTrack(track))
+        .catch(error => console.log('Voice Notes Wrapper: Could not change the live microphone track:', error.name));
+    }
+  };
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== messageSource) return;
+    if (event.data.type === 'preferred-input') {
+      preferredInputLabel = event.data.label || null;
+    } else if (event.data.type === 'audio-constraints') {
+      captureConstraints = event.data.constraints || {};
+      applyToLiveTracks();
+    } else if (event.data.type === 'processing-preset') {
+      setProcessingPreset(event.data.preset, event.data.params);
+    } else if (event.data.type === 'processing-preview') {
+      setPreview(event.data.mode);
+    }
+  });
+
+  // The page's device carrying the preferred label, if any
+  const findPreferredInput = async () => {
+    if (!preferredInputLabel) return null;
+
+    const wanted = preferredInputLabel.toLowerCase();
+    const inputs = (await navigator.mediaDevices.enumerateDevices())
+      .filter(device => device.kind === 'audioinput' && device.deviceId !== 'default' && device.deviceId !== 'communications');
+    return inputs.find(input => input.label.toLowerCase() === wanted) ||
+      inputs.find(input => input.label.toLowerCase().includes(wanted)) ||
+      null;
+  };
+
+  // The page's request with the preferred device and the capture
+  // constraints, which win over the page's own. strict requires the device,
+  // channel count and sample rate; otherwise they are only preferred.
+  const buildRequest = async (constraints, strict) => {
+    if (!constraints || !constraints.audio) return constraints;
+
+    const device = await findPreferredInput();
+    if (!device && Object.keys(captureConstraints).length === 0) return constraints;
+
+    const audio = typeof constraints.audio === 'object' ? { ...constraints.audio } : {};
+    if (device) {
+      audio.deviceId = strict ? { exact: device.deviceId } : { ideal: device.deviceId };
+    }
+    for (const [name, value] of Object.entries(captureConstraints)) {
+      audio[name] = strict && typeof value === 'number' ? { exact: value } : value;
+    }
+    return { ...constraints, audio };
+  };
+
+  // Microphone tracks the page has not stopped yet. Once the last one is
+  // gone nothing can be recording, so the state falls back to stopped even
+  // when a recorder's own stop never reached the hooks above.
+  const capturingTracks = new Set();
+
+  const releaseCaptureTrack = (track) => {
+    if (!capturingTracks.delete(track) || capturingTracks.size > 0) return;
+    recorders.clear();
+    reportState('tracks-ended');
+  };
+
+  // Watch the microphone tracks the page captures: report which device is in
+  // use, and if it disappears mid-recording surface that as an error
+  const watchTracks = (stream) => {
+    for (const track of stream.getAudioTracks()) {
+      liveTracks.add(track);
+      capturingTracks.add(track);
+      reportTrack(track);
+      track.addEventListener('ended', () => {
+        liveTracks.delete(track);
+        if (computeState() !== 'stopped') {
+          post('recording-error', { error: 'Microphone capture ended unexpectedly' });
+        }
+        releaseCaptureTrack(track);
+      });
+      // stop() does not fire "ended"
+      const stopTrack = track.stop;
+      track.stop = function (...args) {
+        stopTrack.apply(this, args);
+        releaseCaptureTrack(track);
+      };
+    }
+  };
+
+  // Local processing preset (null params for none), and the chains running
+  // on the page's captures
+  let processingPreset = 'off';
+  let processingParams = null;
+  const chains = new Set();
+  let requestStream = null; // set below when the page can capture at all
+
+  // A/B preview: play the microphone to the speakers (headphones, to avoid
+  // feedback) either as captured ('raw') or through the chain
+  // ('processed'). It uses the page's chain while recording, and a capture
+  // of its own otherwise.
+  let preview = { mode: 'off', chain: null, own: false };
+
+  const reportProcessing = () => {
+    post('processing-state', { preset: processingPreset, active: chains.size > 0, preview: preview.mode });
+  };
+
+  const setProcessingPreset = (preset, params) => {
+    processingPreset = preset || 'off';
+    processingParams = processingPreset === 'off' ? null : params;
+    // Chains already running switch over; a capture started without
+    // processing only gets it from the next recording
+    for (const chain of chains) chain.update(processingParams || {});
+    if (preview.own) preview.chain.update(processingParams || {});
+    reportProcessing();
+  };
+
+  const stopPreview = () => {
+    if (preview.chain) {
+      preview.chain.monitor('off');
+      if (preview.own) preview.chain.close();
+    }
+    preview = { mode: 'off', chain: null, own: false };
+  };
+
+  const setPreview = async (mode) => {
+    if ((mode !== 'raw' && mode !== 'processed') || !requestStream) {
+      stopPreview();
+      reportProcessing();
+      return;
+    }
+
+    if (!preview.chain) {
+      const [pageChain] = chains;
+      if (pageChain) {
+        preview = { mode, chain: pageChain, own: false };
+      } else {
+        try {
+          const stream = await requestStream({ audio: true });
+          preview = { mode, chain: createProcessingChain(stream, processingParams || {}), own: true };
+        } catch (error) {
+          console.log('Voice Notes Wrapper: Could not start the processing preview:', error.name);
+          reportProcessing();
+          return;
+        }
+      }
+    }
+    preview.mode = mode;
+    preview.chain.monitor(mode);
+    reportProcessing();
+  };
+
+  // Hand the page a processed copy of its microphone when a preset is on
+  const wrapStream = (stream) => {
+    if (!processingParams || stream.getAudioTracks().length === 0) return stream;
+
+    let chain;
+    try {
+      chain = createProcessingChain(stream, processingParams);
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Could not start audio processing:', error.name);
+      return stream;
+    }
+    chains.add(chain);
+    const [processedTrack] = chain.stream.getAudioTracks();
+    const [inputTrack] = stream.getAudioTracks();
+
+    // The processed track belongs to no device, so its label and deviceId
+    // are empty: give it the microphone's identity and settings, so the page
+    // (and anything matching devices by label) still sees the real input.
+    // Constraints go to the microphone too.
+    Object.defineProperty(processedTrack, 'label', { get: () => inputTrack.label });
+    processedTrack.getSettings = () => inputTrack.getSettings();
+    processedTrack.getCapabilities = () => inputTrack.getCapabilities();
+    processedTrack.getConstraints = () => inputTrack.getConstraints();
+    processedTrack.applyConstraints = constraints => inputTrack.applyConstraints(constraints);
+    const release = () => {
+      if (!chains.delete(chain)) return;
+      if (preview.chain === chain) {
+        preview = { mode: 'off', chain: null, own: false };
+      }
+      reportProcessing();
+    };
+    inputTrack.addEventListener('ended', release);
+    const stopProcessed = processedTrack.stop;
+    processedTrack.stop = () => {
+      stopProcessed();
+      release();
+    };
+    reportProcessing();
+    return new MediaStream([processedTrack, ...stream.getVideoTracks()]);
+  };
+
+  if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+    const originalGetUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
+
+    // Ask strictly first; when the device cannot satisfy that, settle for
+    // the closest match, and finally for the page's own request
+    requestStream = async (constraints) => {
+      let failedConstraint = null;
+      for (const fallback of ['strict', 'ideal']) {
+        try {
+          const stream = await originalGetUserMedia(await buildRequest(constraints, fallback === 'strict'));
+          if (failedConstraint !== null) {
+            post('capture-constraints-failed', { constraint: failedConstraint, fallback });
+          }
+          return stream;
+        } catch (error) {
+          if (error.name !== 'OverconstrainedError') throw error;
+          if (failedConstraint === null) failedConstraint = error.constraint || '';
+        }
+      }
+      const stream = await originalGetUserMedia(constraints);
+      post('capture-constraints-failed', { constraint: failedConstraint, fallback: 'page' });
+      return stream;
+    };
+
+    navigator.mediaDevices.getUserMedia = async (constraints) => {
+      const stream = await requestStream(constraints);
+      watchTracks(stream);
+      return wrapStream(stream);
+    };
+  }
+
+  post('preferred-input-request');
+  post('audio-constraints-request');
+  post('processing-preset-request');
+}
+
+module.exports = installPageHooks;
@@ -0,0 +1,215 @@
+// Native PipeWire backend for AudioMonitor
+// Reads nodes and the default source from pw-dump, and changes volume and
+// mute with wpctl (WirePlumber). This avoids going through pipewire-pulse,
+// where descriptions and volumes are sometimes missing. Volumes are given on
+// the same cubic scale as pactl and wpctl (1 = 100%).
+
+const { execFile } = require('child_process');
+
+const NODE_TYPE = 'PipeWire:Interface:Node';
+const METADATA_TYPE = 'PipeWire:Interface:Metadata';
+const DEVICE_TYPE = 'PipeWire:Interface:Device';
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { env: { ...process.env, LC_ALL: 'C' }, maxBuffer: 32 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+function isSourceNode(object) {
+  const props = object.info && object.info.props;
+  return object.type === NODE_TYPE && Boolean(props) && /^Audio\/Source/.test(props['media.class'] || '');
+}
+
+// A pw-dump node in the shape the pactl parser gives for sources
+function nodeToSource(node) {
+  const props = node.info.props;
+  const nodeProps = (node.info.params && node.info.params.Props && node.info.params.Props[0]) || {};
+  const channelVolumes = (nodeProps.channelVolumes || []).map(volume => Math.cbrt(volume));
+  const volume = channelVolumes.length > 0
+    ? channelVolumes.reduce((sum, channelVolume) => sum + channelVolume, 0) / channelVolumes.length
+    : 0;
+
+  return {
+    index: node.id,
+    name: props['node.name'] || '',
+    description: props['node.description'] || props['node.nick'] || '',
+    driver: 'PipeWire',
+    state: (node.info.state || '').toUpperCase(),
+    muted: nodeProps.mute === true,
+    volume,
+    channelVolumes,
+    monitorOf: null,
+    properties: props,
+    ports: [],
+    activePort: null
+  };
+}
+
+// The source named in the "default" metadata; runtime choice first
+function getDefaultSourceName(objects) {
+  const metadata = objects.find(object => object.type === METADATA_TYPE &&
+    object.props && object.props['metadata.name'] === 'default');
+  if (!metadata || !Array.isArray(metadata.metadata)) return null;
+
+  for (const key of ['default.audio.source', 'default.configured.audio.source']) {
+    const entry = metadata.metadata.find(item => item.subject === 0 && item.key === key);
+    if (!entry) continue;
+    let value = entry.value;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        value = { name: value };
+      }
+    }
+    if (value && value.name) return value.name;
+  }
+  return null;
+}
+
+// "Volume: 0.60 [MUTED]" from wpctl get-volume
+function parseWpctlVolume(text) {
+  const match = String(text).match(/Volume:\s*([\d.]+)(\s*\[MUTED\])?/);
+  return match ? { volume: parseFloat(match[1]), muted: Boolean(match[2]) } : null;
+}
+
+// Turns `pw-dump --monitor` output into change events. Each update is
+// printed as a JSON array ending with "]" on a line of its own.
+function createDumpParser() {
+  let lines = [];
+
+  return (line) => {
+    lines.push(line);
+    if (line !== ']') return [];
+
+    const text = lines.join('\n');
+    lines = [];
+    let objects;
+    try {
+      objects = JSON.parse(text);
+    } catch (error) {
+      return [];
+    }
+
+    const events = [];
+    for (const object of objects) {
+      if (object.type === METADATA_TYPE || object.info === null) {
+        // Default changed, or an object (maybe the default source) went away
+        events.push({ type: 'full' });
+      } else if (object.type === NODE_TYPE && (isSourceNode(object) || !object.info || !object.info.props)) {
+        events.push({ type: 'source', index: object.id });
+      }
+    }
+    return events;
+  };
+}
+
+class PipeWireBackend {
+  constructor() {
+    this.name = 'pipewire';
+    this.label = 'PipeWire';
+  }
+
+  async dump() {
+    const objects = JSON.parse(await run('pw-dump', []));
+    if (!Array.isArray(objects)) {
+      throw new Error('Unexpected pw-dump output');
+    }
+    return objects;
+  }
+
+  // A PipeWire daemon answers pw-dump and WirePlumber answers wpctl
+  async isAvailable() {
+    try {
+      await Promise.all([this.dump(), run('wpctl', ['status'])]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listSources() {
+    return (await this.dump()).filter(isSourceNode).map(nodeToSource);
+  }
+
+  async getDefaultSource() {
+    const objects = await this.dump();
+    const sources = objects.filter(isSourceNode).map(nodeToSource);
+    const name = getDefaultSourceName(objects);
+    return sources.find(source => source.name === name) || null;
+  }
+
+  async getSourceVolume(source) {
+    const result = parseWpctlVolume(await run('wpctl', ['get-volume', String(source.index)]));
+    return result ? result.volume : source.volume;
+  }
+
+  async getSourceMute(source) {
+    const result = parseWpctlVolume(await run('wpctl', ['get-volume', String(source.index)]));
+    return result ? result.muted : source.muted;
+  }
+
+  // muted is true, false or 'toggle'
+  async setSourceMute(source, muted) {
+    const value = muted === 'toggle' ? 'toggle' : muted ? '1' : '0';
+    await run('wpctl', ['set-mute', String(source.index), value]);
+  }
+
+  // level: 1 = 100%, on wpctl's cubic scale like pactl's percentages
+  async setSourceVolume(source, level) {
+    await run('wpctl', ['set-volume', String(source.index), level.toFixed(2)]);
+  }
+
+  async setDefaultSource(source) {
+    await run('wpctl', ['set-default', String(source.index)]);
+  }
+
+  // The Bluetooth device object a source node belongs to
+  async findBluetoothDevice(source) {
+    const deviceId = Number(source.properties['device.id']);
+    if (!Number.isInteger(deviceId) || source.properties['device.api'] !== 'bluez5') return null;
+    return (await this.dump()).find(object => object.type === DEVICE_TYPE && object.id === deviceId) || null;
+  }
+
+  // Active profile of a Bluetooth source's device (e.g. "headset-head-unit"),
+  // or null for other sources
+  async getCardProfile(source) {
+    const device = await this.findBluetoothDevice(source);
+    const params = device && device.info && device.info.params;
+    const active = params && params.Profile && params.Profile[0];
+    return active ? active.name : null;
+  }
+
+  // wpctl takes the profile's index, so look it up by name
+  async setCardProfile(source, profile) {
+    const device = await this.findBluetoothDevice(source);
+    if (!device) {
+      throw new Error(`${source.description || source.name} is not a Bluetooth device`);
+    }
+    const params = device.info.params || {};
+    const active = params.Profile && params.Profile[0];
+    if (active && active.name === profile) return;
+    const wanted = (params.EnumProfile || []).find(candidate => candidate.name === profile);
+    if (!wanted) {
+      throw new Error(`${device.info.props['device.name'] || device.id} has no profile ${profile}`);
+    }
+    await run('wpctl', ['set-profile', String(device.id), String(wanted.index)]);
+  }
+
+  getMonitorCommand() {
+    return {
+      command: 'pw-dump',
+      args: ['--monitor'],
+      parseLine: createDumpParser()
+    };
+  }
+}
+
+module.exports = PipeWireBackend;
@@ -0,0 +1,306 @@
+// Global shortcuts through the XDG desktop portal
+// On Wayland, Electron's globalShortcut cannot see keys pressed in other
+// windows. The org.freedesktop.portal.GlobalShortcuts interface asks the
+// compositor to bind them instead; the desktop may show a dialog to confirm
+// or change the keys, and reports each press with the shortcut id, which is
+// the same action name used by the globalShortcut backend.
+
+const { EventEmitter } = require('events');
+const dbus = require('dbus-next');
+
+const { Message, Variant } = dbus;
+
+const PORTAL_BUS_NAME = 'org.freedesktop.portal.Desktop';
+const PORTAL_OBJECT_PATH = '/org/freedesktop/portal/desktop';
+const SHORTCUTS_INTERFACE = 'org.freedesktop.portal.GlobalShortcuts';
+const REQUEST_INTERFACE = 'org.freedesktop.portal.Request';
+const SESSION_INTERFACE = 'org.freedesktop.portal.Session';
+
+// Electron accelerator parts -> XDG shortcut trigger names
+const TRIGGER_MODIFIERS = {
+  commandorcontrol: 'CTRL',
+  cmdorctrl: 'CTRL',
+  control: 'CTRL',
+  ctrl: 'CTRL',
+  alt: 'ALT',
+  option: 'ALT',
+  shift: 'SHIFT',
+  super: 'LOGO',
+  meta: 'LOGO'
+};
+
+const TRIGGER_KEYS = {
+  space: 'space',
+  plus: 'plus',
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  escape: 'Escape',
+  enter: 'Return',
+  return: 'Return',
+  tab: 'Tab',
+  backspace: 'BackSpace',
+  delete: 'Delete',
+  insert: 'Insert',
+  home: 'Home',
+  end: 'End',
+  pageup: 'Page_Up',
+  pagedown: 'Page_Down',
+  mediaplaypause: 'XF86AudioPlay',
+  mediastop: 'XF86AudioStop',
+  medianexttrack: 'XF86AudioNext',
+  mediaprevioustrack: 'XF86AudioPrev',
+  volumeup: 'XF86AudioRaiseVolume',
+  volumedown: 'XF86AudioLowerVolume',
+  volumemute: 'XF86AudioMute'
+};
+
+// True when the session runs on Wayland, where the portal is needed
+function isWaylandSession(env = process.env) {
+  return env.XDG_SESSION_TYPE === 'wayland' || Boolean(env.WAYLAND_DISPLAY);
+}
+
+// Convert an Electron accelerator (e.g. "CommandOrControl+Alt+R") into the
+// trigger format of the XDG shortcuts spec (e.g. "CTRL+ALT+r")
+function acceleratorToTrigger(accelerator) {
+  const parts = accelerator.split('+');
+  const key = parts.pop();
+  const modifiers = parts.map(part => TRIGGER_MODIFIERS[part.toLowerCase()] || part.toUpperCase());
+
+  let keyName = TRIGGER_KEYS[key.toLowerCase()];
+  if (!keyName) {
+    keyName = /^F\d{1,2}$/i.test(key) ? key.toUpperCase() : key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  return [...modifiers, keyName].join('+');
+}
+
+// Portal session for the app's global shortcuts. Emits 'activated' with the
+// action name when a shortcut is pressed, 'deactivated' when it is released,
+// and 'closed' when the portal ends the session. The bus can be injected, e.g. a private session bus running
+// a stub portal; an injected bus is left connected by stop().
+class PortalShortcuts extends EventEmitter {
+  constructor({ bus = null, busName = PORTAL_BUS_NAME } = {}) {
+    super();
+    this.bus = bus;
+    this.ownsBus = false;
+    this.busName = busName;
+    this.sessionHandle = null;
+    this.boundKey = null;
+    this.triggers = {};
+    this.requestCounter = 0;
+    this.pendingRequests = new Map();
+    this.bindQueue = Promise.resolve();
+    this.onMessage = (message) => this.handleMessage(message);
+  }
+
+  // Connect to the portal and create the shortcuts session. Rejects when the
+  // portal or its GlobalShortcuts interface is not available.
+  async start() {
+    if (!this.bus) {
+      this.bus = dbus.sessionBus();
+      this.ownsBus = true;
+    }
+    await this.waitForConnection();
+
+    this.bus.on('message', this.onMessage);
+    await this.addMatch(`type='signal',sender='${this.busName}',interface='${REQUEST_INTERFACE}',member='Response'`);
+    await this.addMatch(`type='signal',sender='${this.busName}',interface='${SHORTCUTS_INTERFACE}'`);
+    await this.addMatch(`type='signal',sender='${this.busName}',interface='${SESSION_INTERFACE}',member='Closed'`);
+
+    await this.createSession();
+  }
+
+  async createSession() {
+    const results = await this.request('CreateSession', 'a{sv}', [{
+      session_handle_token: new Variant('s', this.nextToken())
+    }]);
+    this.sessionHandle = results.session_handle.value;
+    this.boundKey = null;
+    console.log('Voice Notes Wrapper: Portal shortcuts session created');
+  }
+
+  // Bind shortcuts given as { action, accelerator, label }. The portal keeps
+  // one trigger per action, so the first accelerator of each action is used
+  // as the preferred trigger. Returns the triggers the desktop assigned.
+  // Calls run one after another, since rebinding replaces the session.
+  bind(bindings) {
+    const result = this.bindQueue.then(() => this.bindNow(bindings));
+    this.bindQueue = result.catch(() => {});
+    return result;
+  }
+
+  async bindNow(bindings) {
+    const shortcuts = new Map();
+    for (const { action, accelerator, label } of bindings) {
+      if (!accelerator || shortcuts.has(action)) continue;
+      shortcuts.set(action, { description: label, trigger: acceleratorToTrigger(accelerator) });
+    }
+
+    // Binding again may show the desktop's dialog, so skip unchanged sets
+    const key = JSON.stringify(Array.from(shortcuts));
+    if (key === this.boundKey) return this.triggers;
+
+    // Portals only accept one BindShortcuts call per session
+    if (this.boundKey !== null) {
+      await this.closeSession();
+      await this.createSession();
+    }
+
+    const results = await this.request('BindShortcuts', 'oa(sa{sv})sa{sv}', [
+      this.sessionHandle,
+      Array.from(shortcuts).map(([action, { description, trigger }]) => [action, {
+        description: new Variant('s', description),
+        preferred_trigger: new Variant('s', trigger)
+      }]),
+      '',
+      {}
+    ], 3);
+
+    this.boundKey = key;
+    this.triggers = this.parseShortcuts(results.shortcuts ? results.shortcuts.value : []);
+    return this.triggers;
+  }
+
+  // Trigger descriptions by action, as shown by the desktop
+  getTriggers() {
+    return this.triggers;
+  }
+
+  async closeSession() {
+    if (!this.sessionHandle) return;
+    const handle = this.sessionHandle;
+    this.sessionHandle = null;
+    try {
+      await this.bus.call(new Message({
+        destination: this.busName,
+        path: handle,
+        interface: SESSION_INTERFACE,
+        member: 'Close'
+      }));
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Could not close portal session:', error.message);
+    }
+  }
+
+  async stop() {
+    await this.closeSession();
+    if (this.bus) {
+      this.bus.removeListener('message', this.onMessage);
+    }
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(new Error('Portal shortcuts stopped'));
+    }
+    this.pendingRequests.clear();
+
+    // Close the connection opened by start(), so stopping the portal (or
+    // falling back from it) does not leave a session bus socket behind
+    if (this.ownsBus) {
+      this.bus.disconnect();
+      this.bus = null;
+      this.ownsBus = false;
+    }
+  }
+
+  // Call a portal method that answers through a Request object. optionsIndex
+  // is the position of the options dict in the arguments.
+  async request(member, signature, body, optionsIndex = 0) {
+    const token = this.nextToken();
+    const requestPath = `${PORTAL_OBJECT_PATH}/request/${this.bus.name.slice(1).replace(/\./g, '_')}/${token}`;
+    body[optionsIndex] = { ...body[optionsIndex], handle_token: new Variant('s', token) };
+
+    // Listen before calling, so a fast response cannot be missed
+    const response = new Promise((resolve, reject) => {
+      this.pendingRequests.set(requestPath, { resolve, reject });
+    });
+
+    try {
+      await this.bus.call(new Message({
+        destination: this.busName,
+        path: PORTAL_OBJECT_PATH,
+        interface: SHORTCUTS_INTERFACE,
+        member,
+        signature,
+        body
+      }));
+    } catch (error) {
+      this.pendingRequests.delete(requestPath);
+      throw new Error(`${member} failed: ${error.message}`);
+    }
+
+    const [code, results] = await response;
+    if (code !== 0) {
+      throw new Error(`${member} was ${code === 1 ? 'cancelled by the user' : 'refused by the portal'}`);
+    }
+    return results;
+  }
+
+  handleMessage(message) {
+    if (message.interface === REQUEST_INTERFACE && message.member === 'Response') {
+      const pending = this.pendingRequests.get(message.path);
+      if (pending) {
+        this.pendingRequests.delete(message.path);
+        pending.resolve(message.body);
+      }
+      return;
+    }
+
+    if (message.interface === SESSION_INTERFACE && message.member === 'Closed') {
+      if (message.path === this.sessionHandle) {
+        this.sessionHandle = null;
+        this.boundKey = null;
+        this.emit('closed');
+      }
+      return;
+    }
+
+    if (message.interface !== SHORTCUTS_INTERFACE || message.body[0] !== this.sessionHandle) return;
+
+    if (message.member === 'Activated') {
+      this.emit('activated', message.body[1]);
+    } else if (message.member === 'Deactivated') {
+      this.emit('deactivated', message.body[1]);
+    } else if (message.member === 'ShortcutsChanged') {
+      this.triggers = this.parseShortcuts(message.body[1]);
+      this.emit('triggers-changed', this.triggers);
+    }
+  }
+
+  parseShortcuts(shortcuts) {
+    const triggers = {};
+    for (const [action, properties] of shortcuts) {
+      const description = properties.trigger_description;
+      triggers[action] = description ? description.value : '';
+    }
+    return triggers;
+  }
+
+  addMatch(rule) {
+    return this.bus.call(new Message({
+      destination: 'org.freedesktop.DBus',
+      path: '/org/freedesktop/DBus',
+      interface: 'org.freedesktop.DBus',
+      member: 'AddMatch',
+      signature: 's',
+      body: [rule]
+    }));
+  }
+
+  waitForConnection() {
+    if (this.bus.name) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      this.bus.once('connect', resolve);
+      this.bus.once('error', reject);
+    });
+  }
+
+  nextToken() {
+    this.requestCounter += 1;
+    return `voicenotes_${process.pid}_${this.requestCounter}`;
+  }
+}
+
+module.exports = PortalShortcuts;
+module.exports.isWaylandSession = isWaylandSession;
+module.exports.acceleratorToTrigger = acceleratorToTrigger;
@@ -0,0 +1,16 @@
+// Preload script for the Preferences window
+// Exposes the settings IPC calls the preferences page needs, nothing more
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('preferencesAPI', {
+  getSchema: () => ipcRenderer.invoke('preferences-get-schema'),
+  getSettings: () => ipcRenderer.invoke('preferences-get-settings'),
+  saveSettings: (settings) => ipcRenderer.invoke('preferences-save-settings', settings),
+  checkShortcut: (accelerator) => ipcRenderer.invoke('preferences-check-shortcut', accelerator),
+  // Global shortcuts are suspended while a key combination is being captured,
+  // otherwise pressing an existing shortcut would trigger it instead
+  beginShortcutCapture: () => ipcRenderer.send('preferences-capture-start'),
+  endShortcutCapture: () => ipcRenderer.send('preferences-capture-end'),
+  onSettingsChanged: (callback) => ipcRenderer.on('preferences-settings-changed', (event, settings) => callback(settings))
+});
@@ -0,0 +1,318 @@
+// Preferences window script
+// Builds the form from the settings schema, captures shortcuts by key press
+// and saves through the main process (which applies changes at runtime)
+
+const form = document.getElementById('preferences-form');
+const statusElement = document.getElementById('status');
+const saveButton = document.getElementById('save-button');
+const revertButton = document.getElementById('revert-button');
+
+let schema = null;
+let capturingInput = null;
+let isSaving = false;
+
+// Electron accelerator names for keys whose KeyboardEvent.key differs
+const KEY_NAMES = {
+  ' ': 'Space',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  Escape: 'Escape',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  Insert: 'Insert',
+  MediaPlayPause: 'MediaPlayPause',
+  MediaStop: 'MediaStop',
+  MediaTrackNext: 'MediaNextTrack',
+  MediaTrackPrevious: 'MediaPreviousTrack',
+  AudioVolumeUp: 'VolumeUp',
+  AudioVolumeDown: 'VolumeDown',
+  AudioVolumeMute: 'VolumeMute'
+};
+
+const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'];
+
+// Turn a key press into an Electron accelerator string (null while only
+// modifiers are held)
+function acceleratorFromEvent(event) {
+  if (MODIFIER_KEYS.includes(event.key)) return null;
+
+  let key = KEY_NAMES[event.key];
+  if (!key) {
+    if (/^F\d{1,2}$/.test(event.key)) {
+      key = event.key;
+    } else if (/^Key[A-Z]$/.test(event.code)) {
+      key = event.code.slice(3);
+    } else if (/^Digit\d$/.test(event.code)) {
+      key = event.code.slice(5);
+    } else if (event.key.length === 1) {
+      key = event.key.toUpperCase();
+    } else {
+      return null;
+    }
+  }
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('CommandOrControl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Super');
+  parts.push(key);
+  return parts.join('+');
+}
+
+// Comparable form of an accelerator (modifier aliases and order ignored)
+function normalizeAccelerator(accelerator) {
+  const aliases = { commandorcontrol: 'ctrl', cmdorctrl: 'ctrl', control: 'ctrl', command: 'ctrl', cmd: 'ctrl', option: 'alt', meta: 'super' };
+  const parts = accelerator.toLowerCase().split('+').map(part => aliases[part] || part);
+  const key = parts.pop();
+  return [...parts.sort(), key].join('+');
+}
+
+// Show conflicts between shortcut fields and with other applications. The
+// same key may be set for one action in both shortcut sets. Checks wait on
+// the main process, so each new check supersedes any still running: only the
+// newest one updates the form, and earlier callers get its result.
+let conflictCheckRun = 0;
+let latestConflictCheck = null;
+
+function checkShortcutConflicts() {
+  latestConflictCheck = runShortcutConflictCheck(++conflictCheckRun);
+  return latestConflictCheck;
+}
+
+async function runShortcutConflictCheck(run) {
+  const inputs = Array.from(form.querySelectorAll('.shortcut-input'));
+  const messages = [];
+  let hasConflict = false;
+
+  for (const input of inputs) {
+    const message = { input, text: '', isError: false };
+    messages.push(message);
+
+    const value = input.dataset.value;
+    if (!value) continue;
+
+    const normalized = normalizeAccelerator(value);
+    const duplicate = inputs.find(other => other !== input &&
+      other.dataset.key !== input.dataset.key &&
+      other.dataset.value &&
+      normalizeAccelerator(other.dataset.value) === normalized);
+
+    if (duplicate) {
+      message.text = `Also used for "${duplicate.dataset.label}"`;
+      message.isError = true;
+      hasConflict = true;
+    } else {
+      const result = await window.preferencesAPI.checkShortcut(value);
+      if (run !== conflictCheckRun) return latestConflictCheck;
+      if (!result.available) {
+        message.text = result.reason;
+      }
+    }
+  }
+
+  for (const { input, text, isError } of messages) {
+    const element = input.closest('.field').querySelector('.field-message');
+    element.textContent = text;
+    element.classList.toggle('error', isError);
+  }
+  saveButton.disabled = hasConflict;
+  return !hasConflict;
+}
+
+function beginCapture(input) {
+  if (capturingInput) endCapture(capturingInput, false);
+  capturingInput = input;
+  input.classList.add('capturing');
+  input.value = 'Press keys… (Esc cancels, Backspace clears)';
+  window.preferencesAPI.beginShortcutCapture();
+}
+
+function endCapture(input, accepted, accelerator) {
+  input.classList.remove('capturing');
+  if (accepted) input.dataset.value = accelerator;
+  input.value = input.dataset.value || 'Disabled';
+  capturingInput = null;
+  window.preferencesAPI.endShortcutCapture();
+  checkShortcutConflicts();
+}
+
+function createShortcutInput(field, value) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.readOnly = true;
+  input.className = 'shortcut-input';
+  input.dataset.value = value;
+  input.dataset.label = field.label;
+  input.value = value || 'Disabled';
+
+  input.addEventListener('click', () => beginCapture(input));
+  input.addEventListener('blur', () => {
+    if (capturingInput === input) endCapture(input, false);
+  });
+  input.addEventListener('keydown', (event) => {
+    if (capturingInput !== input) return;
+    event.preventDefault();
+
+    if (event.key === 'Escape') {
+      endCapture(input, false);
+    } else if (event.key === 'Backspace' || event.key === 'Delete') {
+      endCapture(input, true, '');
+    } else {
+      const accelerator = acceleratorFromEvent(event);
+      if (accelerator) endCapture(input, true, accelerator);
+    }
+  });
+
+  return input;
+}
+
+function createFieldInput(field, value) {
+  switch (field.type) {
+    case 'boolean': {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = value;
+      return input;
+    }
+    case 'number': {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.value = value;
+      input.step = 'any';
+      if (field.min !== undefined) input.min = field.min;
+      if (field.max !== undefined) input.max = field.max;
+      return input;
+    }
+    case 'enum': {
+      const select = document.createElement('select');
+      for (const option of field.values) {
+        const element = document.createElement('option');
+        element.value = option;
+        element.textContent = option;
+        select.appendChild(element);
+      }
+      select.value = value;
+      return select;
+    }
+    case 'accelerator':
+      return createShortcutInput(field, value);
+    default: {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = value;
+      return input;
+    }
+  }
+}
+
+function readFieldInput(field, input) {
+  switch (field.type) {
+    case 'boolean':
+      return input.checked;
+    case 'number':
+      return input.value === '' ? NaN : Number(input.value);
+    case 'accelerator':
+      return input.dataset.value;
+    default:
+      return input.value;
+  }
+}
+
+// Build one fieldset per settings section
+function renderForm(settings) {
+  form.innerHTML = '';
+
+  for (const [sectionName, section] of Object.entries(schema)) {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = section.label;
+    fieldset.appendChild(legend);
+
+    for (const [key, field] of Object.entries(section.properties)) {
+      const row = document.createElement('div');
+      row.className = 'field';
+      row.style.flexWrap = 'wrap';
+
+      const inputId = `${sectionName}-${key}`;
+      const label = document.createElement('label');
+      label.htmlFor = inputId;
+      label.textContent = field.label;
+
+      const input = createFieldInput(field, settings[sectionName][key]);
+      input.id = inputId;
+      input.dataset.section = sectionName;
+      input.dataset.key = key;
+
+      const message = document.createElement('div');
+      message.className = 'field-message';
+
+      row.appendChild(label);
+      row.appendChild(input);
+      row.appendChild(message);
+      fieldset.appendChild(row);
+    }
+
+    form.appendChild(fieldset);
+  }
+
+  checkShortcutConflicts();
+}
+
+function collectSettings() {
+  const settings = {};
+  for (const input of form.querySelectorAll('[data-section]')) {
+    const { section, key } = input.dataset;
+    settings[section] = settings[section] || {};
+    settings[section][key] = readFieldInput(schema[section].properties[key], input);
+  }
+  return settings;
+}
+
+function setStatus(text, isError = false) {
+  statusElement.textContent = text;
+  statusElement.classList.toggle('error', isError);
+}
+
+async function loadPreferences() {
+  const [loadedSchema, settings] = await Promise.all([
+    window.preferencesAPI.getSchema(),
+    window.preferencesAPI.getSettings()
+  ]);
+  schema = loadedSchema;
+  renderForm(settings);
+  setStatus('');
+}
+
+saveButton.addEventListener('click', async () => {
+  if (!(await checkShortcutConflicts())) {
+    setStatus('Resolve the shortcut conflicts before saving.', true);
+    return;
+  }
+
+  isSaving = true;
+  const result = await window.preferencesAPI.saveSettings(collectSettings());
+  isSaving = false;
+  if (result.success) {
+    setStatus('Saved - changes are active.');
+  } else {
+    setStatus(result.errors.join('; '), true);
+  }
+});
+
+revertButton.addEventListener('click', () => loadPreferences());
+
+// Reflect changes made elsewhere (e.g. the settings file edited by hand)
+window.preferencesAPI.onSettingsChanged((settings) => {
+  if (capturingInput || isSaving) return;
+  renderForm(settings);
+  setStatus('Settings were changed outside this window and have been reloaded.');
+});
+
+loadPreferences();
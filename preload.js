@@ -1,21 +1,294 @@
 // Preload script for Voice Notes Wrapper
 // This runs in the context of the renderer process before web content is loaded
 
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webFrame } = require('electron');
+const installPageHooks = require('./page-hooks');
+const { PROCESSING_PRESETS, createProcessingChain, registerNoiseGateProcessor } = require('./audio-processing');
+const { DEFAULT_SELECTOR_PROFILE, SELECTOR_PROFILE_ACTIONS, findButtonForAction } = require('./selector-profile');
+
+// Tag used on window.postMessage traffic coming from the page-world hooks
+const PAGE_MESSAGE_SOURCE = 'voice-notes-wrapper-page';
 
 // Expose protected methods that allow the renderer process to use
-// the ipcRenderer without exposing the entire object
-contextBridge.exposeInMainWorld('electronAPI', {
+// the ipcRenderer without exposing the entire object. The preload itself runs
+// in an isolated world where window.electronAPI does not exist, so the banner
+// code below uses this object directly.
+const electronAPI = {
   updateMicrophoneInfo: (micInfo) => ipcRenderer.send('update-microphone-info', micInfo),
   getSystemAudioInfo: () => ipcRenderer.invoke('get-system-audio-info'),
   toggleMicrophoneMute: () => ipcRenderer.invoke('toggle-microphone-mute'),
-  getMicrophoneMuteStatus: () => ipcRenderer.invoke('get-microphone-mute-status')
+  getMicrophoneMuteStatus: () => ipcRenderer.invoke('get-microphone-mute-status'),
+  getInputSignalLevel: () => ipcRenderer.invoke('get-input-signal-level'),
+  getVoxState: () => ipcRenderer.invoke('get-vox-state'),
+  toggleVox: () => ipcRenderer.invoke('toggle-vox'),
+  getInputWarnings: () => ipcRenderer.invoke('get-input-warnings'),
+  fixInputWarning: (type) => ipcRenderer.invoke('fix-input-warning', type),
+  getUiSettings: () => ipcRenderer.invoke('get-ui-settings'),
+  getInputSources: () => ipcRenderer.invoke('get-input-sources'),
+  setInputSource: (sourceName) => ipcRenderer.invoke('set-input-source', sourceName),
+  setInputVolume: (level) => ipcRenderer.invoke('set-input-volume', level),
+  adjustInputVolume: (direction) => ipcRenderer.invoke('adjust-input-volume', direction),
+  getMicProfile: () => ipcRenderer.invoke('get-mic-profile'),
+  getCaptureConstraints: () => ipcRenderer.invoke('get-capture-constraints'),
+  getProcessingSettings: () => ipcRenderer.invoke('get-processing-settings'),
+  saveMicProfile: () => ipcRenderer.invoke('save-mic-profile')
+};
+
+contextBridge.exposeInMainWorld('electronAPI', electronAPI);
+
+// Install the MediaRecorder/getUserMedia hooks in the page's own world before
+// any Voice Notes script runs, so the real recording state can be reported.
+// The processing chain is handed the noise gate's worklet code the same way.
+const processingChainSource = `(stream, params) => (${createProcessingChain.toString()})(stream, params, ${registerNoiseGateProcessor.toString()})`;
+webFrame.executeJavaScript(`(${installPageHooks.toString()})(${JSON.stringify(PAGE_MESSAGE_SOURCE)}, ${processingChainSource});`)
+  .catch(error => console.log('Voice Notes Wrapper: Could not install page hooks:', error));
+
+// Forward recording state changes observed in the page to the main process
+window.addEventListener('message', (event) => {
+  if (event.source !== window || !event.data || event.data.source !== PAGE_MESSAGE_SOURCE) return;
+
+  const message = event.data;
+  if (message.type === 'recording-state') {
+    console.log(`Voice Notes Wrapper: Page recording state is now ${message.state} (${message.reason})`);
+    ipcRenderer.send('recording-state-changed', { state: message.state, reason: message.reason });
+  } else if (message.type === 'recording-error') {
+    console.log('Voice Notes Wrapper: Page reported a recording error:', message.error);
+    ipcRenderer.send('recording-error', { error: message.error });
+  } else if (message.type === 'capture-device') {
+    pageCaptureDeviceId = message.deviceId || null;
+    pageTrackSettings = message.settings || null;
+    ipcRenderer.send('capture-settings', pageTrackSettings);
+  } else if (message.type === 'capture-constraints-failed') {
+    ipcRenderer.send('capture-constraints-failed', { constraint: message.constraint, fallback: message.fallback });
+  } else if (message.type === 'preferred-input-request') {
+    postPreferredInput();
+  } else if (message.type === 'audio-constraints-request') {
+    postAudioConstraints();
+  } else if (message.type === 'processing-preset-request') {
+    postProcessingPreset();
+  } else if (message.type === 'processing-state') {
+    processingState = { preset: message.preset, active: message.active, preview: message.preview };
+  }
+});
+
+// The microphone picked in the tray or banner. The page hooks point the
+// page's getUserMedia calls at the device with this label.
+let inputSourcesState = { sources: [], defaultSource: null, preferredSource: '', preferredLabel: null };
+
+function postPreferredInput() {
+  window.postMessage({ source: PAGE_MESSAGE_SOURCE, type: 'preferred-input', label: inputSourcesState.preferredLabel }, '*');
+}
+
+function setInputSourcesState(state) {
+  inputSourcesState = state;
+  postPreferredInput();
+}
+
+electronAPI.getInputSources().then(setInputSourcesState).catch(() => {});
+ipcRenderer.on('input-sources-changed', (event, state) => setInputSourcesState(state));
+
+// Processing, channel count and sample rate from the capture settings and the
+// current microphone's profile. The page hooks add them to the page's
+// requests and apply them to tracks already captured.
+let captureConstraints = {};
+
+function postAudioConstraints() {
+  window.postMessage({ source: PAGE_MESSAGE_SOURCE, type: 'audio-constraints', constraints: captureConstraints }, '*');
+}
+
+function setCaptureConstraints(constraints) {
+  captureConstraints = constraints;
+  postAudioConstraints();
+}
+
+electronAPI.getCaptureConstraints().then(setCaptureConstraints).catch(() => {});
+ipcRenderer.on('capture-constraints-changed', (event, constraints) => setCaptureConstraints(constraints));
+
+let micProfileState = { source: null, hasProfile: false };
+electronAPI.getMicProfile().then(state => { micProfileState = state; }).catch(() => {});
+ipcRenderer.on('mic-profile-changed', (event, state) => { micProfileState = state; });
+
+// Local processing preset from the settings, and what the page hooks report
+// about it: whether a recording runs through it and the A/B preview mode
+let processingPreset = 'off';
+let processingState = { preset: 'off', active: false, preview: 'off' };
+
+function postProcessingPreset() {
+  const preset = PROCESSING_PRESETS[processingPreset] ? processingPreset : 'off';
+  window.postMessage({ source: PAGE_MESSAGE_SOURCE, type: 'processing-preset', preset, params: PROCESSING_PRESETS[preset] }, '*');
+}
+
+function setProcessingSettings({ preset }) {
+  processingPreset = preset;
+  postProcessingPreset();
+}
+
+electronAPI.getProcessingSettings().then(setProcessingSettings).catch(() => {});
+ipcRenderer.on('processing-settings-changed', (event, processing) => setProcessingSettings(processing));
+
+// What the page's microphone track reports it actually got, shown in the banner
+let pageTrackSettings = null;
+
+// "NS on · AGC off · EC off · 1 ch · 48 kHz"; settings the browser does not
+// report are left out
+function formatTrackSettings(settings) {
+  const onOff = value => (value ? 'on' : 'off');
+  const parts = [];
+  if (typeof settings.noiseSuppression === 'boolean') parts.push(`NS ${onOff(settings.noiseSuppression)}`);
+  if (typeof settings.autoGainControl === 'boolean') parts.push(`AGC ${onOff(settings.autoGainControl)}`);
+  if (typeof settings.echoCancellation === 'boolean') parts.push(`EC ${onOff(settings.echoCancellation)}`);
+  if (settings.channelCount) parts.push(`${settings.channelCount} ch`);
+  if (settings.sampleRate) parts.push(`${settings.sampleRate / 1000} kHz`);
+  return parts.join(' · ');
+}
+
+// Local safety-net capture of the microphone the page records from.
+// The audio is streamed to the main process, which writes it to disk.
+// Every message carries the capture's id, so the main process can drop
+// anything a previous capture sends late.
+let pageCaptureDeviceId = null;
+let safetyCapture = null;
+let safetyCaptureCounter = 0;
+
+async function startSafetyCapture(format) {
+  // Let the previous capture deliver its last chunks before a new file opens
+  await stopSafetyCapture();
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: pageCaptureDeviceId ? { deviceId: { exact: pageCaptureDeviceId } } : true
+  });
+  const id = ++safetyCaptureCounter;
+  const capture = { id, stream, paused: false, format };
+
+  if (format === 'wav') {
+    // Raw 16-bit PCM, sent roughly once per second
+    const context = new AudioContext();
+    const source = context.createMediaStreamSource(stream);
+    const processor = context.createScriptProcessor(4096, 1, 1);
+    let pending = [];
+    let pendingSamples = 0;
+
+    ipcRenderer.send('safety-recording-begin', { id, format: 'wav', sampleRate: context.sampleRate, channels: 1 });
+
+    processor.onaudioprocess = (event) => {
+      if (capture.paused) return;
+
+      const input = event.inputBuffer.getChannelData(0);
+      const samples = new Int16Array(input.length);
+      for (let i = 0; i < input.length; i++) {
+        const sample = Math.max(-1, Math.min(1, input[i]));
+        samples[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+      }
+      pending.push(samples);
+      pendingSamples += samples.length;
+
+      if (pendingSamples >= context.sampleRate) {
+        capture.flush();
+      }
+    };
+
+    capture.flush = () => {
+      if (pendingSamples === 0) return;
+      const chunk = new Int16Array(pendingSamples);
+      let offset = 0;
+      for (const samples of pending) {
+        chunk.set(samples, offset);
+        offset += samples.length;
+      }
+      pending = [];
+      pendingSamples = 0;
+      ipcRenderer.send('safety-recording-data', { id, chunk: new Uint8Array(chunk.buffer) });
+    };
+
+    source.connect(processor);
+    processor.connect(context.destination);
+
+    capture.pause = () => { capture.paused = true; };
+    capture.resume = () => { capture.paused = false; };
+    capture.stop = () => {
+      capture.flush();
+      processor.disconnect();
+      source.disconnect();
+      context.close();
+      ipcRenderer.send('safety-recording-end', { id });
+      return Promise.resolve();
+    };
+  } else {
+    // Opus in WebM; chunks are forwarded in order as the recorder produces them
+    const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+    let sendQueue = Promise.resolve();
+
+    let resolveEnded;
+    const ended = new Promise(resolve => { resolveEnded = resolve; });
+
+    ipcRenderer.send('safety-recording-begin', { id, format: 'webm' });
+
+    recorder.ondataavailable = (event) => {
+      if (!event.data || event.data.size === 0) return;
+      sendQueue = sendQueue
+        .then(() => event.data.arrayBuffer())
+        .then(buffer => ipcRenderer.send('safety-recording-data', { id, chunk: new Uint8Array(buffer) }));
+    };
+    recorder.onstop = () => {
+      sendQueue = sendQueue
+        .then(() => ipcRenderer.send('safety-recording-end', { id }))
+        .then(resolveEnded, resolveEnded);
+    };
+
+    recorder.start(1000);
+
+    capture.pause = () => { if (recorder.state === 'recording') recorder.pause(); };
+    capture.resume = () => { if (recorder.state === 'paused') recorder.resume(); };
+    capture.stop = () => {
+      if (recorder.state === 'inactive') return Promise.resolve();
+      recorder.stop();
+      return ended;
+    };
+  }
+
+  safetyCapture = capture;
+  console.log(`Voice Notes Wrapper: Safety capture started (${format})`);
+}
+
+// Resolves once the capture has sent its end message
+function stopSafetyCapture() {
+  if (!safetyCapture) return Promise.resolve();
+
+  const capture = safetyCapture;
+  safetyCapture = null;
+  const ended = capture.stop();
+  capture.stream.getTracks().forEach(track => track.stop());
+  console.log('Voice Notes Wrapper: Safety capture stopped');
+  return ended;
+}
+
+ipcRenderer.on('safety-recording-command', (event, { action, format }) => {
+  if (action === 'start') {
+    startSafetyCapture(format).catch(error => {
+      console.log('Voice Notes Wrapper: Could not start safety capture:', error);
+      ipcRenderer.send('safety-recording-failed', { error: error.message });
+    });
+  } else if (action === 'pause' && safetyCapture) {
+    safetyCapture.pause();
+  } else if (action === 'resume' && safetyCapture) {
+    safetyCapture.resume();
+  } else if (action === 'stop') {
+    stopSafetyCapture();
+  }
+});
+
+// A page unload always ends whatever recording the page had running
+window.addEventListener('pagehide', () => {
+  ipcRenderer.send('recording-state-changed', { state: 'stopped', reason: 'page-unload' });
 });
 
 window.addEventListener('DOMContentLoaded', () => {
   // This function will run when the page is loaded
   console.log('Voice Notes Wrapper: DOM fully loaded');
 
+  // A freshly loaded page cannot be recording yet
+  ipcRenderer.send('recording-state-changed', { state: 'stopped', reason: 'page-load' });
+
   // We can inject custom CSS if needed to make the app more desktop-friendly
   const style = document.createElement('style');
   style.textContent = `
@@ -46,8 +319,15 @@ window.addEventListener('DOMContentLoaded', () => {
       const audioInputs = devices.filter(device => device.kind === 'audioinput');
       
       if (audioInputs.length > 0) {
-        // Get the default microphone (first in list or explicitly set)
-        const defaultMic = audioInputs.find(device => device.deviceId === 'default') || audioInputs[0];
+        // The device for the system default source, so the web and system
+        // views agree; otherwise the browser default or the first input
+        const systemAudio = await electronAPI.getSystemAudioInfo().catch(() => null);
+        const systemName = systemAudio && systemAudio.source ? systemAudio.name.toLowerCase() : null;
+        const systemMic = systemName && (
+          audioInputs.find(device => device.label.toLowerCase() === systemName) ||
+          audioInputs.find(device => device.deviceId !== 'default' && device.label.toLowerCase().includes(systemName))
+        );
+        const defaultMic = systemMic || audioInputs.find(device => device.deviceId === 'default') || audioInputs[0];
         console.log('Active microphone:', defaultMic.label || 'Default Microphone');
         
         // Start volume monitoring for this microphone
@@ -80,6 +360,9 @@ window.addEventListener('DOMContentLoaded', () => {
       
       volumeMonitoringStream = stream;
       const audioTrack = stream.getAudioTracks()[0];
+
+      // Meter the real signal on the same stream
+      startSignalMeter(stream);
       
       // Function to get and display system microphone volume
       const updateSystemVolume = async () => {
@@ -130,16 +413,12 @@ window.addEventListener('DOMContentLoaded', () => {
             console.log('Voice Notes Wrapper: System volume not accessible via Web Audio API');
             updateMicrophoneIndicator(micDevice.label || 'Default Microphone');
             
-            if (window.electronAPI) {
-              window.electronAPI.updateMicrophoneInfo(`${micDevice.label || 'Default Microphone'} (system vol not accessible)`);
-            }
+            electronAPI.updateMicrophoneInfo(`${micDevice.label || 'Default Microphone'} (system vol not accessible)`);
           } else {
             // Update with actual system volume
             updateMicrophoneIndicator(micDevice.label || 'Default Microphone', volumeLevel, false);
             
-            if (window.electronAPI) {
-              window.electronAPI.updateMicrophoneInfo(`${micDevice.label || 'Default Microphone'} (${Math.round(volumeLevel * 100)}%)`);
-            }
+            electronAPI.updateMicrophoneInfo(`${micDevice.label || 'Default Microphone'} (${Math.round(volumeLevel * 100)}%)`);
           }
           
         } catch (error) {
@@ -175,18 +454,124 @@ window.addEventListener('DOMContentLoaded', () => {
       volumeMonitoringStream = null;
     }
     
+    stopSignalMeter();
     volumeAnalyser = null;
   }
 
-  // Function to create/update microphone banner in the UI
-  function updateMicrophoneIndicator(micName, volumeLevel = null, isEstimated = false) {
-    // Remove existing banner if present
-    const existingBanner = document.getElementById('voice-notes-mic-banner');
-    if (existingBanner) {
-      existingBanner.remove();
+  // Live signal metering (RMS and peak in dBFS) from the monitored stream.
+  // This is the actual input signal, unlike the system gain setting.
+  const METER_FLOOR_DB = -90;
+  const PEAK_HOLD_MS = 1500;
+  const PEAK_DECAY_DB_PER_SECOND = 20;
+  let meterContext = null;
+  let meterInterval = null;
+  let signalLevel = null;
+
+  // The main process only needs every reading while something acts on the
+  // level (silence detection, input warnings, voice activation); otherwise
+  // it asks for one every few seconds, for the tray
+  let signalLevelSendInterval = 0;
+  let lastSignalLevelSentAt = 0;
+  ipcRenderer.invoke('get-signal-level-interval')
+    .then((interval) => { signalLevelSendInterval = interval; })
+    .catch(() => {});
+  ipcRenderer.on('signal-level-interval', (event, interval) => {
+    signalLevelSendInterval = interval;
+  });
+
+  function startSignalMeter(stream) {
+    stopSignalMeter();
+
+    meterContext = new AudioContext();
+    const source = meterContext.createMediaStreamSource(stream);
+    volumeAnalyser = meterContext.createAnalyser();
+    volumeAnalyser.fftSize = 4096;
+    source.connect(volumeAnalyser);
+
+    const samples = new Float32Array(volumeAnalyser.fftSize);
+    const toDb = (value) => value > 0 ? Math.max(METER_FLOOR_DB, 20 * Math.log10(value)) : METER_FLOOR_DB;
+    let peakHoldSetAt = 0;
+    let lastTick = performance.now();
+
+    meterInterval = setInterval(() => {
+      volumeAnalyser.getFloatTimeDomainData(samples);
+
+      let sumSquares = 0;
+      let peak = 0;
+      for (const sample of samples) {
+        sumSquares += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+      }
+
+      const now = performance.now();
+      const rms = toDb(Math.sqrt(sumSquares / samples.length));
+      const peakDb = toDb(peak);
+
+      // Hold the highest peak for a moment, then let it fall back
+      let peakHold = signalLevel ? signalLevel.peakHold : METER_FLOOR_DB;
+      if (peakDb >= peakHold) {
+        peakHold = peakDb;
+        peakHoldSetAt = now;
+      } else if (now - peakHoldSetAt > PEAK_HOLD_MS) {
+        peakHold = Math.max(peakDb, peakHold - PEAK_DECAY_DB_PER_SECOND * (now - lastTick) / 1000);
+      }
+      lastTick = now;
+
+      signalLevel = { rms, peak: peakDb, peakHold };
+      updateSignalMeter();
+      if (now - lastSignalLevelSentAt >= signalLevelSendInterval) {
+        lastSignalLevelSentAt = now;
+        ipcRenderer.send('input-signal-level', signalLevel);
+      }
+    }, 100);
+  }
+
+  function stopSignalMeter() {
+    if (meterInterval) {
+      clearInterval(meterInterval);
+      meterInterval = null;
     }
 
-    // Create new microphone banner
+    if (meterContext) {
+      meterContext.close();
+      meterContext = null;
+    }
+
+    signalLevel = null;
+    updateSignalMeter();
+  }
+
+  // Update the banner's meter in place (runs ten times a second)
+  function updateSignalMeter() {
+    const meter = document.getElementById('voice-notes-level-meter');
+    if (!meter) return;
+
+    const text = meter.querySelector('.voice-notes-meter-text');
+    const fill = meter.querySelector('.voice-notes-meter-fill');
+    const hold = meter.querySelector('.voice-notes-meter-hold');
+
+    if (!signalLevel) {
+      text.textContent = 'Signal: no input';
+      fill.style.width = '0%';
+      hold.style.left = '0%';
+      return;
+    }
+
+    // Map the meter floor..0 dBFS onto 0..100%
+    const toPercent = (db) => Math.max(0, Math.min(100, (1 - db / METER_FLOOR_DB) * 100));
+    fill.style.width = `${toPercent(signalLevel.rms)}%`;
+    fill.style.background = signalLevel.peak > -3 ? '#e74c3c' : signalLevel.peak > -12 ? '#f39c12' : '#27ae60';
+    hold.style.left = `${toPercent(signalLevel.peakHold)}%`;
+    text.textContent = `Signal: ${Math.round(signalLevel.rms)} dBFS (peak ${Math.round(signalLevel.peakHold)})`;
+  }
+
+  // Last values shown in the banner, so it can be refreshed after a mute toggle
+  let bannerMicName = null;
+  let bannerVolumeLevel = null;
+  let bannerVolumeIsEstimated = false;
+
+  // Build the banner skeleton once; its content is updated in place afterwards
+  function createMicrophoneBanner() {
     const banner = document.createElement('div');
     banner.id = 'voice-notes-mic-banner';
     banner.style.cssText = `
@@ -221,6 +606,7 @@ window.addEventListener('DOMContentLoaded', () => {
 
     // Create microphone info container
     const micInfo = document.createElement('div');
+    micInfo.id = 'voice-notes-mic-info';
     micInfo.style.cssText = `
       display: flex;
       flex-direction: column;
@@ -229,14 +615,71 @@ window.addEventListener('DOMContentLoaded', () => {
 
     // Create system audio info container
     const systemInfo = document.createElement('div');
+    systemInfo.id = 'voice-notes-system-info';
     systemInfo.style.cssText = `
       display: flex;
       flex-direction: column;
       gap: 4px;
     `;
 
+    // Create live signal meter with a peak-hold marker
+    const meter = document.createElement('div');
+    meter.id = 'voice-notes-level-meter';
+    meter.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      min-width: 180px;
+    `;
+    meter.innerHTML = `
+      <div style="font-weight: bold; color: #1abc9c;">📈 Input Signal</div>
+      <div style="position: relative; height: 10px; background: #1c2833; border-radius: 3px; overflow: hidden;">
+        <div class="voice-notes-meter-fill" style="height: 100%; width: 0%; background: #27ae60;"></div>
+        <div class="voice-notes-meter-hold" style="position: absolute; top: 0; bottom: 0; left: 0%; width: 2px; background: #ecf0f1;"></div>
+      </div>
+      <div class="voice-notes-meter-text" style="font-size: 12px; color: #bdc3c7;">Signal: no input</div>
+    `;
+
+    // Create gain slider for the system input volume (capped at the
+    // configured maximum gain)
+    const gainControl = document.createElement('div');
+    gainControl.id = 'voice-notes-gain-control';
+    gainControl.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      min-width: 140px;
+    `;
+    gainControl.innerHTML = `
+      <div style="font-weight: bold; color: #f39c12;">🎚️ Gain</div>
+      <input id="voice-notes-gain-slider" type="range" min="0" max="100" step="1" value="0" style="width: 140px; cursor: pointer;">
+      <div class="voice-notes-gain-text" style="font-size: 12px; color: #bdc3c7;">--</div>
+    `;
+    const gainSlider = gainControl.querySelector('#voice-notes-gain-slider');
+    const gainText = gainControl.querySelector('.voice-notes-gain-text');
+    gainSlider.addEventListener('input', () => {
+      gainText.textContent = `${gainSlider.value}%`;
+    });
+    gainSlider.addEventListener('change', async () => {
+      const result = await electronAPI.setInputVolume(Number(gainSlider.value) / 100);
+      if (!result.success) {
+        console.log('Voice Notes Wrapper: Error setting input gain:', result.error);
+      }
+      refreshBannerContent();
+    });
+
+    // Create right section for the banner's controls
+    const controls = document.createElement('div');
+    controls.id = 'voice-notes-banner-controls';
+    controls.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    `;
+
     // Create mute button
     const muteButton = document.createElement('button');
+    muteButton.id = 'voice-notes-mute-button';
     muteButton.style.cssText = `
       background: #e74c3c;
       color: white;
@@ -261,86 +704,21 @@ window.addEventListener('DOMContentLoaded', () => {
       muteButton.style.boxShadow = 'none';
     });
 
-    // Function to update the banner content
-    const updateBannerContent = (systemAudioInfo, muteStatus) => {
-      const systemLevelPercent = Math.round(systemAudioInfo.level * 100);
-      const systemLevelBar = '█'.repeat(Math.floor(systemLevelPercent / 10)) + '░'.repeat(10 - Math.floor(systemLevelPercent / 10));
-      
-      const muteIcon = muteStatus.isMuted ? '🔇' : '🎤';
-      const muteText = muteStatus.isMuted ? 'UNMUTE' : 'MUTE';
-      const muteColor = muteStatus.isMuted ? '#e74c3c' : '#27ae60';
-      const statusText = muteStatus.isMuted ? 'MUTED' : 'LIVE';
-      const statusColor = muteStatus.isMuted ? '#e74c3c' : '#27ae60';
-      
-      // Update microphone info
-      let webVolumeDisplay = '';
-      if (volumeLevel !== null) {
-        const volumePercent = Math.round(volumeLevel * 100);
-        const volumeBar = '█'.repeat(Math.floor(volumePercent / 10)) + '░'.repeat(10 - Math.floor(volumePercent / 10));
-        const prefix = isEstimated ? 'Input Level' : 'Web Level';
-        const suffix = isEstimated ? ' (estimated)' : '';
-        webVolumeDisplay = `<div style="font-size: 12px; color: #bdc3c7;">${prefix}: ${volumePercent}% [${volumeBar}]${suffix}</div>`;
-      }
-      
-      micInfo.innerHTML = `
-        <div style="font-weight: bold; color: #3498db;">🎤 Web Microphone</div>
-        <div style="font-size: 13px; color: #ecf0f1;">${micName}</div>
-        ${webVolumeDisplay}
-      `;
-      
-      // Update system info
-      systemInfo.innerHTML = `
-        <div style="font-weight: bold; color: #f39c12;">${muteIcon} System Audio</div>
-        <div style="font-size: 13px; color: #ecf0f1;">${systemAudioInfo.name}</div>
-        <div style="font-size: 12px; color: #bdc3c7;">Level: ${systemLevelPercent}% [${systemLevelBar}]</div>
-        <div style="font-size: 12px; font-weight: bold; color: ${statusColor};">[${statusText}]</div>
-      `;
-      
-      // Update mute button
-      muteButton.textContent = muteText;
-      muteButton.style.background = muteColor;
-    };
-
-    // Get both system audio info and mute status
-    Promise.all([
-      window.electronAPI.getSystemAudioInfo(),
-      window.electronAPI.getMicrophoneMuteStatus()
-    ]).then(([systemAudioInfo, muteStatus]) => {
-      updateBannerContent(systemAudioInfo, muteStatus);
-    }).catch(() => {
-      micInfo.innerHTML = `
-        <div style="font-weight: bold; color: #3498db;">🎤 Web Microphone</div>
-        <div style="font-size: 13px; color: #ecf0f1;">${micName}</div>
-      `;
-      systemInfo.innerHTML = `
-        <div style="font-weight: bold; color: #e74c3c;">⚠️ System Audio Unavailable</div>
-        <div style="font-size: 12px; color: #bdc3c7;">Cannot access system microphone controls</div>
-      `;
-      muteButton.textContent = 'N/A';
-      muteButton.disabled = true;
-      muteButton.style.background = '#7f8c8d';
-      muteButton.style.cursor = 'not-allowed';
-    });
-
     // Add click handler for mute toggle
     muteButton.addEventListener('click', async () => {
       if (muteButton.disabled) return;
-      
+
       try {
         muteButton.disabled = true;
         muteButton.textContent = 'Working...';
         muteButton.style.opacity = '0.7';
-        
-        const result = await window.electronAPI.toggleMicrophoneMute();
-        
+
+        const result = await electronAPI.toggleMicrophoneMute();
+
         if (result.success) {
           // Refresh the display with new mute status
-          const [systemAudioInfo, muteStatus] = await Promise.all([
-            window.electronAPI.getSystemAudioInfo(),
-            window.electronAPI.getMicrophoneMuteStatus()
-          ]);
-          updateBannerContent(systemAudioInfo, muteStatus);
-          
+          await refreshBannerContent();
+
           // Brief visual feedback
           banner.style.borderBottomColor = result.isMuted ? '#e74c3c' : '#27ae60';
           setTimeout(() => {
@@ -355,19 +733,401 @@ window.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    // Create voice activation (VOX) badge; clicking it arms or disarms
+    const voxBadge = document.createElement('button');
+    voxBadge.id = 'voice-notes-vox-badge';
+    voxBadge.title = 'Voice activation: start recording when you speak';
+    voxBadge.style.cssText = `
+      background: transparent;
+      color: #bdc3c7;
+      border: 2px solid #7f8c8d;
+      padding: 6px 12px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: bold;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    `;
+    voxBadge.addEventListener('click', () => {
+      electronAPI.toggleVox().then(updateVoxBadge).catch(error => {
+        console.log('Voice Notes Wrapper: Error toggling voice activation:', error);
+      });
+    });
+
+    // Create microphone picker; choosing one makes it the system default
+    const sourcePicker = document.createElement('select');
+    sourcePicker.id = 'voice-notes-source-picker';
+    sourcePicker.title = 'Microphone';
+    sourcePicker.style.cssText = `
+      background: #1c2833;
+      color: #ecf0f1;
+      border: 2px solid #7f8c8d;
+      padding: 6px 8px;
+      border-radius: 6px;
+      font-size: 12px;
+      max-width: 220px;
+      cursor: pointer;
+    `;
+    sourcePicker.addEventListener('change', async () => {
+      sourcePicker.disabled = true;
+      try {
+        await electronAPI.setInputSource(sourcePicker.value);
+      } catch (error) {
+        console.log('Voice Notes Wrapper: Error switching microphone:', error);
+      } finally {
+        sourcePicker.disabled = false;
+      }
+    });
+
+    // Create button saving the current gain, mute and processing as the
+    // microphone's profile
+    const profileButton = document.createElement('button');
+    profileButton.id = 'voice-notes-profile-button';
+    profileButton.style.cssText = `
+      background: transparent;
+      color: #bdc3c7;
+      border: 2px solid #7f8c8d;
+      padding: 6px 12px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: bold;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    `;
+    profileButton.addEventListener('click', async () => {
+      profileButton.disabled = true;
+      try {
+        const result = await electronAPI.saveMicProfile();
+        if (!result.success) {
+          console.log('Voice Notes Wrapper: Error saving microphone profile:', result.error);
+        }
+      } catch (error) {
+        console.log('Voice Notes Wrapper: Error saving microphone profile:', error);
+      } finally {
+        profileButton.disabled = false;
+      }
+    });
+
+    // Create badge showing the local processing preset; bright while a
+    // recording runs through it
+    const processingBadge = document.createElement('div');
+    processingBadge.id = 'voice-notes-processing-badge';
+    processingBadge.style.cssText = `
+      color: #bdc3c7;
+      border: 2px solid #7f8c8d;
+      padding: 6px 12px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: bold;
+      display: none;
+    `;
+
+    // Create A/B preview button: off, then the raw microphone, then the
+    // processed one, played to the headphones
+    const previewButton = document.createElement('button');
+    previewButton.id = 'voice-notes-preview-button';
+    previewButton.style.cssText = `
+      background: transparent;
+      color: #bdc3c7;
+      border: 2px solid #7f8c8d;
+      padding: 6px 12px;
+      border-radius: 6px;
+      font-size: 12px;
+      font-weight: bold;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    `;
+    previewButton.addEventListener('click', () => {
+      const nextMode = { off: 'raw', raw: 'processed', processed: 'off' }[processingState.preview] || 'off';
+      window.postMessage({ source: PAGE_MESSAGE_SOURCE, type: 'processing-preview', mode: nextMode }, '*');
+    });
+
     // Assemble the banner
     leftSection.appendChild(micInfo);
     leftSection.appendChild(systemInfo);
+    leftSection.appendChild(gainControl);
+    leftSection.appendChild(meter);
+    controls.appendChild(sourcePicker);
+    controls.appendChild(processingBadge);
+    controls.appendChild(previewButton);
+    controls.appendChild(profileButton);
+    controls.appendChild(voxBadge);
+    controls.appendChild(muteButton);
     banner.appendChild(leftSection);
-    banner.appendChild(muteButton);
-    
+    banner.appendChild(controls);
+
     // Add banner to page and adjust body padding
     document.body.appendChild(banner);
-    
+
     // Add padding to body to prevent content from being hidden behind banner
     if (!document.body.style.paddingTop || document.body.style.paddingTop === '0px') {
       document.body.style.paddingTop = '80px';
     }
+
+    // Create warning strip shown under the banner while the take has problems
+    const warningStrip = document.createElement('div');
+    warningStrip.id = 'voice-notes-input-warnings';
+    warningStrip.style.cssText = `
+      position: absolute;
+      top: 100%;
+      left: 0;
+      right: 0;
+      display: none;
+      flex-direction: column;
+      gap: 4px;
+      background: #c0392b;
+      padding: 6px 20px;
+      font-size: 13px;
+      box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
+    `;
+    banner.appendChild(warningStrip);
+
+    updateSourcePicker(inputSourcesState);
+    updateProfileButton(micProfileState);
+    updateProcessingControls(processingState);
+    electronAPI.getVoxState().then(updateVoxBadge).catch(() => {});
+    electronAPI.getInputWarnings().then(updateInputWarnings).catch(() => {});
+
+    return banner;
+  }
+
+  // Show the active input warnings, each with its one-click fix
+  function updateInputWarnings(warnings) {
+    const warningStrip = document.getElementById('voice-notes-input-warnings');
+    if (!warningStrip) return;
+
+    warningStrip.innerHTML = '';
+    warningStrip.style.display = warnings.length > 0 ? 'flex' : 'none';
+
+    for (const warning of warnings) {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 12px;
+      `;
+
+      const message = document.createElement('span');
+      message.textContent = `⚠️ ${warning.message}`;
+      row.appendChild(message);
+
+      if (warning.fixLabel) {
+        const fixButton = document.createElement('button');
+        fixButton.textContent = warning.fixLabel;
+        fixButton.style.cssText = `
+          background: white;
+          color: #c0392b;
+          border: none;
+          padding: 3px 10px;
+          border-radius: 4px;
+          font-size: 12px;
+          font-weight: bold;
+          cursor: pointer;
+        `;
+        fixButton.addEventListener('click', async () => {
+          fixButton.disabled = true;
+          await electronAPI.fixInputWarning(warning.type);
+          refreshBannerContent();
+        });
+        row.appendChild(fixButton);
+      }
+
+      warningStrip.appendChild(row);
+    }
+  }
+
+  ipcRenderer.on('input-warnings-changed', (event, warnings) => updateInputWarnings(warnings));
+
+  // Show whether voice activation is armed
+  function updateVoxBadge({ armed }) {
+    const voxBadge = document.getElementById('voice-notes-vox-badge');
+    if (!voxBadge) return;
+
+    voxBadge.textContent = armed ? '🎙️ VOX ARMED' : '🎙️ VOX OFF';
+    voxBadge.style.color = armed ? '#f1c40f' : '#bdc3c7';
+    voxBadge.style.borderColor = armed ? '#f1c40f' : '#7f8c8d';
+  }
+
+  ipcRenderer.on('vox-state-changed', (event, voxState) => updateVoxBadge(voxState));
+
+  // Show whether the current microphone has a profile of its own
+  function updateProfileButton({ hasProfile }) {
+    const profileButton = document.getElementById('voice-notes-profile-button');
+    if (!profileButton) return;
+
+    profileButton.textContent = hasProfile ? '💾 UPDATE PROFILE' : '💾 SAVE PROFILE';
+    profileButton.title = hasProfile
+      ? 'This microphone has a profile; save the current gain, mute and processing over it'
+      : 'Save the current gain, mute and processing as this microphone\'s profile';
+    profileButton.style.color = hasProfile ? '#1abc9c' : '#bdc3c7';
+    profileButton.style.borderColor = hasProfile ? '#1abc9c' : '#7f8c8d';
+  }
+
+  ipcRenderer.on('mic-profile-changed', (event, state) => updateProfileButton(state));
+
+  // Show the processing preset and the A/B preview mode
+  function updateProcessingControls({ preset, active, preview }) {
+    const processingBadge = document.getElementById('voice-notes-processing-badge');
+    const previewButton = document.getElementById('voice-notes-preview-button');
+    if (!processingBadge || !previewButton) return;
+
+    const presetInfo = PROCESSING_PRESETS[preset];
+    processingBadge.style.display = presetInfo && preset !== 'off' ? 'block' : 'none';
+    processingBadge.textContent = `🎛️ ${presetInfo ? presetInfo.label : preset}`;
+    processingBadge.title = active
+      ? 'Local processing is running on the recording'
+      : 'Local processing applies from the next recording';
+    processingBadge.style.color = active ? '#9b59b6' : '#bdc3c7';
+    processingBadge.style.borderColor = active ? '#9b59b6' : '#7f8c8d';
+
+    previewButton.textContent = { raw: '🎧 A: RAW', processed: '🎧 B: PROCESSED' }[preview] || '🎧 A/B OFF';
+    previewButton.title = 'Listen to the microphone as captured (A) or processed (B). Use headphones to avoid feedback.';
+    previewButton.style.color = preview === 'off' ? '#bdc3c7' : '#9b59b6';
+    previewButton.style.borderColor = preview === 'off' ? '#7f8c8d' : '#9b59b6';
+  }
+
+  // Update the banner as soon as the page reports new track settings or
+  // processing state
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== PAGE_MESSAGE_SOURCE) return;
+    if (!document.getElementById('voice-notes-mic-banner')) return;
+    if (event.data.type === 'capture-device') {
+      refreshBannerContent();
+    } else if (event.data.type === 'processing-state') {
+      updateProcessingControls(processingState);
+    }
+  });
+
+  // List the system's microphones, with the default selected
+  function updateSourcePicker({ sources, defaultSource }) {
+    const sourcePicker = document.getElementById('voice-notes-source-picker');
+    if (!sourcePicker) return;
+
+    sourcePicker.innerHTML = '';
+    for (const source of sources) {
+      const option = document.createElement('option');
+      option.value = source.name;
+      option.textContent = source.label;
+      option.selected = source.name === defaultSource;
+      sourcePicker.appendChild(option);
+    }
+    sourcePicker.style.display = sources.length > 0 ? 'block' : 'none';
+  }
+
+  // When the system default changes, follow it with the web microphone too
+  let shownDefaultSource = inputSourcesState.defaultSource;
+  ipcRenderer.on('input-sources-changed', (event, state) => {
+    updateSourcePicker(state);
+    if (state.defaultSource === shownDefaultSource) return;
+    // The first report only tells us what the initial detection already used
+    const firstReport = shownDefaultSource === null;
+    shownDefaultSource = state.defaultSource;
+    if (firstReport) return;
+    stopVolumeMonitoring();
+    detectActiveMicrophone().then(micInfo => {
+      if (micInfo) {
+        electronAPI.updateMicrophoneInfo(micInfo.label || 'Default Microphone');
+      }
+    });
+  });
+
+  // Fill the banner with the latest system audio info and mute status
+  async function refreshBannerContent() {
+    const micInfo = document.getElementById('voice-notes-mic-info');
+    const systemInfo = document.getElementById('voice-notes-system-info');
+    const muteButton = document.getElementById('voice-notes-mute-button');
+    if (!micInfo || !systemInfo || !muteButton) return;
+
+    // Web track volume, only when the browser exposes one
+    let webVolumeDisplay = '';
+    if (bannerVolumeLevel !== null) {
+      const volumePercent = Math.round(bannerVolumeLevel * 100);
+      const volumeBar = '█'.repeat(Math.floor(volumePercent / 10)) + '░'.repeat(10 - Math.floor(volumePercent / 10));
+      const prefix = bannerVolumeIsEstimated ? 'Input Level' : 'Web Level';
+      const suffix = bannerVolumeIsEstimated ? ' (estimated)' : '';
+      webVolumeDisplay = `<div style="font-size: 12px; color: #bdc3c7;">${prefix}: ${volumePercent}% [${volumeBar}]${suffix}</div>`;
+    }
+
+    // Processing the page's track actually got, once it has captured
+    const trackSettingsText = pageTrackSettings ? formatTrackSettings(pageTrackSettings) : '';
+    const trackSettingsDisplay = trackSettingsText
+      ? `<div style="font-size: 12px; color: #bdc3c7;" title="Settings the active microphone track reports">Track: ${trackSettingsText}</div>`
+      : '';
+
+    micInfo.innerHTML = `
+      <div style="font-weight: bold; color: #3498db;">🎤 Web Microphone</div>
+      <div style="font-size: 13px; color: #ecf0f1;">${bannerMicName}</div>
+      ${webVolumeDisplay}
+      ${trackSettingsDisplay}
+    `;
+
+    try {
+      // Get both system audio info and mute status
+      const [systemAudioInfo, muteStatus] = await Promise.all([
+        electronAPI.getSystemAudioInfo(),
+        electronAPI.getMicrophoneMuteStatus()
+      ]);
+
+      // The system value is the source's gain setting, not the signal level
+      const gainPercent = Math.round(systemAudioInfo.level * 100);
+      const gainBar = '█'.repeat(Math.min(10, Math.floor(gainPercent / 10))) + '░'.repeat(Math.max(0, 10 - Math.floor(gainPercent / 10)));
+
+      const muteIcon = muteStatus.isMuted ? '🔇' : '🎤';
+      const muteText = muteStatus.isMuted ? 'UNMUTE' : 'MUTE';
+      const muteColor = muteStatus.isMuted ? '#e74c3c' : '#27ae60';
+      const statusText = muteStatus.isMuted ? 'MUTED' : 'LIVE';
+      const statusColor = muteStatus.isMuted ? '#e74c3c' : '#27ae60';
+
+      systemInfo.innerHTML = `
+        <div style="font-weight: bold; color: #f39c12;">${muteIcon} System Audio</div>
+        <div style="font-size: 13px; color: #ecf0f1;">${systemAudioInfo.name}</div>
+        <div style="font-size: 12px; color: #bdc3c7;">Gain: ${gainPercent}% [${gainBar}]</div>
+        <div style="font-size: 12px; font-weight: bold; color: ${statusColor};">[${statusText}]</div>
+      `;
+
+      // Follow the gain, unless the slider is being dragged
+      const gainSlider = document.getElementById('voice-notes-gain-slider');
+      if (gainSlider && !gainSlider.matches(':active')) {
+        gainSlider.disabled = false;
+        gainSlider.max = String(Math.max(Math.round((systemAudioInfo.maxLevel || 1) * 100), gainPercent));
+        gainSlider.value = String(gainPercent);
+        gainSlider.parentElement.querySelector('.voice-notes-gain-text').textContent = `${gainPercent}%`;
+      }
+
+      // Update mute button (unless a toggle is in progress)
+      if (muteButton.textContent !== 'Working...') {
+        muteButton.textContent = muteText;
+        muteButton.style.background = muteColor;
+        muteButton.style.cursor = 'pointer';
+        muteButton.disabled = false;
+      }
+    } catch (error) {
+      systemInfo.innerHTML = `
+        <div style="font-weight: bold; color: #e74c3c;">⚠️ System Audio Unavailable</div>
+        <div style="font-size: 12px; color: #bdc3c7;">Cannot access system microphone controls</div>
+      `;
+      const gainSlider = document.getElementById('voice-notes-gain-slider');
+      if (gainSlider) gainSlider.disabled = true;
+      muteButton.textContent = 'N/A';
+      muteButton.disabled = true;
+      muteButton.style.background = '#7f8c8d';
+      muteButton.style.cursor = 'not-allowed';
+    }
+  }
+
+  // Function to create/update microphone banner in the UI
+  function updateMicrophoneIndicator(micName, volumeLevel = null, isEstimated = false) {
+    bannerMicName = micName;
+    bannerVolumeLevel = volumeLevel;
+    bannerVolumeIsEstimated = isEstimated;
+
+    if (!document.getElementById('voice-notes-mic-banner')) {
+      createMicrophoneBanner();
+      applyUiSettings(uiSettings);
+    }
+
+    refreshBannerContent();
+    updateSignalMeter();
   }
 
   // Function to create refresh button
@@ -429,6 +1189,31 @@ window.addEventListener('DOMContentLoaded', () => {
 
   // Create refresh button
   createRefreshButton();
+
+  // Show or hide the banner and refresh button according to the UI settings
+  function applyUiSettings(ui) {
+    const banner = document.getElementById('voice-notes-mic-banner');
+    if (banner) {
+      banner.style.display = ui.showBanner ? 'flex' : 'none';
+      document.body.style.paddingTop = ui.showBanner ? '80px' : '0px';
+    }
+
+    const refreshButton = document.getElementById('voice-notes-refresh-button');
+    if (refreshButton) {
+      refreshButton.style.display = ui.showRefreshButton ? 'flex' : 'none';
+    }
+  }
+
+  let uiSettings = { showBanner: true, showRefreshButton: true };
+  electronAPI.getUiSettings().then(ui => {
+    uiSettings = ui;
+    applyUiSettings(uiSettings);
+  }).catch(() => {});
+
+  ipcRenderer.on('ui-settings-changed', (event, ui) => {
+    uiSettings = ui;
+    applyUiSettings(uiSettings);
+  });
   
   // Add F5 keyboard shortcut for refresh
   document.addEventListener('keydown', (event) => {
@@ -442,9 +1227,9 @@ window.addEventListener('DOMContentLoaded', () => {
   // Detect microphone on page load and notify main process
   console.log('Voice Notes Wrapper: Starting microphone detection...');
   detectActiveMicrophone().then(micInfo => {
-    if (micInfo && window.electronAPI) {
+    if (micInfo) {
       console.log('Voice Notes Wrapper: Microphone detected, updating info:', micInfo.label);
-      window.electronAPI.updateMicrophoneInfo(micInfo.label || 'Default Microphone');
+      electronAPI.updateMicrophoneInfo(micInfo.label || 'Default Microphone');
     } else {
       console.log('Voice Notes Wrapper: No microphone detected, creating banner with fallback');
       // Create banner even without microphone access
@@ -461,85 +1246,88 @@ window.addEventListener('DOMContentLoaded', () => {
     console.log('Audio devices changed, re-detecting microphone...');
     stopVolumeMonitoring(); // Stop current monitoring
     detectActiveMicrophone().then(micInfo => {
-      if (micInfo && window.electronAPI) {
-        window.electronAPI.updateMicrophoneInfo(micInfo.label || 'Default Microphone');
+      if (micInfo) {
+        electronAPI.updateMicrophoneInfo(micInfo.label || 'Default Microphone');
       }
     });
   });
 
+  // Selector profile shared with the main process (reloaded live on changes)
+  let selectorProfile = DEFAULT_SELECTOR_PROFILE;
+
+  ipcRenderer.invoke('get-selector-profile').then(profile => {
+    if (profile) selectorProfile = profile;
+  }).catch(error => {
+    console.log('Voice Notes Wrapper: Could not load selector profile, using defaults:', error);
+  });
+
+  ipcRenderer.on('selector-profile-updated', (event, profile) => {
+    console.log('Voice Notes Wrapper: Selector profile updated');
+    selectorProfile = profile;
+  });
+
   // Enhanced button detection functions
   function findButtonByType(buttonType) {
-    const selectors = {
-      record: [
-        '[data-testid="record-button"]',
-        '[data-testid="recording-button"]',
-        '[aria-label*="record" i]',
-        '[aria-label*="start recording" i]',
-        '[title*="record" i]',
-        '.record-button',
-        '#record-button',
-        'button[class*="record" i]',
-        'button[id*="record" i]'
-      ],
-      pause: [
-        '[data-testid="pause-button"]',
-        '[aria-label*="pause" i]',
-        '[title*="pause" i]',
-        '.pause-button',
-        '#pause-button',
-        'button[class*="pause" i]',
-        'button[id*="pause" i]'
-      ],
-      stop: [
-        '[data-testid="stop-button"]',
-        '[aria-label*="stop" i]',
-        '[title*="stop" i]',
-        '.stop-button',
-        '#stop-button',
-        'button[class*="stop" i]',
-        'button[id*="stop" i]'
-      ]
-    };
+    const match = findButtonForAction(buttonType, selectorProfile[buttonType]);
+    if (match && match.button) {
+      console.log(`Voice Notes Wrapper: Found ${buttonType} button by ${match.matchedBy}`);
+      return match.button;
+    }
 
-    const typeSelectors = selectors[buttonType] || [];
-    
-    // Try specific selectors first
-    for (const selector of typeSelectors) {
-      const button = document.querySelector(selector);
-      if (button && !button.disabled) {
-        console.log(`Voice Notes Wrapper: Found ${buttonType} button with selector:`, selector);
-        return button;
-      }
+    if (match) {
+      console.log(`Voice Notes Wrapper: ${match.candidates.length} ${buttonType} buttons match, not clicking any`);
+    } else {
+      console.log(`Voice Notes Wrapper: No ${buttonType} button found`);
     }
+    return null;
+  }
 
-    // Fallback: search through all buttons for text content
-    const buttons = document.querySelectorAll('button');
-    const searchTerms = {
-      record: ['record', 'mic', 'start'],
-      pause: ['pause'],
-      stop: ['stop', 'end', 'finish']
-    };
-    
-    const terms = searchTerms[buttonType] || [];
-    
-    for (const button of buttons) {
-      if (button.disabled) continue;
-      
-      const text = (button.textContent || '').toLowerCase();
-      const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
-      const title = (button.getAttribute('title') || '').toLowerCase();
-      
-      for (const term of terms) {
-        if (text.includes(term) || ariaLabel.includes(term) || title.includes(term)) {
-          console.log(`Voice Notes Wrapper: Found potential ${buttonType} button by text content`);
-          return button;
-        }
+  // Highlight the button each action would click, and report the results
+  ipcRenderer.on('test-selectors', () => {
+    document.querySelectorAll('.voice-notes-selector-highlight').forEach(element => element.remove());
+
+    const colors = { record: '#e74c3c', pause: '#f39c12', resume: '#27ae60', stop: '#3498db', discard: '#9b59b6' };
+    const results = {};
+
+    for (const action of SELECTOR_PROFILE_ACTIONS) {
+      const match = findButtonForAction(action, selectorProfile[action]);
+      if (!match) {
+        results[action] = { found: false };
+        continue;
+      }
+      results[action] = match.button
+        ? { found: true, matchedBy: match.matchedBy }
+        : { found: false, candidates: match.candidates.length };
+
+      // Every candidate is highlighted when the match is ambiguous
+      for (const button of match.button ? [match.button] : match.candidates) {
+        const rect = button.getBoundingClientRect();
+        const highlight = document.createElement('div');
+        highlight.className = 'voice-notes-selector-highlight';
+        highlight.textContent = match.button ? action.toUpperCase() : `${action.toUpperCase()}?`;
+        highlight.style.cssText = `
+          position: fixed;
+          top: ${rect.top - 4}px;
+          left: ${rect.left - 4}px;
+          width: ${rect.width + 8}px;
+          height: ${rect.height + 8}px;
+          border: 3px solid ${colors[action]};
+          border-radius: 6px;
+          color: ${colors[action]};
+          font: bold 11px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          pointer-events: none;
+          z-index: 10001;
+        `;
+        document.body.appendChild(highlight);
       }
     }
 
-    console.log(`Voice Notes Wrapper: No ${buttonType} button found`);
-    return null;
-  }
+    setTimeout(() => {
+      document.querySelectorAll('.voice-notes-selector-highlight').forEach(element => element.remove());
+    }, 5000);
+
+    ipcRenderer.send('selector-test-results', results);
+  });
 
   // Legacy function for backward compatibility
   function findRecordButton() {
@@ -580,6 +1368,16 @@ window.addEventListener('DOMContentLoaded', () => {
       return { success: false, error: 'Pause button not found or disabled' };
     },
     
+    resumeRecording: () => {
+      const button = findButtonByType('resume');
+      if (button) {
+        button.click();
+        console.log('Voice Notes Wrapper: Resume recording button clicked');
+        return { success: true, action: 'resume' };
+      }
+      return { success: false, error: 'Resume button not found or disabled' };
+    },
+    
     stopRecording: () => {
       const button = findButtonByType('stop');
       if (button) {
@@ -589,6 +1387,20 @@ window.addEventListener('DOMContentLoaded', () => {
       }
       return { success: false, error: 'Stop button not found or disabled' };
     },
+
+    discardRecording: () => {
+      const match = findButtonForAction('discard', selectorProfile.discard);
+      if (match && match.button) {
+        match.button.click();
+        console.log(`Voice Notes Wrapper: Discard recording button clicked (${match.matchedBy})`);
+        return { success: true, action: 'discard' };
+      }
+      if (match) {
+        console.log(`Voice Notes Wrapper: ${match.candidates.length} discard buttons match, not clicking any`);
+        return { success: false, error: `${match.candidates.length} buttons look like the discard button` };
+      }
+      return { success: false, error: 'Discard button not found or disabled' };
+    },
     
     getMicrophoneInfo: detectActiveMicrophone
   };
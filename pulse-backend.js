@@ -0,0 +1,184 @@
+// PulseAudio backend for AudioMonitor, through pactl
+// Also works on PipeWire through pipewire-pulse, though device descriptions
+// and volumes are not always complete there; the PipeWire backend is
+// preferred when it is available.
+
+const { execFile } = require('child_process');
+const pactlParser = require('./pactl-parser');
+
+// `pactl subscribe` lines, e.g. "Event 'change' on source #53"
+const SUBSCRIBE_EVENT = /^Event '(\w+)' on (source|server) #(-?\d+)/;
+
+class PulseBackend {
+  constructor() {
+    this.name = 'pulseaudio';
+    this.label = 'PulseAudio';
+    this.jsonFormatSupported = null; // unknown until pactl has been asked
+  }
+
+  // Run pactl with an argument list (no shell) and resolve with its stdout.
+  // The C locale keeps the text output parseable.
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile('pactl', args, { env: { ...process.env, LC_ALL: 'C' }, maxBuffer: 8 * 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  // A sound server answers pactl
+  async isAvailable() {
+    try {
+      await this.run(['info']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // All sources, from the JSON format where pactl supports it
+  async listSources() {
+    if (this.jsonFormatSupported !== false) {
+      try {
+        const sources = pactlParser.parseSourcesJson(await this.run(['--format=json', 'list', 'sources']));
+        this.jsonFormatSupported = true;
+        return sources;
+      } catch (error) {
+        if (this.jsonFormatSupported) throw error;
+      }
+    }
+
+    const sources = pactlParser.parseSourcesText(await this.run(['list', 'sources']));
+    // The text format works where JSON did not: pactl before 16 has no --format
+    this.jsonFormatSupported = false;
+    return sources;
+  }
+
+  async getDefaultSourceName() {
+    try {
+      const name = (await this.run(['get-default-source'])).trim();
+      if (name) return name;
+    } catch (error) {
+      // pactl before 15 has no get-default-source
+    }
+    const info = pactlParser.parseInfo(await this.run(['info']));
+    return info['Default Source'] || null;
+  }
+
+  // The default source, or null when there is none
+  async getDefaultSource() {
+    const name = await this.getDefaultSourceName();
+    if (!name) return null;
+    const sources = await this.listSources();
+    return sources.find(source => source.name === name) || null;
+  }
+
+  // Volume of one source, without listing every source
+  async getSourceVolume(source) {
+    try {
+      const volume = pactlParser.parseVolume(await this.run(['get-source-volume', source.name]));
+      if (volume !== null) return volume;
+    } catch (error) {
+      // Older pactl without get-source-volume
+    }
+    const sources = await this.listSources();
+    const current = sources.find(candidate => candidate.name === source.name);
+    return current ? current.volume : 0;
+  }
+
+  async getSourceMute(source) {
+    try {
+      const muted = pactlParser.parseMute(await this.run(['get-source-mute', source.name]));
+      if (muted !== null) return muted;
+    } catch (error) {
+      // Older pactl without get-source-mute
+    }
+    const sources = await this.listSources();
+    const current = sources.find(candidate => candidate.name === source.name);
+    return current ? current.muted : false;
+  }
+
+  // muted is true, false or 'toggle'
+  async setSourceMute(source, muted) {
+    const value = muted === 'toggle' ? 'toggle' : muted ? '1' : '0';
+    await this.run(['set-source-mute', source.name, value]);
+  }
+
+  // level: 1 = 100%
+  async setSourceVolume(source, level) {
+    await this.run(['set-source-volume', source.name, `${Math.round(level * 100)}%`]);
+  }
+
+  async setDefaultSource(source) {
+    await this.run(['set-default-source', source.name]);
+  }
+
+  async listCards() {
+    if (this.jsonFormatSupported !== false) {
+      try {
+        return pactlParser.parseCardsJson(await this.run(['--format=json', 'list', 'cards']));
+      } catch (error) {
+        if (this.jsonFormatSupported) throw error;
+      }
+    }
+    return pactlParser.parseCardsText(await this.run(['list', 'cards']));
+  }
+
+  // The Bluetooth card a source belongs to, matched on the device address
+  async findBluetoothCard(source) {
+    if (!pactlParser.isBluetoothSource(source)) return null;
+    const address = source.properties['api.bluez5.address'] || source.properties['device.string'];
+    if (!address) return null;
+
+    const cards = await this.listCards();
+    return cards.find(card => [card.properties['api.bluez5.address'], card.properties['device.string']].includes(address)) ||
+      cards.find(card => card.name === `bluez_card.${address.replace(/:/g, '_')}`) ||
+      null;
+  }
+
+  // Active profile of a Bluetooth source's card (e.g. "headset_head_unit"),
+  // or null for other sources
+  async getCardProfile(source) {
+    const card = await this.findBluetoothCard(source);
+    return card ? card.activeProfile : null;
+  }
+
+  async setCardProfile(source, profile) {
+    const card = await this.findBluetoothCard(source);
+    if (!card) {
+      throw new Error(`${source.description || source.name} is not a Bluetooth device`);
+    }
+    if (card.activeProfile === profile) return;
+    if (!card.profiles.includes(profile)) {
+      throw new Error(`${card.name} has no profile ${profile}`);
+    }
+    await this.run(['set-card-profile', card.name, profile]);
+  }
+
+  // Long-running command reporting changes; parseLine turns one output line
+  // into events: { type: 'full' } when the default may have changed, or
+  // { type: 'source', index } when one source changed
+  getMonitorCommand() {
+    return {
+      command: 'pactl',
+      args: ['subscribe'],
+      parseLine: (line) => {
+        const match = line.match(SUBSCRIBE_EVENT);
+        if (!match) return [];
+
+        const [, eventType, facility, index] = match;
+        if (facility === 'server' || eventType !== 'change') {
+          // The default source may have changed or a source come or gone
+          return [{ type: 'full' }];
+        }
+        return [{ type: 'source', index: Number(index) }];
+      }
+    };
+  }
+}
+
+module.exports = PulseBackend;
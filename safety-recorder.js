@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Writes the local safety-net copy of each recording session to disk.
+// Audio is captured in the renderer (preload.js) and streamed here in chunks;
+// this class owns the files, WAV headers and the retention policy.
+class SafetyRecorder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.fd = null;
+    this.filePath = null;
+    this.format = null;
+    this.sessionId = null;
+    this.bytesWritten = 0;
+    this.configure(options);
+  }
+
+  // Apply new options; takes effect from the next session
+  configure({ enabled = true, folder, format = 'webm', keepDays = 30, maxSizeGB = 2 } = {}) {
+    this.enabled = enabled;
+    this.folder = folder || this.folder;
+    this.preferredFormat = format === 'wav' ? 'wav' : 'webm';
+    this.keepDays = keepDays;
+    this.maxSizeGB = maxSizeGB;
+  }
+
+  isRecording() {
+    return this.fd !== null;
+  }
+
+  // Open a new file for a session. wavInfo carries sampleRate/channels for WAV.
+  // sessionId identifies the renderer capture feeding the file; chunks and
+  // end messages from any other capture are ignored.
+  begin(format, wavInfo = {}, sessionId = null) {
+    if (this.isRecording()) {
+      this.finalize();
+    }
+
+    fs.mkdirSync(this.folder, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+    this.format = format === 'wav' ? 'wav' : 'webm';
+    // Sessions started within the same second get a numbered name
+    this.filePath = path.join(this.folder, `voicenotes-${stamp}.${this.format}`);
+    for (let copy = 2; fs.existsSync(this.filePath); copy++) {
+      this.filePath = path.join(this.folder, `voicenotes-${stamp}-${copy}.${this.format}`);
+    }
+    this.fd = fs.openSync(this.filePath, 'w');
+    this.sessionId = sessionId;
+    this.bytesWritten = 0;
+
+    if (this.format === 'wav') {
+      this.sampleRate = wavInfo.sampleRate || 48000;
+      this.channels = wavInfo.channels || 1;
+      fs.writeSync(this.fd, this.buildWavHeader(0));
+    }
+
+    console.log('Voice Notes Wrapper: Safety recording started:', this.filePath);
+    this.emit('started', this.filePath);
+    return this.filePath;
+  }
+
+  appendChunk(chunk, sessionId = null) {
+    if (!this.isCurrentSession(sessionId)) return;
+
+    const buffer = Buffer.from(chunk);
+    fs.writeSync(this.fd, buffer);
+    this.bytesWritten += buffer.length;
+  }
+
+  // Close the current file (patching the WAV header) and apply retention.
+  // Without a sessionId the file is closed whichever capture feeds it.
+  finalize(sessionId = null) {
+    if (!this.isCurrentSession(sessionId)) return null;
+
+    if (this.format === 'wav') {
+      fs.writeSync(this.fd, this.buildWavHeader(this.bytesWritten), 0, 44, 0);
+    }
+    fs.closeSync(this.fd);
+    this.fd = null;
+    this.sessionId = null;
+
+    const filePath = this.filePath;
+    console.log(`Voice Notes Wrapper: Safety recording saved: ${filePath} (${Math.round(this.bytesWritten / 1024)} KB)`);
+    this.emit('finished', filePath);
+
+    this.applyRetention();
+    return filePath;
+  }
+
+  isCurrentSession(sessionId) {
+    return this.isRecording() && (sessionId === null || sessionId === this.sessionId);
+  }
+
+  // 16-bit PCM WAV header for the given data length
+  buildWavHeader(dataLength) {
+    const header = Buffer.alloc(44);
+    const byteRate = this.sampleRate * this.channels * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(this.channels, 22);
+    header.writeUInt32LE(this.sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(this.channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataLength, 40);
+    return header;
+  }
+
+  // Delete recordings older than keepDays, then the oldest until under maxSizeGB
+  applyRetention() {
+    let files;
+    try {
+      files = fs.readdirSync(this.folder)
+        .filter(name => /^voicenotes-.*\.(webm|wav)$/.test(name))
+        .map(name => {
+          const filePath = path.join(this.folder, name);
+          const stats = fs.statSync(filePath);
+          return { filePath, size: stats.size, mtimeMs: stats.mtimeMs };
+        })
+        .filter(file => file.filePath !== this.filePath || !this.isRecording())
+        .sort((a, b) => a.mtimeMs - b.mtimeMs);
+    } catch (error) {
+      console.log('Voice Notes Wrapper: Could not read safety recordings folder:', error.message);
+      return;
+    }
+
+    const removeFile = (file) => {
+      try {
+        fs.unlinkSync(file.filePath);
+        console.log('Voice Notes Wrapper: Removed old safety recording:', file.filePath);
+        return true;
+      } catch (error) {
+        console.log('Voice Notes Wrapper: Could not remove safety recording:', error.message);
+        return false;
+      }
+    };
+
+    if (this.keepDays > 0) {
+      const cutoff = Date.now() - this.keepDays * 24 * 60 * 60 * 1000;
+      files = files.filter(file => !(file.mtimeMs < cutoff && removeFile(file)));
+    }
+
+    if (this.maxSizeGB > 0) {
+      const maxBytes = this.maxSizeGB * 1024 * 1024 * 1024;
+      let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+      for (const file of files) {
+        if (totalBytes <= maxBytes) break;
+        if (removeFile(file)) totalBytes -= file.size;
+      }
+    }
+  }
+}
+
+module.exports = SafetyRecorder;
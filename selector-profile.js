@@ -0,0 +1,272 @@
+// Selector profile for locating the Voice Notes recording buttons
+// The profile lives in the user data directory so it can be adjusted when the
+// Voice Notes UI changes, without waiting for a new wrapper release.
+
+const fs = require('fs');
+
+const SELECTOR_PROFILE_ACTIONS = ['record', 'pause', 'resume', 'stop', 'discard'];
+
+const DEFAULT_SELECTOR_PROFILE = {
+  record: {
+    selectors: [
+      '[data-testid="record-button"]',
+      '[data-testid="recording-button"]',
+      '[aria-label*="record" i]',
+      '[aria-label*="start recording" i]',
+      '[title*="record" i]',
+      '.record-button',
+      '#record-button',
+      'button[class*="record" i]',
+      'button[id*="record" i]'
+    ],
+    textTerms: ['record', 'mic', 'start'],
+    mustBeVisible: false,
+    mustBeUnique: false
+  },
+  pause: {
+    selectors: [
+      '[data-testid="pause-button"]',
+      '[aria-label*="pause" i]',
+      '[title*="pause" i]',
+      '.pause-button',
+      '#pause-button',
+      'button[class*="pause" i]',
+      'button[id*="pause" i]'
+    ],
+    textTerms: ['pause'],
+    mustBeVisible: false,
+    mustBeUnique: false
+  },
+  resume: {
+    selectors: [
+      '[data-testid="resume-button"]',
+      '[aria-label*="resume" i]',
+      '[title*="resume" i]',
+      '.resume-button',
+      '#resume-button',
+      'button[class*="resume" i]',
+      'button[id*="resume" i]'
+    ],
+    textTerms: ['resume', 'continue'],
+    mustBeVisible: false,
+    mustBeUnique: false
+  },
+  stop: {
+    selectors: [
+      '[data-testid="stop-button"]',
+      '[aria-label*="stop" i]',
+      '[title*="stop" i]',
+      '.stop-button',
+      '#stop-button',
+      'button[class*="stop" i]',
+      'button[id*="stop" i]'
+    ],
+    textTerms: ['stop', 'end', 'finish'],
+    mustBeVisible: false,
+    mustBeUnique: false
+  },
+  // Throws the current recording away instead of saving it. Only buttons
+  // that clearly say so are used, and none is clicked when several match.
+  discard: {
+    selectors: [
+      '[data-testid="discard-button"]',
+      '[aria-label*="discard" i]',
+      '[aria-label*="delete recording" i]',
+      '[title*="discard" i]',
+      '.discard-button',
+      '#discard-button',
+      'button[class*="discard" i]',
+      'button[id*="discard" i]'
+    ],
+    textTerms: ['discard'],
+    mustBeVisible: true,
+    mustBeUnique: true
+  }
+};
+
+// Discard text terms written to profiles by earlier versions; "delete" and
+// "cancel" also match buttons that do something else
+const LEGACY_DISCARD_TEXT_TERMS = ['discard', 'delete', 'cancel'];
+
+// Merge a user profile over the defaults, collecting any problems found
+function normalizeSelectorProfile(rawProfile) {
+  const profile = {};
+  const errors = [];
+
+  if (!rawProfile || typeof rawProfile !== 'object' || Array.isArray(rawProfile)) {
+    errors.push('Profile must be a JSON object');
+    rawProfile = {};
+  }
+
+  for (const action of SELECTOR_PROFILE_ACTIONS) {
+    const defaults = DEFAULT_SELECTOR_PROFILE[action];
+    const entry = rawProfile[action];
+
+    if (entry === undefined) {
+      profile[action] = { ...defaults };
+      continue;
+    }
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`"${action}" must be an object`);
+      profile[action] = { ...defaults };
+      continue;
+    }
+
+    const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    let selectors = defaults.selectors;
+    if (entry.selectors !== undefined) {
+      if (isStringList(entry.selectors)) {
+        selectors = entry.selectors;
+      } else {
+        errors.push(`"${action}.selectors" must be a list of strings`);
+      }
+    }
+
+    let textTerms = defaults.textTerms;
+    if (action === 'discard' && JSON.stringify(entry.textTerms) === JSON.stringify(LEGACY_DISCARD_TEXT_TERMS)) {
+      // Left at the old defaults, so take the new ones
+    } else if (entry.textTerms !== undefined) {
+      if (isStringList(entry.textTerms)) {
+        textTerms = entry.textTerms.map(term => term.toLowerCase());
+      } else {
+        errors.push(`"${action}.textTerms" must be a list of strings`);
+      }
+    }
+
+    let mustBeVisible = defaults.mustBeVisible;
+    if (entry.mustBeVisible !== undefined) {
+      if (typeof entry.mustBeVisible === 'boolean') {
+        mustBeVisible = entry.mustBeVisible;
+      } else {
+        errors.push(`"${action}.mustBeVisible" must be true or false`);
+      }
+    }
+
+    let mustBeUnique = defaults.mustBeUnique;
+    if (entry.mustBeUnique !== undefined) {
+      if (typeof entry.mustBeUnique === 'boolean') {
+        mustBeUnique = entry.mustBeUnique;
+      } else {
+        errors.push(`"${action}.mustBeUnique" must be true or false`);
+      }
+    }
+
+    profile[action] = { selectors, textTerms, mustBeVisible, mustBeUnique };
+  }
+
+  return { profile, errors };
+}
+
+// Write the default profile if the user does not have one yet
+function ensureSelectorProfileFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, JSON.stringify(DEFAULT_SELECTOR_PROFILE, null, 2) + '\n');
+    console.log('Voice Notes Wrapper: Created default selector profile at', filePath);
+  }
+}
+
+// Load the profile from disk; a broken file falls back to the defaults
+function loadSelectorProfile(filePath) {
+  try {
+    const rawProfile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return normalizeSelectorProfile(rawProfile);
+  } catch (error) {
+    return {
+      profile: normalizeSelectorProfile(DEFAULT_SELECTOR_PROFILE).profile,
+      errors: [`Could not read ${filePath}: ${error.message}`]
+    };
+  }
+}
+
+// Call onChange whenever the profile file is modified; returns a stop function
+function watchSelectorProfile(filePath, onChange) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      onChange(loadSelectorProfile(filePath));
+    }
+  };
+  fs.watchFile(filePath, { interval: 1000 }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+// Find the button for an action in the current document. Returns
+// { button, matchedBy }, or null when nothing matches. With mustBeUnique,
+// every selector and text term is checked, and when they match more than one
+// button { button: null, candidates } is returned so nothing gets clicked.
+// This function is also serialised into the page by main.js, so it must stay
+// self-contained and only rely on its arguments and the DOM.
+function findButtonForAction(action, actionProfile) {
+  if (!actionProfile) return null;
+
+  const isUsable = (element) => {
+    if (!element || element.disabled) return false;
+    if (!actionProfile.mustBeVisible) return true;
+
+    const style = window.getComputedStyle(element);
+    return element.getClientRects().length > 0 &&
+      style.visibility !== 'hidden' &&
+      style.display !== 'none';
+  };
+
+  const matches = [];
+  const addMatch = (button, matchedBy) => {
+    if (!matches.some(match => match.button === button)) {
+      matches.push({ button, matchedBy });
+    }
+  };
+  const result = () => {
+    if (matches.length > 1 && actionProfile.mustBeUnique) {
+      return { button: null, candidates: matches.map(match => match.button) };
+    }
+    return matches[0] || null;
+  };
+
+  // Try specific selectors first, in profile order
+  for (const selector of actionProfile.selectors || []) {
+    let candidates = [];
+    try {
+      candidates = document.querySelectorAll(selector);
+    } catch (error) {
+      console.log(`Voice Notes Wrapper: Invalid ${action} selector in profile:`, selector);
+      continue;
+    }
+
+    for (const candidate of candidates) {
+      if (isUsable(candidate)) {
+        addMatch(candidate, `selector ${selector}`);
+        if (!actionProfile.mustBeUnique) return result();
+      }
+    }
+  }
+
+  // Fallback: search through all buttons for text content
+  for (const candidate of document.querySelectorAll('button')) {
+    if (!isUsable(candidate)) continue;
+
+    const text = (candidate.textContent || '').toLowerCase();
+    const ariaLabel = (candidate.getAttribute('aria-label') || '').toLowerCase();
+    const title = (candidate.getAttribute('title') || '').toLowerCase();
+
+    for (const term of actionProfile.textTerms || []) {
+      if (text.includes(term) || ariaLabel.includes(term) || title.includes(term)) {
+        addMatch(candidate, `text "${term}"`);
+        if (!actionProfile.mustBeUnique) return result();
+        break;
+      }
+    }
+  }
+
+  return result();
+}
+
+module.exports = {
+  SELECTOR_PROFILE_ACTIONS,
+  DEFAULT_SELECTOR_PROFILE,
+  normalizeSelectorProfile,
+  ensureSelectorProfileFile,
+  loadSelectorProfile,
+  watchSelectorProfile,
+  findButtonForAction
+};
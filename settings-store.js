@@ -0,0 +1,416 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { PROCESSING_PRESET_NAMES } = require('./audio-processing');
+
+// Schema for settings.json. Every leaf has a type, a default and a label (the
+// label is what the Preferences window shows). Supported types: boolean,
+// number (min/max), string, enum (values) and accelerator (an Electron
+// accelerator string; empty disables the shortcut).
+const SETTINGS_SCHEMA = {
+  primaryShortcuts: {
+    label: 'Primary shortcuts',
+    properties: {
+      enabled: { type: 'boolean', default: true, label: 'Use the primary shortcuts' },
+      record: { type: 'accelerator', default: 'F10', label: 'Start recording' },
+      pause: { type: 'accelerator', default: 'F11', label: 'Pause recording' },
+      stop: { type: 'accelerator', default: 'F12', label: 'Stop recording' },
+      toggle: { type: 'accelerator', default: '', label: 'Start / stop recording' },
+      pauseResume: { type: 'accelerator', default: '', label: 'Pause / resume recording' },
+      stopDiscard: { type: 'accelerator', default: '', label: 'Stop and discard recording' }
+    }
+  },
+  shortcuts: {
+    label: 'Shortcuts',
+    properties: {
+      record: { type: 'accelerator', default: 'CommandOrControl+Alt+R', label: 'Start recording' },
+      pause: { type: 'accelerator', default: 'CommandOrControl+Alt+P', label: 'Pause recording' },
+      stop: { type: 'accelerator', default: 'CommandOrControl+Alt+S', label: 'Stop recording' },
+      toggle: { type: 'accelerator', default: '', label: 'Start / stop recording' },
+      pauseResume: { type: 'accelerator', default: '', label: 'Pause / resume recording' },
+      stopDiscard: { type: 'accelerator', default: '', label: 'Stop and discard recording' },
+      refresh: { type: 'accelerator', default: 'CommandOrControl+Alt+F5', label: 'Refresh Voice Notes' },
+      vox: { type: 'accelerator', default: 'CommandOrControl+Alt+V', label: 'Toggle voice activation' },
+      gainUp: { type: 'accelerator', default: '', label: 'Raise input gain' },
+      gainDown: { type: 'accelerator', default: '', label: 'Lower input gain' },
+      pushToTalk: { type: 'accelerator', default: '', label: 'Push to talk (desktop portal only)' }
+    }
+  },
+  safetyRecording: {
+    label: 'Safety-net recording',
+    properties: {
+      enabled: { type: 'boolean', default: true, label: 'Save a local copy of every recording' },
+      format: { type: 'enum', values: ['webm', 'wav'], default: 'webm', label: 'Format' },
+      folder: { type: 'string', default: 'Recordings', label: 'Folder (relative to the app data folder)' },
+      keepDays: { type: 'number', min: 0, max: 3650, default: 30, label: 'Keep for days (0 = forever)' },
+      maxSizeGB: { type: 'number', min: 0, max: 10000, default: 2, label: 'Maximum total size in GB (0 = unlimited)' }
+    }
+  },
+  silenceDetection: {
+    label: 'Silence detection',
+    properties: {
+      enabled: { type: 'boolean', default: false, label: 'Act on silence while recording' },
+      thresholdDb: { type: 'number', min: -90, max: 0, default: -50, label: 'Silence threshold (dBFS)' },
+      pauseAfterSeconds: { type: 'number', min: 0, max: 3600, default: 10, label: 'Auto-pause after seconds of silence (0 = off)' },
+      autoResume: { type: 'boolean', default: true, label: 'Resume when speech returns' },
+      stopAfterMinutes: { type: 'number', min: 0, max: 600, default: 5, label: 'Auto-stop after minutes of silence (0 = off)' }
+    }
+  },
+  vox: {
+    label: 'Voice activation',
+    properties: {
+      thresholdDb: { type: 'number', min: -90, max: 0, default: -35, label: 'Speech threshold (dBFS)' },
+      minDurationMs: { type: 'number', min: 0, max: 5000, default: 250, label: 'Minimum speech duration (ms)' },
+      rearm: { type: 'boolean', default: false, label: 'Stay armed after each recording' }
+    }
+  },
+  inputWarnings: {
+    label: 'Input warnings',
+    properties: {
+      enabled: { type: 'boolean', default: true, label: 'Warn about bad input while recording' },
+      clipThresholdDb: { type: 'number', min: -20, max: 0, default: -1, label: 'Clipping threshold (dBFS)' },
+      quietThresholdDb: { type: 'number', min: -90, max: 0, default: -45, label: 'Too-quiet threshold (dBFS)' },
+      quietSeconds: { type: 'number', min: 1, max: 600, default: 10, label: 'Too-quiet after seconds' }
+    }
+  },
+  audio: {
+    label: 'Audio',
+    properties: {
+      backend: {
+        type: 'enum',
+        values: ['auto', 'pipewire', 'pulseaudio', 'alsa'],
+        default: 'auto',
+        label: 'Audio system backend (auto picks the best available)'
+      },
+      alsaDevice: { type: 'string', default: '', label: 'ALSA device, e.g. hw:1 (empty for the first capture card)' },
+      preferredSource: { type: 'string', default: '', label: 'Microphone to use whenever it is connected (empty for the system default)' },
+      maxGainPercent: { type: 'number', min: 10, max: 150, default: 100, label: 'Highest input gain the app will set (%)' },
+      gainStepPercent: { type: 'number', min: 1, max: 25, default: 5, label: 'Gain step for the tray and shortcuts (%)' }
+    }
+  },
+  capture: {
+    label: 'Microphone processing (browser)',
+    properties: {
+      noiseSuppression: { type: 'enum', values: ['page', 'on', 'off'], default: 'page', label: 'Noise suppression (page leaves the choice to Voicenotes)' },
+      autoGainControl: { type: 'enum', values: ['page', 'on', 'off'], default: 'page', label: 'Automatic gain control' },
+      echoCancellation: { type: 'enum', values: ['page', 'on', 'off'], default: 'page', label: 'Echo cancellation' },
+      channelCount: { type: 'number', min: 0, max: 2, default: 0, label: 'Channels (0 = the page\'s choice)' },
+      sampleRate: { type: 'number', min: 0, max: 192000, default: 0, label: 'Sample rate in Hz (0 = the page\'s choice)' }
+    }
+  },
+  processing: {
+    label: 'Audio processing',
+    properties: {
+      preset: {
+        type: 'enum',
+        values: PROCESSING_PRESET_NAMES,
+        default: 'off',
+        label: 'Local processing before Voicenotes (podcast: podcast mic, noisyLaptop: laptop in a noisy room)'
+      }
+    }
+  },
+  hooks: {
+    label: 'Hook commands (run with sh -c; details in VNW_* variables)',
+    properties: {
+      recordingStarted: { type: 'string', default: '', label: 'When recording starts' },
+      recordingPaused: { type: 'string', default: '', label: 'When recording pauses' },
+      recordingResumed: { type: 'string', default: '', label: 'When recording resumes' },
+      recordingStopped: { type: 'string', default: '', label: 'When recording stops' },
+      recordingFailed: { type: 'string', default: '', label: 'When recording fails or is interrupted' },
+      timeoutSeconds: { type: 'number', min: 1, max: 3600, default: 30, label: 'Stop a hook after seconds' }
+    }
+  },
+  ui: {
+    label: 'Interface',
+    properties: {
+      showBanner: { type: 'boolean', default: true, label: 'Show the microphone banner' },
+      showRefreshButton: { type: 'boolean', default: true, label: 'Show the refresh button' },
+      notifications: { type: 'boolean', default: true, label: 'Show tray notifications' }
+    }
+  },
+  behaviour: {
+    label: 'Behaviour',
+    properties: {
+      closeToTray: { type: 'boolean', default: true, label: 'Closing the window keeps the app in the tray' },
+      startHidden: { type: 'boolean', default: false, label: 'Start hidden in the tray' },
+      shortcutBackend: {
+        type: 'enum',
+        values: ['auto', 'portal', 'globalShortcut'],
+        default: 'auto',
+        label: 'Global shortcut backend (auto uses the desktop portal on Wayland)'
+      },
+      mpris: { type: 'boolean', default: true, label: 'Media keys and desktop media controls (MPRIS) control recording' },
+      controlSocket: { type: 'boolean', default: true, label: 'Accept commands on the local control socket' }
+    }
+  }
+};
+
+// Build the default settings object from a schema
+function getDefaultSettings(schema = SETTINGS_SCHEMA) {
+  const defaults = {};
+  for (const [sectionName, section] of Object.entries(schema)) {
+    defaults[sectionName] = {};
+    for (const [key, field] of Object.entries(section.properties)) {
+      defaults[sectionName][key] = field.default;
+    }
+  }
+  return defaults;
+}
+
+// Check one value against its field schema; returns an error message or null
+function validateField(field, value) {
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+      return null;
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'enum':
+      return field.values.includes(value) ? null : `must be one of: ${field.values.join(', ')}`;
+    case 'accelerator':
+      if (typeof value !== 'string') return 'must be a key combination string';
+      if (value !== '' && !/^[^+\s]+(\+[^+\s]+)*$/.test(value)) return 'is not a valid key combination';
+      return null;
+    default:
+      return `has unknown type ${field.type}`;
+  }
+}
+
+// Validate raw settings against the schema. Invalid or missing values fall
+// back to their defaults; every problem is reported with its path.
+function validateSettings(rawSettings, schema = SETTINGS_SCHEMA) {
+  const settings = getDefaultSettings(schema);
+  const errors = [];
+
+  if (!rawSettings || typeof rawSettings !== 'object' || Array.isArray(rawSettings)) {
+    return { settings, errors: ['Settings must be a JSON object'] };
+  }
+
+  for (const [sectionName, rawSection] of Object.entries(rawSettings)) {
+    const section = schema[sectionName];
+    if (!section) {
+      errors.push(`${sectionName}: unknown section`);
+      continue;
+    }
+    if (!rawSection || typeof rawSection !== 'object' || Array.isArray(rawSection)) {
+      errors.push(`${sectionName}: must be an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(rawSection)) {
+      const field = section.properties[key];
+      if (!field) {
+        errors.push(`${sectionName}.${key}: unknown setting`);
+        continue;
+      }
+
+      const error = validateField(field, value);
+      if (error) {
+        errors.push(`${sectionName}.${key} ${error} (got ${JSON.stringify(value)}), using ${JSON.stringify(field.default)}`);
+      } else {
+        settings[sectionName][key] = value;
+      }
+    }
+  }
+
+  return { settings, errors };
+}
+
+// Convert the legacy recording-shortcuts.json layout to settings sections
+function migrateLegacyConfig(legacy) {
+  const migrated = {};
+  const pick = (source, mapping) => {
+    const result = {};
+    for (const [from, to] of Object.entries(mapping)) {
+      if (source[from] !== undefined) result[to] = source[from];
+    }
+    return result;
+  };
+
+  const shortcutMapping = {
+    record: 'record', pause: 'pause', stop: 'stop', toggle: 'toggle', pause_resume: 'pauseResume', stop_discard: 'stopDiscard'
+  };
+  if (legacy.primary_shortcuts) {
+    migrated.primaryShortcuts = pick(legacy.primary_shortcuts, { enabled: 'enabled', ...shortcutMapping });
+  }
+  if (legacy.shortcuts) {
+    migrated.shortcuts = pick(legacy.shortcuts, { ...shortcutMapping, vox: 'vox' });
+  }
+  if (legacy.safety_recording) {
+    migrated.safetyRecording = pick(legacy.safety_recording, {
+      enabled: 'enabled', format: 'format', folder: 'folder', keep_days: 'keepDays', max_size_gb: 'maxSizeGB'
+    });
+  }
+  if (legacy.silence_detection) {
+    migrated.silenceDetection = pick(legacy.silence_detection, {
+      enabled: 'enabled',
+      threshold_db: 'thresholdDb',
+      pause_after_seconds: 'pauseAfterSeconds',
+      auto_resume: 'autoResume',
+      stop_after_minutes: 'stopAfterMinutes'
+    });
+  }
+  if (legacy.vox) {
+    migrated.vox = pick(legacy.vox, { threshold_db: 'thresholdDb', min_duration_ms: 'minDurationMs', rearm: 'rearm' });
+  }
+  if (legacy.input_warnings) {
+    migrated.inputWarnings = pick(legacy.input_warnings, {
+      enabled: 'enabled',
+      clip_threshold_db: 'clipThresholdDb',
+      quiet_threshold_db: 'quietThresholdDb',
+      quiet_seconds: 'quietSeconds'
+    });
+  }
+
+  return migrated;
+}
+
+// Persistent, validated settings in the user data directory. Emits 'change'
+// with the list of changed section names and 'change:<section>' with the new
+// section values whenever settings change, from this process or on disk.
+class SettingsStore extends EventEmitter {
+  constructor(filePath, { schema = SETTINGS_SCHEMA, legacyPaths = [] } = {}) {
+    super();
+    this.filePath = filePath;
+    this.schema = schema;
+    this.legacyPaths = legacyPaths;
+    this.settings = getDefaultSettings(schema);
+    this.errors = [];
+    this.lastWritten = null;
+  }
+
+  // Load settings from disk, migrating the legacy file on first run.
+  // Returns the list of problems found (invalid values use their defaults).
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.createFromLegacy();
+    }
+
+    let rawSettings;
+    try {
+      rawSettings = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      // Keep the broken file untouched so the user can fix it
+      this.errors = [`${this.filePath} could not be read: ${error.message}. Using defaults.`];
+      this.apply(getDefaultSettings(this.schema));
+      return this.errors;
+    }
+
+    const { settings, errors } = validateSettings(rawSettings, this.schema);
+    this.errors = errors;
+    this.apply(settings);
+    return this.errors;
+  }
+
+  // First run: start from the old recording-shortcuts.json if there is one
+  createFromLegacy() {
+    let migrated = {};
+    for (const legacyPath of this.legacyPaths) {
+      if (!fs.existsSync(legacyPath)) continue;
+      try {
+        migrated = migrateLegacyConfig(JSON.parse(fs.readFileSync(legacyPath, 'utf8')));
+        console.log('Voice Notes Wrapper: Migrated settings from', legacyPath);
+        break;
+      } catch (error) {
+        console.log(`Voice Notes Wrapper: Could not migrate ${legacyPath}:`, error.message);
+      }
+    }
+
+    const { settings, errors } = validateSettings(migrated, this.schema);
+    if (errors.length > 0) {
+      console.log('Voice Notes Wrapper: Ignored invalid legacy settings:', errors.join('; '));
+    }
+    this.write(settings);
+  }
+
+  // Reload when the file is edited by hand; returns a stop function
+  watch(onErrors) {
+    const listener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      let content = null;
+      try {
+        content = fs.readFileSync(this.filePath, 'utf8');
+      } catch (error) {
+        return;
+      }
+      if (content === this.lastWritten) return;
+
+      console.log('Voice Notes Wrapper: Settings file changed, reloading');
+      const errors = this.load();
+      if (errors.length > 0 && onErrors) onErrors(errors);
+    };
+    fs.watchFile(this.filePath, { interval: 1000 }, listener);
+    return () => fs.unwatchFile(this.filePath, listener);
+  }
+
+  // Current settings (a copy), or one section when a name is given
+  get(sectionName) {
+    const value = sectionName ? this.settings[sectionName] : this.settings;
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  getSchema() {
+    return this.schema;
+  }
+
+  getErrors() {
+    return this.errors.slice();
+  }
+
+  // Merge partial settings ({ section: { key: value } }), validate and save.
+  // Nothing is changed if any value is invalid.
+  update(partialSettings) {
+    const merged = this.get();
+    for (const [sectionName, values] of Object.entries(partialSettings || {})) {
+      merged[sectionName] = { ...(merged[sectionName] || {}), ...values };
+    }
+
+    const { settings, errors } = validateSettings(merged, this.schema);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    this.write(settings);
+    this.errors = [];
+    this.apply(settings);
+    return { success: true, errors: [] };
+  }
+
+  // Write through a temporary file, so a crash mid-write cannot leave a
+  // truncated settings file behind
+  write(settings) {
+    const content = JSON.stringify(settings, null, 2) + '\n';
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+    this.lastWritten = content;
+  }
+
+  // Swap in new settings and announce the sections that changed
+  apply(settings) {
+    const previous = this.settings;
+    this.settings = settings;
+
+    const changed = Object.keys(settings).filter(sectionName => {
+      return JSON.stringify(settings[sectionName]) !== JSON.stringify(previous[sectionName]);
+    });
+    if (changed.length === 0) return;
+
+    for (const sectionName of changed) {
+      this.emit(`change:${sectionName}`, this.get(sectionName));
+    }
+    this.emit('change', changed);
+  }
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  getDefaultSettings,
+  validateSettings,
+  migrateLegacyConfig,
+  SettingsStore
+};
@@ -0,0 +1,124 @@
+const { EventEmitter } = require('events');
+
+// Modifier combinations tried, in order, when a shortcut cannot be registered
+const ALTERNATIVE_MODIFIERS = ['CommandOrControl+Alt', 'CommandOrControl+Shift', 'Alt+Shift', 'Super+Alt'];
+
+// Comparable form of an accelerator (modifier aliases and order ignored)
+function normalizeAccelerator(accelerator) {
+  const aliases = { commandorcontrol: 'ctrl', cmdorctrl: 'ctrl', control: 'ctrl', command: 'ctrl', cmd: 'ctrl', option: 'alt', meta: 'super' };
+  const parts = accelerator.toLowerCase().split('+').map(part => aliases[part] || part);
+  const key = parts.pop();
+  return [...parts.sort(), key].join('+');
+}
+
+// Registers global shortcuts and keeps track of the ones that failed.
+// Bindings are { action, accelerator, label, handler }, in priority order:
+// when two bindings share an accelerator the first keeps it, and the second
+// is reported as a conflict unless it triggers the same action. Emits
+// 'problems' (array) whenever the set of failed bindings changes.
+class ShortcutManager extends EventEmitter {
+  constructor(globalShortcut) {
+    super();
+    this.globalShortcut = globalShortcut;
+    this.registered = new Map(); // normalized accelerator -> binding
+    this.problems = [];
+  }
+
+  // Replace all registered shortcuts with the given bindings
+  apply(bindings) {
+    this.unregisterAll();
+    const problems = [];
+
+    for (const binding of bindings) {
+      if (!binding.accelerator) continue;
+
+      const key = normalizeAccelerator(binding.accelerator);
+      const owner = this.registered.get(key);
+      if (owner) {
+        if (owner.action !== binding.action) {
+          problems.push({ ...binding, reason: `already used for ${owner.label}` });
+        }
+        continue;
+      }
+
+      const error = this.register(binding);
+      if (error) {
+        problems.push({ ...binding, reason: error });
+      } else {
+        this.registered.set(key, binding);
+        console.log(`- ${binding.accelerator}: ${binding.label}`);
+      }
+    }
+
+    // Alternatives are probed once everything else is registered, so they
+    // never collide with our own bindings
+    for (const problem of problems) {
+      problem.alternatives = this.findAlternatives(problem.accelerator);
+      console.log(`Voice Notes Wrapper: Shortcut ${problem.accelerator} (${problem.label}) not registered - ${problem.reason}`);
+    }
+
+    const changed = JSON.stringify(this.describe(problems)) !== JSON.stringify(this.describe(this.problems));
+    this.problems = problems;
+    if (changed) this.emit('problems', problems);
+    return problems;
+  }
+
+  // Returns an error message, or null once the shortcut is registered
+  register(binding) {
+    try {
+      const success = this.globalShortcut.register(binding.accelerator, () => {
+        console.log(`Voice Notes Wrapper: ${binding.accelerator} pressed - ${binding.label}`);
+        binding.handler();
+      });
+      return success ? null : 'taken by another application';
+    } catch (error) {
+      return `invalid shortcut (${error.message})`;
+    }
+  }
+
+  unregisterAll() {
+    for (const binding of this.registered.values()) {
+      this.globalShortcut.unregister(binding.accelerator);
+    }
+    this.registered.clear();
+  }
+
+  isRegistered(accelerator) {
+    return Boolean(accelerator) && this.registered.has(normalizeAccelerator(accelerator));
+  }
+
+  getProblems() {
+    return this.problems;
+  }
+
+  // Free combinations with the same key, checked by registering each briefly
+  findAlternatives(accelerator, limit = 3) {
+    const key = accelerator.split('+').pop();
+    const alternatives = [];
+
+    for (const modifiers of ALTERNATIVE_MODIFIERS) {
+      const candidate = `${modifiers}+${key}`;
+      if (normalizeAccelerator(candidate) === normalizeAccelerator(accelerator)) continue;
+      if (this.isRegistered(candidate)) continue;
+
+      try {
+        if (this.globalShortcut.register(candidate, () => {})) {
+          this.globalShortcut.unregister(candidate);
+          alternatives.push(candidate);
+        }
+      } catch (error) {
+        // Key names that cannot be combined are simply not offered
+      }
+      if (alternatives.length >= limit) break;
+    }
+
+    return alternatives;
+  }
+
+  describe(problems) {
+    return problems.map(problem => `${problem.action}:${problem.accelerator}:${problem.reason}`);
+  }
+}
+
+module.exports = ShortcutManager;
+module.exports.normalizeAccelerator = normalizeAccelerator;
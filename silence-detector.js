@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+
+// Watches the input signal level during a recording and decides when the user
+// has gone quiet. It only emits events ('auto-pause', 'auto-resume',
+// 'auto-stop'); main.js drives the actual recording controls.
+class SilenceDetector extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.configure(options);
+    this.reset();
+  }
+
+  configure({
+    enabled = false,
+    thresholdDb = -50,
+    pauseAfterSeconds = 10,
+    autoResume = true,
+    resumeAfterMs = 300,
+    stopAfterMinutes = 5
+  } = {}) {
+    this.enabled = enabled;
+    this.thresholdDb = thresholdDb;
+    this.pauseAfterSeconds = pauseAfterSeconds;
+    this.autoResume = autoResume;
+    this.resumeAfterMs = resumeAfterMs;
+    this.stopAfterMinutes = stopAfterMinutes;
+  }
+
+  reset() {
+    this.silentSince = null;
+    this.speechSince = null;
+    this.autoPaused = false;
+    this.pendingAction = null;
+    this.pendingSince = 0;
+    this.lastState = 'stopped';
+  }
+
+  // Feed one level reading ({ rms } in dBFS) with the current recording state
+  update(level, recordingState, now = Date.now()) {
+    if (!this.enabled || recordingState === 'stopped' || !level) {
+      this.reset();
+      this.lastState = recordingState;
+      return;
+    }
+
+    // A state change settles whatever we last asked for
+    if (recordingState !== this.lastState) {
+      if (recordingState === 'paused') {
+        // Only a pause we requested counts as an auto-pause
+        this.autoPaused = this.pendingAction === 'pause';
+      } else {
+        this.autoPaused = false;
+      }
+      this.pendingAction = null;
+      this.speechSince = null;
+      this.lastState = recordingState;
+    }
+
+    // Give a requested action a few seconds to show up as a state change
+    if (this.pendingAction) {
+      if (now - this.pendingSince < 5000) return;
+      this.pendingAction = null;
+    }
+
+    const isSilent = level.rms < this.thresholdDb;
+    if (isSilent) {
+      if (this.silentSince === null) this.silentSince = now;
+      this.speechSince = null;
+    } else {
+      this.speechSince = this.speechSince === null ? now : this.speechSince;
+      if (recordingState === 'recording') this.silentSince = null;
+    }
+
+    const silentMs = this.silentSince === null ? 0 : now - this.silentSince;
+
+    if (recordingState === 'recording') {
+      if (!isSilent) return;
+
+      if (this.pauseAfterSeconds > 0 && silentMs >= this.pauseAfterSeconds * 1000) {
+        this.requestAction('pause', now);
+        this.emit('auto-pause', { silentSeconds: Math.round(silentMs / 1000) });
+      } else if (this.stopAfterMinutes > 0 && silentMs >= this.stopAfterMinutes * 60 * 1000) {
+        this.requestAction('stop', now);
+        this.emit('auto-stop', { silentMinutes: Math.round(silentMs / 60000) });
+      }
+      return;
+    }
+
+    // Paused: only act on pauses we caused, never on a manual pause
+    if (!this.autoPaused) return;
+
+    if (!isSilent && now - this.speechSince >= this.resumeAfterMs) {
+      // Sustained speech restarts the silence clock
+      this.silentSince = null;
+      if (this.autoResume) {
+        this.requestAction('resume', now);
+        this.emit('auto-resume');
+      }
+    } else if (isSilent && this.stopAfterMinutes > 0 && silentMs >= this.stopAfterMinutes * 60 * 1000) {
+      this.requestAction('stop', now);
+      this.emit('auto-stop', { silentMinutes: Math.round(silentMs / 60000) });
+    }
+  }
+
+  requestAction(action, now) {
+    this.pendingAction = action;
+    this.pendingSince = now;
+  }
+}
+
+module.exports = SilenceDetector;
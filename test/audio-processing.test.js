@@ -0,0 +1,206 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROCESSING_PRESETS,
+  PROCESSING_PRESET_NAMES,
+  registerNoiseGateProcessor,
+  createProcessingChain
+} = require('../audio-processing');
+
+const SAMPLE_RATE = 48000;
+const BLOCK = 128;
+
+const globals = ['AudioWorkletProcessor', 'registerProcessor', 'sampleRate', 'AudioContext', 'AudioWorkletNode', 'Blob'];
+afterEach(() => {
+  for (const name of globals) delete global[name];
+});
+
+// Load the gate module the way the worklet scope would and return a processor
+const createGate = () => {
+  let Processor = null;
+  global.sampleRate = SAMPLE_RATE;
+  global.AudioWorkletProcessor = class {
+    constructor() {
+      this.port = {};
+    }
+  };
+  global.registerProcessor = (name, processorClass) => {
+    assert.equal(name, 'voice-notes-noise-gate');
+    Processor = processorClass;
+  };
+  registerNoiseGateProcessor();
+  return new Processor();
+};
+
+// Run blocks of a constant-level stereo signal through the gate and return
+// the gain applied to the last sample
+const run = (gate, level, seconds) => {
+  let output = null;
+  for (let block = 0; block < Math.ceil(seconds * SAMPLE_RATE / BLOCK); block++) {
+    const input = [new Float32Array(BLOCK).fill(level), new Float32Array(BLOCK).fill(level / 2)];
+    output = [new Float32Array(BLOCK), new Float32Array(BLOCK)];
+    assert.equal(gate.process([input], [output]), true);
+  }
+  return output[0][BLOCK - 1] / level;
+};
+
+const toDb = gain => 20 * Math.log10(gain);
+
+test('every preset except off has all stages', () => {
+  assert.deepEqual(PROCESSING_PRESET_NAMES, ['off', 'podcast', 'noisyLaptop']);
+  for (const name of PROCESSING_PRESET_NAMES.filter(preset => preset !== 'off')) {
+    const preset = PROCESSING_PRESETS[name];
+    for (const stage of ['highpassHz', 'gate', 'compressor', 'makeupGainDb', 'limiterDb']) {
+      assert.notEqual(preset[stage], undefined, `${name}.${stage}`);
+    }
+  }
+});
+
+test('the noise gate passes everything until it is given settings', () => {
+  const gate = createGate();
+  // Outputs are Float32, so compare with a tolerance
+  assert.ok(Math.abs(run(gate, 0.001, 0.5) - 1) < 1e-6);
+});
+
+test('the noise gate stays open above the threshold', () => {
+  const gate = createGate();
+  gate.port.onmessage({ data: PROCESSING_PRESETS.podcast.gate });
+  // -20 dBFS against a -55 dB threshold
+  assert.ok(Math.abs(run(gate, 0.1, 1) - 1) < 1e-6);
+});
+
+test('the noise gate closes by rangeDb after the hold time and reopens quickly', () => {
+  const gate = createGate();
+  gate.port.onmessage({ data: { thresholdDb: -40, rangeDb: -20, holdMs: 250 } });
+  run(gate, 0.1, 0.2);
+
+  // -70 dBFS: still open within the hold time, closed well after it
+  assert.ok(run(gate, 0.0003, 0.2) > 0.99);
+  assert.ok(Math.abs(toDb(run(gate, 0.0003, 1)) + 20) < 0.1);
+
+  // Speech opens the gate within a few milliseconds
+  assert.ok(run(gate, 0.1, 0.02) > 0.99);
+});
+
+test('the noise gate opens fully when turned off', () => {
+  const gate = createGate();
+  gate.port.onmessage({ data: { thresholdDb: -40, rangeDb: -30, holdMs: 100 } });
+  run(gate, 0.0003, 1);
+
+  gate.port.onmessage({ data: null });
+  assert.ok(run(gate, 0.0003, 0.05) > 0.99);
+});
+
+// Just enough of Web Audio to follow how the chain is wired
+const createFakeAudio = ({ workletFails = false } = {}) => {
+  const audio = { contexts: [], nodes: [], workletNodes: [] };
+  audio.find = kind => audio.nodes.find(created => created.kind === kind);
+
+  const node = (kind, params = []) => {
+    const created = { kind, connections: [] };
+    audio.nodes.push(created);
+    created.connect = (target) => created.connections.push(target);
+    created.disconnect = (target) => {
+      created.connections = created.connections.filter(connection => connection !== target);
+    };
+    for (const param of params) {
+      created[param] = { setValueAtTime: (value) => { created[param].value = value; } };
+    }
+    return created;
+  };
+
+  global.Blob = class {
+    constructor(parts) {
+      this.source = parts.join('');
+    }
+  };
+  global.AudioWorkletNode = class {
+    constructor(context, name, options) {
+      Object.assign(this, node('gate'));
+      this.name = name;
+      this.options = options;
+      this.messages = [];
+      this.port = { postMessage: message => this.messages.push(message) };
+      audio.workletNodes.push(this);
+    }
+  };
+  global.AudioContext = class {
+    constructor() {
+      this.currentTime = 0;
+      this.destination = node('speakers');
+      this.modules = [];
+      this.audioWorklet = {
+        addModule: (url) => {
+          this.modules.push(url);
+          return workletFails ? Promise.reject(new Error('blocked by the page')) : Promise.resolve();
+        }
+      };
+      audio.contexts.push(this);
+    }
+
+    createMediaStreamSource() { return node('source'); }
+    createBiquadFilter() { return node('highpass', ['frequency', 'gain']); }
+    createDynamicsCompressor() { return node('compressor', ['threshold', 'ratio', 'knee', 'attack', 'release']); }
+    createGain() { return node('gain', ['gain']); }
+    createMediaStreamDestination() {
+      const track = { stop: () => {} };
+      return { ...node('destination'), stream: { getAudioTracks: () => [track] } };
+    }
+
+    resume() {}
+    close() { this.closed = true; }
+  };
+
+  return audio;
+};
+
+const inputStream = () => {
+  const track = { getSettings: () => ({ channelCount: 2 }), addEventListener: () => {}, stop: () => {} };
+  return { getAudioTracks: () => [track], getTracks: () => [track] };
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('the chain inserts the worklet gate once its module has loaded', async (t) => {
+  t.mock.method(URL, 'createObjectURL', blob => `blob:${blob.source.length}`);
+  t.mock.method(URL, 'revokeObjectURL', () => {});
+  const audio = createFakeAudio();
+
+  const chain = createProcessingChain(inputStream(), PROCESSING_PRESETS.podcast, registerNoiseGateProcessor);
+  const [context] = audio.contexts;
+  const highpass = audio.find('highpass');
+  assert.equal(context.modules.length, 1);
+  assert.equal(audio.workletNodes.length, 0);
+  assert.deepEqual(highpass.connections.map(target => target.kind), ['compressor']);
+
+  await settle();
+
+  const [gate] = audio.workletNodes;
+  assert.equal(gate.name, 'voice-notes-noise-gate');
+  assert.deepEqual(gate.options.outputChannelCount, [2]);
+  assert.deepEqual(gate.messages, [PROCESSING_PRESETS.podcast.gate]);
+  assert.deepEqual(gate.connections.map(target => target.kind), ['compressor']);
+  assert.deepEqual(highpass.connections, [gate]);
+  assert.equal(URL.revokeObjectURL.mock.callCount(), 1);
+
+  chain.update(PROCESSING_PRESETS.off);
+  assert.deepEqual(gate.messages.at(-1), null);
+  chain.close();
+  assert.equal(context.closed, true);
+});
+
+test('the chain keeps working without the gate when the worklet cannot load', async (t) => {
+  t.mock.method(URL, 'createObjectURL', () => 'blob:gate');
+  t.mock.method(URL, 'revokeObjectURL', () => {});
+  t.mock.method(console, 'log', () => {});
+  const audio = createFakeAudio({ workletFails: true });
+
+  const chain = createProcessingChain(inputStream(), PROCESSING_PRESETS.noisyLaptop, registerNoiseGateProcessor);
+  await settle();
+
+  assert.equal(audio.workletNodes.length, 0);
+  assert.deepEqual(audio.find('highpass').connections.map(target => target.kind), ['compressor']);
+  assert.match(console.log.mock.calls[0].arguments[0], /Noise gate not available/);
+  chain.update(PROCESSING_PRESETS.podcast);
+  chain.close();
+});
@@ -0,0 +1,41 @@
+#!/bin/bash
+
+# Capture pactl output for the parser tests from the running sound server
+# (PulseAudio, or PipeWire through pipewire-pulse).
+#
+# The fixtures next to this script were written by hand, as the machine they
+# were made on had no sound server. Run this on a desktop session to replace
+# them with real output, then check that `npm test` still passes:
+#
+#   test/fixtures/pactl/capture.sh                  # overwrite these fixtures
+#   test/fixtures/pactl/capture.sh /tmp/pipewire    # or write them elsewhere
+#
+# The output contains device names and serials, and the info output contains
+# the user and host names; review it before committing.
+# list-sources-pipewire-odd.txt covers odd pipewire-pulse output and is left alone.
+
+set -e
+
+OUTPUT_DIR="${1:-$(dirname "$0")}"
+mkdir -p "$OUTPUT_DIR"
+
+if ! pactl info >/dev/null 2>&1; then
+    echo "❌ Error: pactl cannot reach a sound server."
+    exit 1
+fi
+
+# Parsing depends on the untranslated output
+export LC_ALL=C
+
+SOURCE="$(pactl get-default-source)"
+
+pactl info > "$OUTPUT_DIR/info.txt"
+pactl list sources > "$OUTPUT_DIR/list-sources.txt"
+pactl --format=json list sources > "$OUTPUT_DIR/list-sources.json"
+pactl list cards > "$OUTPUT_DIR/list-cards.txt"
+pactl --format=json list cards > "$OUTPUT_DIR/list-cards.json"
+pactl get-source-volume "$SOURCE" > "$OUTPUT_DIR/get-source-volume.txt"
+pactl get-source-mute "$SOURCE" > "$OUTPUT_DIR/get-source-mute.txt"
+
+echo "✅ Captured pactl output from $(pactl info | sed -n 's/^Server Name: //p') into $OUTPUT_DIR"
+echo "   The parser tests assert details of the current fixtures; update them to match the new capture."
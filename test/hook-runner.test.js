@@ -0,0 +1,54 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HookRunner = require('../hook-runner');
+
+let directory;
+let logPath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vnw-hooks-'));
+  logPath = path.join(directory, 'hooks.log');
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Wait for the command to finish and return its output lines from the log
+const waitForOutput = async () => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const log = fs.existsSync(logPath) ? fs.readFileSync(logPath, 'utf8') : '';
+    if (/exited with/.test(log)) {
+      return log.split('\n').filter(line => line.startsWith('  out: ')).map(line => line.slice(7));
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('hook did not finish');
+};
+
+const PRINT_VARIABLES = 'echo "event=$VNW_EVENT state=$VNW_STATE started=${VNW_TAKE_STARTED_AT-unset} elapsed=$VNW_ELAPSED_SECONDS"';
+
+test('details become VNW_ variables', async () => {
+  const runner = new HookRunner(logPath, { recordingStarted: PRINT_VARIABLES });
+  runner.run('recordingStarted', { state: 'recording', takeStartedAt: '2026-10-19T09:00:00.000Z', elapsedSeconds: 0 });
+
+  assert.deepEqual(await waitForOutput(), ['event=recordingStarted state=recording started=2026-10-19T09:00:00.000Z elapsed=0']);
+});
+
+test('unknown details are left out instead of being formatted', async () => {
+  const runner = new HookRunner(logPath, { recordingStopped: PRINT_VARIABLES });
+  runner.run('recordingStopped', { state: 'stopped', takeStartedAt: null, elapsedSeconds: 12 });
+
+  assert.deepEqual(await waitForOutput(), ['event=recordingStopped state=stopped started=unset elapsed=12']);
+});
+
+test('events without a command run nothing', () => {
+  const runner = new HookRunner(logPath, { recordingStarted: '   ' });
+  runner.run('recordingStarted', { state: 'recording' });
+  runner.run('recordingPaused', { state: 'paused' });
+
+  assert.equal(fs.existsSync(logPath), false);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const InputWarnings = require('../input-warnings');
+
+const CLIPPED = { peak: 0 };
+const GOOD = { peak: -12 };
+const QUIET = { peak: -60 };
+
+// Record warnings and clears, and feed one level reading every 100 ms
+const watch = (warnings) => {
+  const events = [];
+  let now = 0;
+  warnings.on('warning', ({ type }) => events.push(['warning', type, now]));
+  warnings.on('cleared', type => events.push(['cleared', type, now]));
+
+  const feed = (level, state, durationMs) => {
+    for (const end = now + durationMs; now < end; now += 100) {
+      warnings.update(level, state, now);
+    }
+  };
+  return { events, feed };
+};
+
+test('a single clipped peak is not a warning, three within three seconds are', () => {
+  const warnings = new InputWarnings();
+  const { events, feed } = watch(warnings);
+
+  feed(CLIPPED, 'recording', 100);
+  feed(GOOD, 'recording', 1900);
+  feed(CLIPPED, 'recording', 100);
+  feed(GOOD, 'recording', 1900);
+  feed(CLIPPED, 'recording', 100);
+  assert.deepEqual(events, []);
+
+  feed(CLIPPED, 'recording', 200);
+  assert.deepEqual(events, [['warning', 'clipping', 4100]]);
+  assert.deepEqual(warnings.getActiveWarnings().map(({ type }) => type), ['clipping']);
+});
+
+test('clipping clears only after three seconds without a clipped peak', () => {
+  const warnings = new InputWarnings();
+  const { events, feed } = watch(warnings);
+
+  feed(CLIPPED, 'recording', 300);
+  feed(GOOD, 'recording', 1000);
+  // Occasional peaks keep the warning up
+  feed(CLIPPED, 'recording', 100);
+  feed(GOOD, 'recording', 2800);
+  assert.deepEqual(events, [['warning', 'clipping', 200]]);
+
+  feed(GOOD, 'recording', 200);
+  assert.deepEqual(events, [['warning', 'clipping', 200], ['cleared', 'clipping', 4300]]);
+});
+
+test('too quiet is raised after quietSeconds and cleared by the next good peak', () => {
+  const warnings = new InputWarnings({ quietSeconds: 5 });
+  const { events, feed } = watch(warnings);
+
+  feed(QUIET, 'recording', 5000);
+  assert.deepEqual(events, []);
+  feed(QUIET, 'recording', 1000);
+  assert.deepEqual(events, [['warning', 'too-quiet', 5000]]);
+
+  feed(GOOD, 'recording', 100);
+  assert.deepEqual(events.at(-1), ['cleared', 'too-quiet', 6000]);
+
+  // The quiet clock starts over
+  feed(QUIET, 'recording', 4900);
+  assert.equal(events.length, 2);
+  feed(QUIET, 'recording', 100);
+  assert.deepEqual(events.at(-1), ['warning', 'too-quiet', 11000]);
+});
+
+test('a muted source replaces the too-quiet warning', () => {
+  const warnings = new InputWarnings({ quietSeconds: 5 });
+  const { events, feed } = watch(warnings);
+
+  feed(QUIET, 'recording', 6000);
+  warnings.setMuted(true, 'recording');
+  feed(QUIET, 'recording', 10000);
+  assert.deepEqual(events.map(([type, name]) => `${type} ${name}`), ['warning too-quiet', 'cleared too-quiet', 'warning muted']);
+
+  warnings.setMuted(false, 'recording');
+  assert.deepEqual(events.at(-1), ['cleared', 'muted', 16000]);
+});
+
+test('stopping the recording or disabling warnings clears them', () => {
+  const warnings = new InputWarnings({ quietSeconds: 1 });
+  const { events, feed } = watch(warnings);
+
+  feed(CLIPPED, 'recording', 300);
+  feed(QUIET, 'recording', 1500);
+  assert.deepEqual(warnings.getActiveWarnings().map(({ type }) => type), ['clipping', 'too-quiet']);
+
+  feed(QUIET, 'paused', 100);
+  assert.deepEqual(warnings.getActiveWarnings(), []);
+
+  feed(CLIPPED, 'recording', 300);
+  warnings.configure({ enabled: false });
+  feed(CLIPPED, 'recording', 300);
+  assert.deepEqual(events.slice(-2), [['warning', 'clipping', 2100], ['cleared', 'clipping', 2200]]);
+});
@@ -0,0 +1,47 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMicProfiles, saveMicProfiles, findMicProfile } = require('../mic-profiles');
+
+const YETI = 'alsa_input.usb-Blue_Yeti-00.analog-stereo';
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vnw-profiles-'));
+  filePath = path.join(directory, 'mic-profiles.json');
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('saved profiles load back without a temporary file left behind', () => {
+  const { profiles } = loadMicProfiles(filePath);
+  assert.deepEqual(profiles, {});
+
+  saveMicProfiles(filePath, { [YETI]: { label: 'Yeti Stereo Microphone', gainPercent: 65, noiseSuppression: false } });
+  saveMicProfiles(filePath, { [YETI]: { label: 'Yeti Stereo Microphone', gainPercent: 70 } });
+
+  const loaded = loadMicProfiles(filePath);
+  assert.deepEqual(loaded.errors, []);
+  assert.equal(loaded.profiles[YETI].gainPercent, 70);
+  assert.equal(loaded.profiles[YETI].noiseSuppression, null);
+  assert.deepEqual(fs.readdirSync(directory), ['mic-profiles.json']);
+});
+
+test('invalid values are reported and the rest of the profile still applies', () => {
+  fs.writeFileSync(filePath, JSON.stringify({ [YETI]: { label: 'Yeti', gainPercent: 400, muted: 'no', autoGainControl: false } }));
+
+  const { profiles, errors } = loadMicProfiles(filePath);
+  assert.deepEqual(errors, [
+    `"${YETI}.gainPercent" must be a number from 0 to 150`,
+    `"${YETI}.muted" must be true, false or null`
+  ]);
+  assert.equal(profiles[YETI].gainPercent, null);
+  assert.equal(profiles[YETI].autoGainControl, false);
+  assert.equal(findMicProfile(profiles, { source: 'renamed', name: 'yeti' }).key, YETI);
+});
@@ -0,0 +1,99 @@
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { spawn, spawnSync } = require('child_process');
+const dbus = require('dbus-next');
+const MprisService = require('../mpris-service');
+
+const hasDbusDaemon = spawnSync('dbus-daemon', ['--version']).status === 0;
+
+const BUS_NAME = 'org.mpris.MediaPlayer2.voicenotes';
+
+const connect = async (address) => {
+  const bus = dbus.sessionBus({ busAddress: address });
+  await once(bus, 'connect');
+  return bus;
+};
+
+const withSessionBusAddress = async (address, callback) => {
+  const previous = process.env.DBUS_SESSION_BUS_ADDRESS;
+  process.env.DBUS_SESSION_BUS_ADDRESS = address;
+  try {
+    return await callback();
+  } finally {
+    if (previous === undefined) delete process.env.DBUS_SESSION_BUS_ADDRESS;
+    else process.env.DBUS_SESSION_BUS_ADDRESS = previous;
+  }
+};
+
+test('start rejects instead of crashing when the session bus is unreachable', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const service = new MprisService();
+
+  await withSessionBusAddress('unix:path=/nonexistent/voice-notes-bus', async () => {
+    await assert.rejects(service.start(), /ENOENT/);
+  });
+  assert.equal(service.bus, null);
+});
+
+describe('MprisService on a private bus', { skip: !hasDbusDaemon && 'dbus-daemon is not installed' }, () => {
+  let daemon;
+  let address;
+  const buses = [];
+
+  before(async () => {
+    daemon = spawn('dbus-daemon', ['--session', '--nofork', '--print-address'], { stdio: ['ignore', 'pipe', 'inherit'] });
+    const [output] = await once(daemon.stdout, 'data');
+    address = output.toString().split('\n')[0].trim();
+  });
+
+  afterEach(() => {
+    while (buses.length) buses.pop().disconnect();
+  });
+
+  after(() => {
+    if (daemon) daemon.kill();
+  });
+
+  test('stop leaves an injected bus connected', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const bus = await connect(address);
+    buses.push(bus);
+    const service = new MprisService({ bus });
+
+    await service.start();
+    await service.stop();
+
+    assert.equal(bus.listenerCount('error'), 0);
+    const reply = await bus.requestName(BUS_NAME, dbus.NameFlag.DO_NOT_QUEUE);
+    assert.equal(reply, dbus.RequestNameReply.PRIMARY_OWNER);
+  });
+
+  test('start reports a name that another player already owns', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const owner = await connect(address);
+    buses.push(owner);
+    await owner.requestName(BUS_NAME, dbus.NameFlag.DO_NOT_QUEUE);
+
+    const bus = await connect(address);
+    buses.push(bus);
+    const service = new MprisService({ bus });
+
+    await assert.rejects(service.start(), /already taken/);
+    assert.equal(service.bus, null);
+    assert.equal(bus.listenerCount('error'), 0);
+  });
+
+  test('a bus the service opened itself is closed by stop', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const service = new MprisService();
+
+    await withSessionBusAddress(address, () => service.start());
+    const bus = service.bus;
+    assert.equal(service.ownsBus, true);
+
+    await service.stop();
+    assert.equal(service.bus, null);
+    assert.equal(bus._connection.stream.writableEnded, true);
+  });
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const pactlParser = require('../pactl-parser');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'pactl', name), 'utf8');
+
+// Volumes are averages of percentages, so compare them with a tolerance
+const assertVolume = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected volume ${expected}, got ${actual}`);
+};
+
+const microphones = sources => sources.filter(source => !pactlParser.isMonitorSource(source));
+
+test('parseSourcesText reads names, descriptions, volumes and mute state', () => {
+  const sources = pactlParser.parseSourcesText(fixture('list-sources.txt'));
+
+  assert.deepEqual(sources.map(source => source.index), [0, 1, 2]);
+  const [monitor, builtIn, yeti] = sources;
+
+  assert.equal(monitor.monitorOf, 'alsa_output.pci-0000_00_1f.3.analog-stereo');
+  assert.equal(builtIn.monitorOf, null);
+
+  assert.equal(builtIn.name, 'alsa_input.pci-0000_00_1f.3.analog-stereo');
+  assert.equal(builtIn.description, 'Built-in Audio Analog Stereo');
+  assert.equal(builtIn.state, 'RUNNING');
+  assert.equal(builtIn.muted, false);
+  // The 10% base volume line must not be taken for the volume
+  assert.deepEqual(builtIn.channelVolumes, [0.6, 0.6]);
+  assert.equal(builtIn.volume, 0.6);
+
+  assert.equal(yeti.muted, true);
+  assert.deepEqual(yeti.channelVolumes, [0.8, 0.7]);
+  assertVolume(yeti.volume, 0.75);
+});
+
+test('parseSourcesText reads long property blocks and ports', () => {
+  const [, builtIn, yeti] = pactlParser.parseSourcesText(fixture('list-sources.txt'));
+
+  assert.equal(builtIn.properties['alsa.card_name'], 'HDA Intel PCH');
+  assert.equal(builtIn.properties['device.icon_name'], 'audio-card-pci');
+  assert.equal(Object.keys(builtIn.properties).length, 31);
+  assert.deepEqual(builtIn.ports, [
+    { name: 'analog-input-internal-mic', description: 'Internal Microphone', available: true },
+    { name: 'analog-input-mic', description: 'Microphone', available: false }
+  ]);
+  assert.equal(builtIn.activePort, 'analog-input-internal-mic');
+  assert.equal(yeti.properties['device.form_factor'], 'microphone');
+});
+
+test('parseSourcesJson gives the same sources as the text format', () => {
+  const fromJson = pactlParser.parseSourcesJson(fixture('list-sources.json'));
+  const fromText = pactlParser.parseSourcesText(fixture('list-sources.txt'));
+
+  for (const key of ['index', 'name', 'description', 'state', 'muted', 'channelVolumes', 'monitorOf', 'activePort']) {
+    assert.deepEqual(fromJson.map(source => source[key]), fromText.map(source => source[key]), key);
+  }
+  assert.deepEqual(fromJson[1].ports.map(port => port.available), [true, false]);
+  assert.equal(fromJson[2].properties['device.description'], 'Yeti Stereo Microphone Analog Stereo');
+});
+
+test('parseSourcesJson rejects output that is not a list', () => {
+  assert.throws(() => pactlParser.parseSourcesJson('{"error": "no"}'), /Expected a list of sources/);
+  assert.throws(() => pactlParser.parseSourcesJson('Source #1\n'));
+});
+
+test('monitor sources are filtered out of the microphones', () => {
+  assert.deepEqual(
+    microphones(pactlParser.parseSourcesText(fixture('list-sources.txt'))).map(source => source.index),
+    [1, 2]
+  );
+  assert.deepEqual(
+    microphones(pactlParser.parseSourcesJson(fixture('list-sources.json'))).map(source => source.index),
+    [1, 2]
+  );
+});
+
+test('parseSourcesText copes with localized numbers, non-ASCII names and blank lines', () => {
+  const sources = pactlParser.parseSourcesText(fixture('list-sources-pipewire-odd.txt'));
+  assert.equal(sources.length, 2);
+  const [headset, monitor] = sources;
+
+  assert.equal(headset.description, 'Kopfhörer „MOMENTUM TW“');
+  assert.equal(headset.volume, 0.65);
+  assert.deepEqual(headset.channelVolumes, [0.65]);
+  assert.equal(headset.properties['media.name'], 'A = B: odd name');
+  assert.equal(headset.properties['object.path'], 'bluez5:hci0:00:1B:66:AA:BB:CC:sco-source');
+  assert.deepEqual(headset.ports, []);
+  assert.equal(pactlParser.isBluetoothSource(headset), true);
+  assert.equal(pactlParser.getSourceDisplayName(headset), 'Kopfhörer „MOMENTUM TW“');
+
+  assert.equal(pactlParser.isMonitorSource(monitor), true);
+  assert.deepEqual(microphones(sources), [headset]);
+});
+
+test('getSourceDisplayName prefers the device description', () => {
+  const [, builtIn] = pactlParser.parseSourcesText(fixture('list-sources.txt'));
+  assert.equal(pactlParser.getSourceDisplayName(builtIn), 'Built-in Audio Analog Stereo');
+  assert.equal(pactlParser.getSourceDisplayName({ name: 'raw', description: '', properties: { 'alsa.card_name': 'Card' } }), 'Card');
+  assert.equal(pactlParser.getSourceDisplayName({ name: '', description: '', properties: {} }), 'Unknown Input Device');
+});
+
+test('parseVolume reads the first line of get-source-volume', () => {
+  assertVolume(pactlParser.parseVolume(fixture('get-source-volume.txt')), 0.65);
+  assert.equal(pactlParser.parseVolume('Volume: mono: 42598 /  65% / -11,23 dB\n'), 0.65);
+  assert.equal(pactlParser.parseVolume('Failure: No such entity\n'), null);
+});
+
+test('parseMute reads get-source-mute', () => {
+  assert.equal(pactlParser.parseMute(fixture('get-source-mute.txt')), true);
+  assert.equal(pactlParser.parseMute('Mute: no\n'), false);
+  // Localized output is not recognised rather than misread
+  assert.equal(pactlParser.parseMute('Stummschalten: ja\n'), null);
+});
+
+test('parseInfo reads the server info fields', () => {
+  const info = pactlParser.parseInfo(fixture('info.txt'));
+  assert.equal(info['Default Source'], 'alsa_input.pci-0000_00_1f.3.analog-stereo');
+  assert.equal(info['Server Name'], 'pulseaudio');
+  assert.equal(info['Server Version'], '16.1');
+  // Values containing colons stay whole
+  assert.equal(info.Cookie, '3a4f:9c21');
+});
+
+test('parseCardsText and parseCardsJson read profiles and the active profile', () => {
+  for (const cards of [
+    pactlParser.parseCardsText(fixture('list-cards.txt')),
+    pactlParser.parseCardsJson(fixture('list-cards.json'))
+  ]) {
+    assert.deepEqual(cards.map(card => card.name), ['alsa_card.pci-0000_00_1f.3', 'bluez_card.00_1B_66_AA_BB_CC']);
+    const [alsa, bluez] = cards;
+    assert.equal(alsa.activeProfile, 'output:analog-stereo+input:analog-stereo');
+    assert.deepEqual(alsa.profiles, [
+      'input:analog-stereo',
+      'output:analog-stereo',
+      'output:analog-stereo+input:analog-stereo',
+      'off'
+    ]);
+    assert.deepEqual(bluez.profiles, ['handsfree_head_unit', 'a2dp_sink', 'off']);
+    assert.equal(bluez.activeProfile, 'handsfree_head_unit');
+    assert.equal(bluez.properties['device.string'], '00:1B:66:AA:BB:CC');
+  }
+});
@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const installPageHooks = require('../page-hooks');
+
+const SOURCE = 'voice-notes-test';
+
+// The page objects the hooks wrap: a MediaRecorder that only reports what
+// the page drives, and microphone tracks that can end or be stopped. The
+// hooks patch the recorder's prototype, so each test gets a new class.
+const createRecorderClass = () => class FakeRecorder {
+  constructor(stream) {
+    this.stream = stream;
+    this.state = 'inactive';
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  emit(type) {
+    for (const listener of this.listeners[type] || []) listener({});
+  }
+
+  start() {
+    this.state = 'recording';
+    this.emit('start');
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.emit('stop');
+  }
+};
+
+const createTrack = () => {
+  const listeners = [];
+  return {
+    label: 'Built-in Microphone',
+    readyState: 'live',
+    getSettings: () => ({ deviceId: 'mic' }),
+    addEventListener: (type, listener) => listeners.push(listener),
+    stop() { this.readyState = 'ended'; },
+    end() {
+      this.readyState = 'ended';
+      for (const listener of listeners) listener();
+    }
+  };
+};
+
+let messages;
+
+beforeEach(() => {
+  messages = [];
+  const FakeRecorder = createRecorderClass();
+  global.window = {
+    MediaRecorder: FakeRecorder,
+    postMessage: (message) => messages.push(message),
+    addEventListener: () => {}
+  };
+  global.MediaRecorder = FakeRecorder;
+  Object.defineProperty(global, 'navigator', {
+    configurable: true,
+    writable: true,
+    value: {
+      mediaDevices: {
+        getUserMedia: async () => {
+          const track = createTrack();
+          return { getAudioTracks: () => [track], getTracks: () => [track] };
+        }
+      }
+    }
+  });
+  installPageHooks(SOURCE, () => {});
+});
+
+afterEach(() => {
+  delete global.window;
+  delete global.MediaRecorder;
+  delete global.navigator;
+});
+
+const states = () => messages.filter(message => message.type === 'recording-state').map(({ state, reason }) => [state, reason]);
+
+test('recorder events report the recording state', async () => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new MediaRecorder(stream);
+  recorder.start();
+  recorder.stop();
+
+  assert.deepEqual(states(), [['recording', 'recorder-start'], ['stopped', 'recorder-stop']]);
+});
+
+test('stopping the last microphone track reports stopped without a recorder stop', async () => {
+  const first = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const second = await navigator.mediaDevices.getUserMedia({ audio: true });
+  new MediaRecorder(first).start();
+
+  first.getAudioTracks()[0].stop();
+  assert.deepEqual(states(), [['recording', 'recorder-start']]);
+
+  second.getAudioTracks()[0].stop();
+  assert.deepEqual(states(), [['recording', 'recorder-start'], ['stopped', 'tracks-ended']]);
+  assert.equal(first.getAudioTracks()[0].readyState, 'ended');
+});
+
+test('a microphone that disappears reports an error and then stopped', async () => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  new MediaRecorder(stream).start();
+
+  stream.getAudioTracks()[0].end();
+
+  const [error] = messages.filter(message => message.type === 'recording-error');
+  assert.equal(error.error, 'Microphone capture ended unexpectedly');
+  assert.deepEqual(states().at(-1), ['stopped', 'tracks-ended']);
+});
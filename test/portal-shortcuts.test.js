@@ -0,0 +1,363 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { spawn, spawnSync } = require('child_process');
+const dbus = require('dbus-next');
+const PortalShortcuts = require('../portal-shortcuts');
+
+const { Message, Variant } = dbus;
+const { acceleratorToTrigger, isWaylandSession } = PortalShortcuts;
+
+const PORTAL_BUS_NAME = 'org.freedesktop.portal.Desktop';
+const PORTAL_OBJECT_PATH = '/org/freedesktop/portal/desktop';
+const SHORTCUTS_INTERFACE = 'org.freedesktop.portal.GlobalShortcuts';
+const REQUEST_INTERFACE = 'org.freedesktop.portal.Request';
+const SESSION_INTERFACE = 'org.freedesktop.portal.Session';
+
+const hasDbusDaemon = spawnSync('dbus-daemon', ['--version']).status === 0;
+
+test('acceleratorToTrigger converts modifiers and keys to XDG trigger names', () => {
+  assert.equal(acceleratorToTrigger('CommandOrControl+Alt+R'), 'CTRL+ALT+r');
+  assert.equal(acceleratorToTrigger('CmdOrCtrl+Shift+Space'), 'CTRL+SHIFT+space');
+  assert.equal(acceleratorToTrigger('Super+F9'), 'LOGO+F9');
+  assert.equal(acceleratorToTrigger('Meta+Option+Up'), 'LOGO+ALT+Up');
+  assert.equal(acceleratorToTrigger('f12'), 'F12');
+  assert.equal(acceleratorToTrigger('Ctrl+PageDown'), 'CTRL+Page_Down');
+  assert.equal(acceleratorToTrigger('MediaPlayPause'), 'XF86AudioPlay');
+  assert.equal(acceleratorToTrigger('Control+Plus'), 'CTRL+plus');
+  assert.equal(acceleratorToTrigger('Alt+Enter'), 'ALT+Return');
+});
+
+test('isWaylandSession checks the session type and display', () => {
+  assert.equal(isWaylandSession({ XDG_SESSION_TYPE: 'wayland' }), true);
+  assert.equal(isWaylandSession({ XDG_SESSION_TYPE: 'x11', WAYLAND_DISPLAY: 'wayland-0' }), true);
+  assert.equal(isWaylandSession({ XDG_SESSION_TYPE: 'x11' }), false);
+  assert.equal(isWaylandSession({}), false);
+});
+
+// A stub of the portal's GlobalShortcuts interface. Each method answers with
+// a Request object path and then sends its Response signal, like
+// xdg-desktop-portal does; responseCodes makes a method fail.
+function createStubPortal(bus) {
+  const stub = {
+    calls: [],
+    responseCodes: {},
+    sessions: new Set(),
+    // Triggers the desktop assigns, by action
+    assigned: {}
+  };
+
+  const respond = (message, results) => {
+    const token = message.body[message.member === 'BindShortcuts' ? 3 : 0].handle_token.value;
+    const requestPath = `${PORTAL_OBJECT_PATH}/request/${message.sender.slice(1).replace(/\./g, '_')}/${token}`;
+    bus.send(Message.newMethodReturn(message, 'o', [requestPath]));
+    bus.send(Message.newSignal(requestPath, REQUEST_INTERFACE, 'Response', 'ua{sv}', [
+      stub.responseCodes[message.member] || 0,
+      stub.responseCodes[message.member] ? {} : results
+    ]));
+  };
+
+  stub.shortcutsBody = (shortcuts) => shortcuts.map(([action]) => [action, {
+    trigger_description: new Variant('s', stub.assigned[action] || '')
+  }]);
+
+  stub.handler = (message) => {
+    if (message.interface === SHORTCUTS_INTERFACE && message.member === 'CreateSession') {
+      stub.calls.push({ member: 'CreateSession' });
+      const sessionHandle = `${PORTAL_OBJECT_PATH}/session/${message.sender.slice(1).replace(/\./g, '_')}/${message.body[0].session_handle_token.value}`;
+      if (!stub.responseCodes.CreateSession) stub.sessions.add(sessionHandle);
+      respond(message, { session_handle: new Variant('s', sessionHandle) });
+      return true;
+    }
+
+    if (message.interface === SHORTCUTS_INTERFACE && message.member === 'BindShortcuts') {
+      const [sessionHandle, shortcuts] = message.body;
+      stub.calls.push({
+        member: 'BindShortcuts',
+        sessionHandle,
+        shortcuts: shortcuts.map(([action, properties]) => ({
+          action,
+          description: properties.description.value,
+          trigger: properties.preferred_trigger.value
+        }))
+      });
+      respond(message, { shortcuts: new Variant('a(sa{sv})', stub.shortcutsBody(shortcuts)) });
+      return true;
+    }
+
+    if (message.interface === SESSION_INTERFACE && message.member === 'Close') {
+      stub.calls.push({ member: 'Close', sessionHandle: message.path });
+      stub.sessions.delete(message.path);
+      bus.send(Message.newMethodReturn(message));
+      return true;
+    }
+
+    return false;
+  };
+  bus.addMethodHandler(stub.handler);
+
+  stub.activate = (sessionHandle, action) => {
+    bus.send(Message.newSignal(PORTAL_OBJECT_PATH, SHORTCUTS_INTERFACE, 'Activated', 'osta{sv}', [
+      sessionHandle, action, BigInt(Date.now()), {}
+    ]));
+  };
+
+  stub.deactivate = (sessionHandle, action) => {
+    bus.send(Message.newSignal(PORTAL_OBJECT_PATH, SHORTCUTS_INTERFACE, 'Deactivated', 'osta{sv}', [
+      sessionHandle, action, BigInt(Date.now()), {}
+    ]));
+  };
+
+  stub.changeShortcuts = (sessionHandle, shortcuts) => {
+    bus.send(Message.newSignal(PORTAL_OBJECT_PATH, SHORTCUTS_INTERFACE, 'ShortcutsChanged', 'oa(sa{sv})', [
+      sessionHandle, stub.shortcutsBody(shortcuts)
+    ]));
+  };
+
+  stub.closeSession = (sessionHandle) => {
+    stub.sessions.delete(sessionHandle);
+    bus.send(Message.newSignal(sessionHandle, SESSION_INTERFACE, 'Closed', 'a{sv}', [{}]));
+  };
+
+  return stub;
+}
+
+const connect = async (address) => {
+  const bus = dbus.sessionBus({ busAddress: address });
+  await once(bus, 'connect');
+  return bus;
+};
+
+const nameHasOwner = async (bus, name) => {
+  const reply = await bus.call(new Message({
+    destination: 'org.freedesktop.DBus',
+    path: '/org/freedesktop/DBus',
+    interface: 'org.freedesktop.DBus',
+    member: 'NameHasOwner',
+    signature: 's',
+    body: [name]
+  }));
+  return reply.body[0];
+};
+
+const BINDINGS = [
+  { action: 'toggle', accelerator: 'CommandOrControl+Alt+R', label: 'Start / stop' },
+  { action: 'toggle', accelerator: 'F10', label: 'Start / stop' },
+  { action: 'pause', accelerator: 'F11', label: 'Pause recording' },
+  { action: 'stop', accelerator: '', label: 'Stop recording' }
+];
+
+describe('PortalShortcuts against a stub portal on a private bus', { skip: !hasDbusDaemon && 'dbus-daemon is not installed' }, () => {
+  let daemon;
+  let address;
+  let portalBus;
+  let stub;
+  let clientBus;
+  let portal;
+
+  before(async () => {
+    daemon = spawn('dbus-daemon', ['--session', '--nofork', '--print-address'], { stdio: ['ignore', 'pipe', 'inherit'] });
+    const [output] = await once(daemon.stdout, 'data');
+    address = output.toString().split('\n')[0].trim();
+
+    portalBus = await connect(address);
+    await portalBus.requestName(PORTAL_BUS_NAME, 0);
+  });
+
+  const closeClient = async () => {
+    if (portal) await portal.stop();
+    if (clientBus) clientBus.disconnect();
+    if (stub) portalBus.removeMethodHandler(stub.handler);
+  };
+
+  beforeEach(async () => {
+    await closeClient();
+    stub = createStubPortal(portalBus);
+    clientBus = await connect(address);
+    portal = new PortalShortcuts({ bus: clientBus });
+  });
+
+  after(async () => {
+    await closeClient();
+    if (portalBus) portalBus.disconnect();
+    if (daemon) daemon.kill();
+  });
+
+  test('start creates a session through the Request Response signal', async () => {
+    await portal.start();
+
+    assert.deepEqual(stub.calls.map(call => call.member), ['CreateSession']);
+    assert.ok(stub.sessions.has(portal.sessionHandle));
+  });
+
+  test('bind sends one preferred trigger per action and returns the assigned triggers', async () => {
+    stub.assigned = { toggle: 'Ctrl+Alt+R', pause: 'F11' };
+    await portal.start();
+
+    const triggers = await portal.bind(BINDINGS);
+
+    const bindCall = stub.calls.find(call => call.member === 'BindShortcuts');
+    assert.equal(bindCall.sessionHandle, portal.sessionHandle);
+    assert.deepEqual(bindCall.shortcuts, [
+      { action: 'toggle', description: 'Start / stop', trigger: 'CTRL+ALT+r' },
+      { action: 'pause', description: 'Pause recording', trigger: 'F11' }
+    ]);
+    assert.deepEqual(triggers, { toggle: 'Ctrl+Alt+R', pause: 'F11' });
+    assert.deepEqual(portal.getTriggers(), triggers);
+  });
+
+  test('binding the same shortcuts again does not call the portal', async () => {
+    await portal.start();
+    await portal.bind(BINDINGS);
+    await portal.bind(BINDINGS);
+
+    assert.deepEqual(stub.calls.map(call => call.member), ['CreateSession', 'BindShortcuts']);
+  });
+
+  test('binding different shortcuts replaces the session', async () => {
+    await portal.start();
+    await portal.bind(BINDINGS);
+    const firstSession = portal.sessionHandle;
+
+    await portal.bind([{ action: 'toggle', accelerator: 'F9', label: 'Start / stop' }]);
+
+    assert.deepEqual(stub.calls.map(call => call.member), ['CreateSession', 'BindShortcuts', 'Close', 'CreateSession', 'BindShortcuts']);
+    assert.equal(stub.calls[2].sessionHandle, firstSession);
+    assert.notEqual(portal.sessionHandle, firstSession);
+    assert.deepEqual(stub.calls[4].shortcuts, [{ action: 'toggle', description: 'Start / stop', trigger: 'F9' }]);
+  });
+
+  test('overlapping binds replace the session one after another', async () => {
+    await portal.start();
+    await portal.bind(BINDINGS);
+
+    const first = portal.bind([{ action: 'toggle', accelerator: 'F9', label: 'Start / stop' }]);
+    const second = portal.bind([{ action: 'toggle', accelerator: 'F8', label: 'Start / stop' }]);
+    await Promise.all([first, second]);
+
+    assert.deepEqual(stub.calls.map(call => call.member), [
+      'CreateSession', 'BindShortcuts',
+      'Close', 'CreateSession', 'BindShortcuts',
+      'Close', 'CreateSession', 'BindShortcuts'
+    ]);
+    assert.deepEqual(stub.calls.at(-1).shortcuts, [{ action: 'toggle', description: 'Start / stop', trigger: 'F8' }]);
+    assert.equal(stub.calls.at(-1).sessionHandle, portal.sessionHandle);
+    assert.equal(stub.sessions.size, 1);
+  });
+
+  test('Activated emits the action of the pressed shortcut', async () => {
+    await portal.start();
+    await portal.bind(BINDINGS);
+
+    const activated = once(portal, 'activated');
+    stub.activate(portal.sessionHandle, 'pause');
+    assert.deepEqual(await activated, ['pause']);
+  });
+
+  test('Deactivated emits the action of the released shortcut', async () => {
+    await portal.start();
+    await portal.bind([{ action: 'pushToTalk', accelerator: 'F8', label: 'Push to Talk' }]);
+
+    const events = [];
+    portal.on('activated', action => events.push(['activated', action]));
+    portal.on('deactivated', action => events.push(['deactivated', action]));
+    const released = once(portal, 'deactivated');
+    stub.activate(portal.sessionHandle, 'pushToTalk');
+    stub.deactivate(portal.sessionHandle, 'pushToTalk');
+    await released;
+
+    assert.deepEqual(events, [['activated', 'pushToTalk'], ['deactivated', 'pushToTalk']]);
+  });
+
+  test('signals for other sessions are ignored', async () => {
+    await portal.start();
+    await portal.bind(BINDINGS);
+
+    const actions = [];
+    portal.on('activated', action => actions.push(action));
+    stub.activate(`${PORTAL_OBJECT_PATH}/session/other/token`, 'stop');
+    stub.activate(portal.sessionHandle, 'toggle');
+    await once(portal, 'activated');
+
+    assert.deepEqual(actions, ['toggle']);
+  });
+
+  test('ShortcutsChanged updates the triggers', async () => {
+    stub.assigned = { toggle: 'Ctrl+Alt+R', pause: 'F11' };
+    await portal.start();
+    await portal.bind(BINDINGS);
+
+    stub.assigned = { toggle: 'Super+R', pause: '' };
+    const changed = once(portal, 'triggers-changed');
+    stub.changeShortcuts(portal.sessionHandle, [['toggle'], ['pause']]);
+
+    assert.deepEqual(await changed, [{ toggle: 'Super+R', pause: '' }]);
+    assert.deepEqual(portal.getTriggers(), { toggle: 'Super+R', pause: '' });
+  });
+
+  test('a session closed by the portal emits closed', async () => {
+    await portal.start();
+    await portal.bind(BINDINGS);
+
+    const closed = once(portal, 'closed');
+    stub.closeSession(portal.sessionHandle);
+    await closed;
+
+    assert.equal(portal.sessionHandle, null);
+  });
+
+  test('start rejects when the portal is not on the bus', async () => {
+    const missing = new PortalShortcuts({ bus: clientBus, busName: 'org.freedesktop.portal.Missing' });
+    await assert.rejects(missing.start(), /CreateSession failed/);
+    await missing.stop();
+  });
+
+  test('start rejects when the portal refuses the session', async () => {
+    stub.responseCodes.CreateSession = 2;
+    await assert.rejects(portal.start(), /CreateSession was refused by the portal/);
+    assert.equal(portal.sessionHandle, null);
+  });
+
+  test('bind rejects when the user cancels the dialog', async () => {
+    stub.responseCodes.BindShortcuts = 1;
+    await portal.start();
+    await assert.rejects(portal.bind(BINDINGS), /BindShortcuts was cancelled by the user/);
+    assert.deepEqual(portal.getTriggers(), {});
+  });
+
+  test('stop closes the session and leaves an injected bus connected', async () => {
+    await portal.start();
+    const sessionHandle = portal.sessionHandle;
+
+    await portal.stop();
+
+    assert.deepEqual(stub.calls.at(-1), { member: 'Close', sessionHandle });
+    assert.equal(portal.bus, clientBus);
+    assert.equal(await nameHasOwner(portalBus, clientBus.name), true);
+  });
+
+  test('stop disconnects the bus it opened itself', async () => {
+    const previousAddress = process.env.DBUS_SESSION_BUS_ADDRESS;
+    process.env.DBUS_SESSION_BUS_ADDRESS = address;
+    const ownPortal = new PortalShortcuts();
+    try {
+      await ownPortal.start();
+    } finally {
+      if (previousAddress === undefined) {
+        delete process.env.DBUS_SESSION_BUS_ADDRESS;
+      } else {
+        process.env.DBUS_SESSION_BUS_ADDRESS = previousAddress;
+      }
+    }
+    const ownName = ownPortal.bus.name;
+    assert.equal(await nameHasOwner(portalBus, ownName), true);
+
+    await ownPortal.stop();
+
+    assert.equal(ownPortal.bus, null);
+    for (let attempt = 0; attempt < 50 && await nameHasOwner(portalBus, ownName); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(await nameHasOwner(portalBus, ownName), false);
+  });
+});
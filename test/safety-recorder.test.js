@@ -0,0 +1,46 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SafetyRecorder = require('../safety-recorder');
+
+let folder;
+let recorder;
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), 'vnw-safety-'));
+  recorder = new SafetyRecorder({ folder, keepDays: 0, maxSizeGB: 0 });
+});
+
+afterEach(() => {
+  recorder.finalize();
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+test('chunks and the end of a previous capture do not reach the next file', () => {
+  const first = recorder.begin('webm', {}, 1);
+  recorder.appendChunk(Buffer.from('one'), 1);
+
+  // A new capture starts before the old one has delivered everything
+  const second = recorder.begin('webm', {}, 2);
+  recorder.appendChunk(Buffer.from('late'), 1);
+  assert.equal(recorder.finalize(1), null);
+  recorder.appendChunk(Buffer.from('two'), 2);
+
+  assert.equal(recorder.finalize(2), second);
+  assert.equal(fs.readFileSync(first, 'utf8'), 'one');
+  assert.equal(fs.readFileSync(second, 'utf8'), 'two');
+});
+
+test('finalize without a session id closes the current file', () => {
+  const filePath = recorder.begin('wav', { sampleRate: 16000, channels: 1 }, 3);
+  recorder.appendChunk(new Uint8Array(8), 3);
+
+  assert.equal(recorder.finalize(), filePath);
+  assert.equal(recorder.isRecording(), false);
+  const header = fs.readFileSync(filePath).subarray(0, 44);
+  assert.equal(header.readUInt32LE(40), 8);
+  assert.equal(header.readUInt32LE(24), 16000);
+});
@@ -0,0 +1,121 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_SELECTOR_PROFILE,
+  normalizeSelectorProfile,
+  findButtonForAction
+} = require('../selector-profile');
+
+// A minimal page: each button lists the selectors it matches, and
+// querySelectorAll('button') returns them all
+const button = ({ text = '', ariaLabel = '', title = '', matches = [], hidden = false, disabled = false } = {}) => ({
+  textContent: text,
+  disabled,
+  hidden,
+  matches,
+  getAttribute: name => ({ 'aria-label': ariaLabel, title }[name] || null),
+  getClientRects: () => (hidden ? [] : [{}])
+});
+
+const setPage = (buttons) => {
+  global.document = {
+    querySelectorAll: (selector) => {
+      if (selector === 'button') return buttons;
+      if (selector.startsWith('!')) throw new Error('invalid selector');
+      return buttons.filter(candidate => candidate.matches.includes(selector));
+    }
+  };
+  global.window = {
+    getComputedStyle: element => ({ visibility: 'visible', display: element.hidden ? 'none' : 'block' })
+  };
+};
+
+afterEach(() => {
+  delete global.document;
+  delete global.window;
+});
+
+const { profile } = normalizeSelectorProfile({});
+
+test('the first usable selector match wins for ordinary actions', () => {
+  const stop = button({ text: 'Stop', matches: ['[aria-label*="stop" i]'] });
+  const end = button({ text: 'End session' });
+  setPage([end, stop]);
+
+  assert.deepEqual(findButtonForAction('stop', profile.stop), { button: stop, matchedBy: 'selector [aria-label*="stop" i]' });
+});
+
+test('text terms are only used when no selector matches', () => {
+  const resume = button({ text: 'Continue' });
+  setPage([button({ text: 'Record' }), resume]);
+
+  assert.deepEqual(findButtonForAction('resume', profile.resume), { button: resume, matchedBy: 'text "continue"' });
+  setPage([button({ text: 'Nothing' })]);
+  assert.equal(findButtonForAction('resume', profile.resume), null);
+});
+
+test('discard does not match delete or cancel buttons', () => {
+  setPage([button({ text: 'Delete note' }), button({ text: 'Cancel' }), button({ title: 'Delete folder' })]);
+  assert.equal(findButtonForAction('discard', profile.discard), null);
+});
+
+test('discard clicks a single button matched by several selectors and its text', () => {
+  const discard = button({
+    text: 'Discard',
+    ariaLabel: 'Discard recording',
+    matches: ['[data-testid="discard-button"]', '[aria-label*="discard" i]']
+  });
+  setPage([button({ text: 'Save' }), discard]);
+
+  const match = findButtonForAction('discard', profile.discard);
+  assert.equal(match.button, discard);
+  assert.equal(match.matchedBy, 'selector [data-testid="discard-button"]');
+});
+
+test('discard refuses to pick when more than one button matches', () => {
+  const bySelector = button({ matches: ['[aria-label*="delete recording" i]'] });
+  const byText = button({ text: 'Discard draft' });
+  setPage([bySelector, byText]);
+
+  assert.deepEqual(findButtonForAction('discard', profile.discard), { button: null, candidates: [bySelector, byText] });
+});
+
+test('hidden or disabled discard buttons are not candidates', () => {
+  const visible = button({ text: 'Discard' });
+  setPage([button({ text: 'Discard', hidden: true }), button({ text: 'Discard', disabled: true }), visible]);
+
+  assert.equal(findButtonForAction('discard', profile.discard).button, visible);
+});
+
+test('invalid selectors are skipped', () => {
+  const record = button({ text: 'Record' });
+  setPage([record]);
+
+  const match = findButtonForAction('record', { selectors: ['!broken'], textTerms: ['record'], mustBeVisible: false, mustBeUnique: false });
+  assert.equal(match.button, record);
+});
+
+test('normalizeSelectorProfile validates mustBeUnique', () => {
+  const { profile: custom, errors } = normalizeSelectorProfile({
+    stop: { mustBeUnique: true },
+    pause: { mustBeUnique: 'yes' }
+  });
+
+  assert.equal(custom.stop.mustBeUnique, true);
+  assert.equal(custom.pause.mustBeUnique, false);
+  assert.equal(custom.discard.mustBeUnique, true);
+  assert.deepEqual(errors, ['"pause.mustBeUnique" must be true or false']);
+});
+
+test('discard text terms left at the old defaults are replaced', () => {
+  const { profile: migrated, errors } = normalizeSelectorProfile({
+    // As written by earlier versions, before mustBeUnique existed
+    discard: { selectors: DEFAULT_SELECTOR_PROFILE.discard.selectors, textTerms: ['discard', 'delete', 'cancel'], mustBeVisible: true }
+  });
+  assert.deepEqual(migrated.discard.textTerms, ['discard']);
+  assert.equal(migrated.discard.mustBeUnique, true);
+  assert.deepEqual(errors, []);
+
+  const { profile: customised } = normalizeSelectorProfile({ discard: { textTerms: ['Verwerfen'] } });
+  assert.deepEqual(customised.discard.textTerms, ['verwerfen']);
+});
@@ -0,0 +1,133 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getDefaultSettings,
+  validateSettings,
+  migrateLegacyConfig,
+  SettingsStore
+} = require('../settings-store');
+
+const LEGACY_CONFIG = path.join(__dirname, '..', 'recording-shortcuts.json');
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vnw-settings-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('valid settings are kept as given', () => {
+  const { settings, errors } = validateSettings({
+    shortcuts: { record: 'Super+F9', toggle: '' },
+    silenceDetection: { enabled: true, thresholdDb: -60 },
+    safetyRecording: { format: 'wav' }
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(settings.shortcuts.record, 'Super+F9');
+  assert.equal(settings.shortcuts.toggle, '');
+  assert.equal(settings.silenceDetection.enabled, true);
+  assert.equal(settings.silenceDetection.thresholdDb, -60);
+  assert.equal(settings.safetyRecording.format, 'wav');
+  assert.equal(settings.safetyRecording.keepDays, getDefaultSettings().safetyRecording.keepDays);
+});
+
+test('invalid values fall back to their defaults and are reported', () => {
+  const { settings, errors } = validateSettings({
+    shortcuts: { record: 'Ctrl++R', stop: 5, launch: 'F1' },
+    silenceDetection: { thresholdDb: 10, enabled: 'yes' },
+    safetyRecording: { format: 'mp3' },
+    vox: [],
+    window: {}
+  });
+  const defaults = getDefaultSettings();
+
+  assert.deepEqual(errors, [
+    'shortcuts.record is not a valid key combination (got "Ctrl++R"), using "CommandOrControl+Alt+R"',
+    'shortcuts.stop must be a key combination string (got 5), using "CommandOrControl+Alt+S"',
+    'shortcuts.launch: unknown setting',
+    'silenceDetection.thresholdDb must be at most 0 (got 10), using -50',
+    'silenceDetection.enabled must be true or false (got "yes"), using false',
+    'safetyRecording.format must be one of: webm, wav (got "mp3"), using "webm"',
+    'vox: must be an object',
+    'window: unknown section'
+  ]);
+  assert.deepEqual(settings, defaults);
+});
+
+test('settings that are not an object are replaced by the defaults', () => {
+  for (const raw of [null, [], 'settings']) {
+    assert.deepEqual(validateSettings(raw), { settings: getDefaultSettings(), errors: ['Settings must be a JSON object'] });
+  }
+});
+
+test('the legacy recording-shortcuts.json migrates without errors', () => {
+  const migrated = migrateLegacyConfig(JSON.parse(fs.readFileSync(LEGACY_CONFIG, 'utf8')));
+
+  assert.deepEqual(migrated.primaryShortcuts, { enabled: true, record: 'F10', pause: 'F11', stop: 'F12' });
+  assert.deepEqual(migrated.shortcuts, {
+    record: 'CommandOrControl+Alt+R',
+    pause: 'CommandOrControl+Alt+P',
+    stop: 'CommandOrControl+Alt+S',
+    vox: 'CommandOrControl+Alt+V'
+  });
+  assert.deepEqual(migrated.silenceDetection, {
+    enabled: false, thresholdDb: -50, pauseAfterSeconds: 10, autoResume: true, stopAfterMinutes: 5
+  });
+  assert.deepEqual(migrated.vox, { thresholdDb: -35, minDurationMs: 250, rearm: false });
+  assert.equal(migrated.description, undefined);
+  assert.equal(migrated.notes, undefined);
+  assert.deepEqual(validateSettings(migrated).errors, []);
+});
+
+test('legacy snake_case keys are renamed and unknown ones dropped', () => {
+  const migrated = migrateLegacyConfig({
+    primary_shortcuts: { enabled: false, pause_resume: 'F8', stop_discard: 'F7', extra: 'F6' },
+    safety_recording: { keep_days: 7, max_size_gb: 1 },
+    input_warnings: { clip_threshold_db: -3, quiet_seconds: 'ten' }
+  });
+
+  assert.deepEqual(migrated, {
+    primaryShortcuts: { enabled: false, pauseResume: 'F8', stopDiscard: 'F7' },
+    safetyRecording: { keepDays: 7, maxSizeGB: 1 },
+    inputWarnings: { clipThresholdDb: -3, quietSeconds: 'ten' }
+  });
+  // Invalid legacy values are caught by validation like any other
+  assert.deepEqual(validateSettings(migrated).errors, [
+    'inputWarnings.quietSeconds must be a number (got "ten"), using 10'
+  ]);
+});
+
+test('the first load creates settings.json from the legacy file', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const filePath = path.join(directory, 'settings.json');
+  const store = new SettingsStore(filePath, { legacyPaths: [path.join(directory, 'missing.json'), LEGACY_CONFIG] });
+
+  assert.deepEqual(store.load(), []);
+  assert.equal(store.get('shortcuts').vox, 'CommandOrControl+Alt+V');
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), store.get());
+});
+
+test('update saves through a temporary file and rejects invalid values', () => {
+  const filePath = path.join(directory, 'settings.json');
+  const store = new SettingsStore(filePath);
+  store.load();
+  const changes = [];
+  store.on('change', sections => changes.push(sections));
+
+  assert.deepEqual(store.update({ vox: { thresholdDb: -40 }, ui: { showBanner: false } }), { success: true, errors: [] });
+  assert.deepEqual(changes, [['vox', 'ui']]);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).vox.thresholdDb, -40);
+  assert.deepEqual(fs.readdirSync(directory), ['settings.json']);
+
+  const result = store.update({ vox: { thresholdDb: 'loud' } });
+  assert.equal(result.success, false);
+  assert.equal(store.get('vox').thresholdDb, -40);
+  assert.equal(changes.length, 1);
+});
@@ -0,0 +1,99 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ShortcutManager = require('../shortcut-manager');
+
+const { normalizeAccelerator } = ShortcutManager;
+
+// Electron's globalShortcut, with keys other applications hold and key names
+// it rejects
+const createGlobalShortcut = ({ taken = [], invalid = [] } = {}) => {
+  const handlers = new Map();
+  return {
+    handlers,
+    register: (accelerator, handler) => {
+      if (invalid.includes(accelerator)) throw new Error(`Failed to parse ${accelerator}`);
+      if (taken.includes(accelerator) || handlers.has(accelerator)) return false;
+      handlers.set(accelerator, handler);
+      return true;
+    },
+    unregister: accelerator => handlers.delete(accelerator)
+  };
+};
+
+let pressed;
+const binding = (action, accelerator, label = action) => ({ action, accelerator, label, handler: () => pressed.push(action) });
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  pressed = [];
+});
+
+test('normalizeAccelerator ignores modifier aliases, order and case', () => {
+  assert.equal(normalizeAccelerator('CommandOrControl+Alt+R'), normalizeAccelerator('alt+Control+r'));
+  assert.equal(normalizeAccelerator('Option+Meta+F1'), 'alt+super+f1');
+  assert.notEqual(normalizeAccelerator('Ctrl+Alt+R'), normalizeAccelerator('Ctrl+Shift+R'));
+});
+
+test('apply registers every binding and runs its handler', () => {
+  const globalShortcut = createGlobalShortcut();
+  const manager = new ShortcutManager(globalShortcut);
+
+  const problems = manager.apply([binding('record', 'F10'), binding('stop', 'CommandOrControl+Alt+S'), binding('toggle', '')]);
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(Array.from(globalShortcut.handlers.keys()), ['F10', 'CommandOrControl+Alt+S']);
+  assert.equal(manager.isRegistered('Ctrl+Alt+S'), true);
+  assert.equal(manager.isRegistered(''), false);
+  globalShortcut.handlers.get('F10')();
+  assert.deepEqual(pressed, ['record']);
+});
+
+test('a second action on the same keys is a conflict, the same action is not', () => {
+  const manager = new ShortcutManager(createGlobalShortcut());
+
+  const problems = manager.apply([
+    binding('record', 'F10', 'Start recording'),
+    binding('record', 'F10', 'Start recording'),
+    binding('pause', 'f10', 'Pause recording')
+  ]);
+
+  assert.deepEqual(problems.map(({ action, accelerator, reason }) => ({ action, accelerator, reason })), [
+    { action: 'pause', accelerator: 'f10', reason: 'already used for Start recording' }
+  ]);
+});
+
+test('keys held elsewhere or not understood are reported with free alternatives', () => {
+  const globalShortcut = createGlobalShortcut({
+    taken: ['CommandOrControl+Alt+R', 'CommandOrControl+Shift+R'],
+    invalid: ['Ctrl+Bogus']
+  });
+  const manager = new ShortcutManager(globalShortcut);
+
+  const problems = manager.apply([
+    binding('record', 'CommandOrControl+Alt+R', 'Start recording'),
+    binding('pause', 'Alt+Shift+R', 'Pause recording'),
+    binding('stop', 'Ctrl+Bogus', 'Stop recording')
+  ]);
+
+  assert.equal(problems[0].reason, 'taken by another application');
+  // Alt+Shift+R is ours now, so it is not offered
+  assert.deepEqual(problems[0].alternatives, ['Super+Alt+R']);
+  assert.match(problems[1].reason, /^invalid shortcut \(Failed to parse Ctrl\+Bogus\)$/);
+  assert.deepEqual(manager.getProblems(), problems);
+  // Probing leaves nothing extra registered
+  assert.deepEqual(Array.from(globalShortcut.handlers.keys()), ['Alt+Shift+R']);
+});
+
+test('problems are emitted only when they change', () => {
+  const globalShortcut = createGlobalShortcut({ taken: ['F12'] });
+  const manager = new ShortcutManager(globalShortcut);
+  const emitted = [];
+  manager.on('problems', problems => emitted.push(problems.map(problem => problem.accelerator)));
+
+  manager.apply([binding('record', 'F10'), binding('stop', 'F12')]);
+  manager.apply([binding('record', 'F10'), binding('stop', 'F12')]);
+  manager.apply([binding('record', 'F10'), binding('stop', 'F9')]);
+
+  assert.deepEqual(emitted, [['F12'], []]);
+  assert.deepEqual(Array.from(globalShortcut.handlers.keys()), ['F10', 'F9']);
+});
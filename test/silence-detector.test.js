@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SilenceDetector = require('../silence-detector');
+
+const SILENCE = { rms: -70 };
+const SPEECH = { rms: -20 };
+
+// Record every event the detector emits, with the time it was emitted at
+const watch = (detector) => {
+  const events = [];
+  let now = 0;
+  for (const name of ['auto-pause', 'auto-resume', 'auto-stop']) {
+    detector.on(name, details => events.push([name, now, details]));
+  }
+
+  // Feed one level reading every 100 ms for the given milliseconds
+  const feed = (level, state, durationMs) => {
+    for (const end = now + durationMs; now < end; now += 100) {
+      detector.update(level, state, now);
+    }
+  };
+  return { events, feed };
+};
+
+test('nothing happens while detection is disabled', () => {
+  const detector = new SilenceDetector();
+  const { events, feed } = watch(detector);
+
+  feed(SILENCE, 'recording', 20 * 60 * 1000);
+  assert.deepEqual(events, []);
+});
+
+test('recording pauses once after the configured silence', () => {
+  const detector = new SilenceDetector({ enabled: true, pauseAfterSeconds: 10 });
+  const { events, feed } = watch(detector);
+
+  // Speech restarts the silence clock
+  feed(SILENCE, 'recording', 8000);
+  feed(SPEECH, 'recording', 500);
+  feed(SILENCE, 'recording', 9900);
+  assert.deepEqual(events, []);
+
+  // The request is not repeated while the page has not paused yet
+  feed(SILENCE, 'recording', 3000);
+  assert.deepEqual(events, [['auto-pause', 18500, { silentSeconds: 10 }]]);
+});
+
+test('speech resumes an auto-paused recording, but not a manual pause', () => {
+  const detector = new SilenceDetector({ enabled: true, pauseAfterSeconds: 10 });
+  const { events, feed } = watch(detector);
+
+  feed(SILENCE, 'recording', 10100);
+  feed(SILENCE, 'paused', 2000);
+  // Speech must last resumeAfterMs (300 ms) before resuming
+  feed(SPEECH, 'paused', 300);
+  assert.equal(events.length, 1);
+  feed(SPEECH, 'paused', 100);
+  assert.deepEqual(events.map(([name]) => name), ['auto-pause', 'auto-resume']);
+
+  feed(SPEECH, 'recording', 1000);
+  feed(SILENCE, 'paused', 1000);
+  feed(SPEECH, 'paused', 5000);
+  assert.equal(events.length, 2);
+});
+
+test('autoResume off keeps the recording paused', () => {
+  const detector = new SilenceDetector({ enabled: true, pauseAfterSeconds: 10, autoResume: false });
+  const { events, feed } = watch(detector);
+
+  feed(SILENCE, 'recording', 10100);
+  feed(SPEECH, 'paused', 5000);
+  assert.deepEqual(events.map(([name]) => name), ['auto-pause']);
+});
+
+test('recording stops after the configured minutes of silence', () => {
+  const detector = new SilenceDetector({ enabled: true, pauseAfterSeconds: 0, stopAfterMinutes: 1 });
+  const { events, feed } = watch(detector);
+
+  feed(SILENCE, 'recording', 60000);
+  assert.deepEqual(events, []);
+  feed(SILENCE, 'recording', 3000);
+  assert.deepEqual(events, [['auto-stop', 60000, { silentMinutes: 1 }]]);
+});
+
+test('an auto-paused recording stops once the silence reaches the stop time', () => {
+  const detector = new SilenceDetector({ enabled: true, pauseAfterSeconds: 10, stopAfterMinutes: 1 });
+  const { events, feed } = watch(detector);
+
+  feed(SILENCE, 'recording', 10100);
+  feed(SILENCE, 'paused', 50000);
+  assert.deepEqual(events, [
+    ['auto-pause', 10000, { silentSeconds: 10 }],
+    ['auto-stop', 60000, { silentMinutes: 1 }]
+  ]);
+});
+
+test('a stopped recording resets the silence clock', () => {
+  const detector = new SilenceDetector({ enabled: true, pauseAfterSeconds: 10 });
+  const { events, feed } = watch(detector);
+
+  feed(SILENCE, 'recording', 9000);
+  feed(SILENCE, 'stopped', 1000);
+  feed(SILENCE, 'recording', 9000);
+  assert.deepEqual(events, []);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const VoxTrigger = require('../vox-trigger');
+
+const QUIET = { rms: -60 };
+const SPEECH = { rms: -20 };
+
+// Record triggers and arm changes, and feed one level reading every 50 ms
+const watch = (vox) => {
+  const events = [];
+  let now = 10000;
+  vox.on('trigger', () => events.push(['trigger', now]));
+  vox.on('armed-changed', armed => events.push(['armed', armed]));
+
+  const feed = (level, state, durationMs) => {
+    for (const end = now + durationMs; now < end; now += 50) {
+      vox.update(level, state, now);
+    }
+  };
+  return { events, feed };
+};
+
+test('nothing triggers until armed', () => {
+  const vox = new VoxTrigger();
+  const { events, feed } = watch(vox);
+
+  feed(SPEECH, 'stopped', 2000);
+  assert.deepEqual(events, []);
+  assert.equal(vox.toggle(), true);
+  assert.deepEqual(events, [['armed', true]]);
+});
+
+test('speech held for minDurationMs triggers once and disarms', () => {
+  const vox = new VoxTrigger({ minDurationMs: 250 });
+  const { events, feed } = watch(vox);
+  vox.arm();
+
+  // Short bursts and quiet input do not count
+  feed(SPEECH, 'stopped', 200);
+  feed(QUIET, 'stopped', 500);
+  feed(SPEECH, 'stopped', 250);
+  assert.deepEqual(events, [['armed', true]]);
+
+  feed(SPEECH, 'stopped', 1000);
+  assert.deepEqual(events, [['armed', true], ['armed', false], ['trigger', 10950]]);
+  assert.equal(vox.armed, false);
+});
+
+test('a rearming trigger waits for the next take and for the retrigger guard', () => {
+  const vox = new VoxTrigger({ minDurationMs: 100, rearm: true });
+  const { events, feed } = watch(vox);
+  vox.arm();
+
+  feed(SPEECH, 'stopped', 150);
+  assert.deepEqual(events.at(-1), ['trigger', 10100]);
+
+  // Recording, then stopped again within three seconds of the trigger
+  feed(SPEECH, 'recording', 1000);
+  feed(SPEECH, 'stopped', 1900);
+  assert.equal(events.filter(([name]) => name === 'trigger').length, 1);
+
+  feed(SPEECH, 'stopped', 1000);
+  assert.deepEqual(events.filter(([name]) => name === 'trigger'), [['trigger', 10100], ['trigger', 13200]]);
+  assert.equal(vox.armed, true);
+});
+
+test('disarming drops speech already heard', () => {
+  const vox = new VoxTrigger({ minDurationMs: 300 });
+  const { events, feed } = watch(vox);
+  vox.arm();
+
+  feed(SPEECH, 'stopped', 200);
+  vox.disarm();
+  vox.arm();
+  feed(SPEECH, 'stopped', 200);
+  assert.equal(events.some(([name]) => name === 'trigger'), false);
+});
@@ -0,0 +1,69 @@
+const { EventEmitter } = require('events');
+
+// Voice-activated recording start. While armed and not recording, input above
+// thresholdDb for at least minDurationMs emits 'trigger'; main.js then starts
+// the recording. 'armed-changed' is emitted whenever the arm state flips.
+class VoxTrigger extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.armed = false;
+    this.speechSince = null;
+    this.triggeredAt = 0;
+    this.configure(options);
+  }
+
+  configure({ thresholdDb = -35, minDurationMs = 250, rearm = false } = {}) {
+    this.thresholdDb = thresholdDb;
+    this.minDurationMs = minDurationMs;
+    this.rearm = rearm;
+  }
+
+  arm() {
+    if (this.armed) return;
+    this.armed = true;
+    this.speechSince = null;
+    this.emit('armed-changed', true);
+  }
+
+  disarm() {
+    if (!this.armed) return;
+    this.armed = false;
+    this.speechSince = null;
+    this.emit('armed-changed', false);
+  }
+
+  toggle() {
+    if (this.armed) {
+      this.disarm();
+    } else {
+      this.arm();
+    }
+    return this.armed;
+  }
+
+  // Feed one level reading ({ rms } in dBFS) with the current recording state
+  update(level, recordingState, now = Date.now()) {
+    // Only a stopped recording can be started, and give the last trigger time
+    // to turn into a state change before listening again
+    if (!this.armed || !level || recordingState !== 'stopped' || now - this.triggeredAt < 3000) {
+      this.speechSince = null;
+      return;
+    }
+
+    if (level.rms < this.thresholdDb) {
+      this.speechSince = null;
+      return;
+    }
+
+    if (this.speechSince === null) this.speechSince = now;
+
+    if (now - this.speechSince >= this.minDurationMs) {
+      this.speechSince = null;
+      this.triggeredAt = now;
+      if (!this.rearm) this.disarm();
+      this.emit('trigger');
+    }
+  }
+}
+
+module.exports = VoxTrigger;